@@ -0,0 +1,32 @@
+/* global globalThis */
+// Service worker for check-in reminders: shows reminder-service push messages
+// as notifications and brings the journal to the front when one is clicked.
+
+const sw = globalThis;
+
+sw.addEventListener("push", (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (e) {
+    message = { text: event.data ? event.data.text() : "" };
+  }
+  event.waitUntil(
+    sw.registration.showNotification(message.subject || "Gratitude Journal", {
+      body: message.text || "",
+      tag: "checkin-reminder",
+      data: { url: message.url || "/" }
+    })
+  );
+});
+
+sw.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || "/";
+  event.waitUntil(
+    sw.clients.matchAll({ type: "window", includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => "focus" in client);
+      return open ? open.focus() : sw.clients.openWindow(url);
+    })
+  );
+});
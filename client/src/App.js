@@ -7,6 +7,7 @@ import Navbar from "./components/Navbar";
 import AboutPage from "./AboutPage";
 import ContactPage from "./ContactPage";
 import Footer from "./components/Footer";
+import AuthGate from "./components/AuthGate";
 
 function App() {
   return (
@@ -14,7 +15,15 @@ function App() {
       <Fragment>
         <Navbar />
         <div className="main">
-          <Route exact path="/" component={MainComponent} />
+          <Route
+            exact
+            path="/"
+            render={() => (
+              <AuthGate>
+                <MainComponent />
+              </AuthGate>
+            )}
+          />
           <Route path="/about" component={AboutPage} />
           <Route path="/contact" component={ContactPage} />
           <Route path="/otherpage" component={OtherPage} />
@@ -1,36 +1,138 @@
 ﻿import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import axios from "axios";
+import EntryAttachments from "./components/EntryAttachments";
+import ReminderSettings from "./components/ReminderSettings";
+import AchievementShelf from "./components/AchievementShelf";
+import AnalyticsPanel from "./components/AnalyticsPanel";
+import ReportPanel from "./components/ReportPanel";
+import ThemesPanel from "./components/ThemesPanel";
+import { getToken } from "./auth";
+import { readEventStream, supportsEventStreams } from "./eventStream";
 import "./MainComponent.css";
 
-const moodOptions = [
-  { value: "grateful", label: "Grateful", emoji: "🙏" },
-  { value: "happy", label: "Happy", emoji: "😄" },
-  { value: "calm", label: "Calm", emoji: "😌" },
-  { value: "focused", label: "Focused", emoji: "🎯" },
-  { value: "energized", label: "Energized", emoji: "⚡" },
-  { value: "tired", label: "Tired", emoji: "😴" },
-  { value: "stressed", label: "Stressed", emoji: "😓" }
+const ENTRY_PAGE_SIZE = 25;
+const MOOD_PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+// Reconnect delay for the live stats stream until the server sends its own.
+const STATS_STREAM_RETRY_MS = 5000;
+// Mirrors the gateway's ATTACHMENT_MAX_BYTES and accepted image types.
+const PHOTO_MAX_BYTES = 8 * 1024 * 1024;
+const PHOTO_TYPES = ["image/jpeg", "image/png", "image/webp", "image/gif", "image/heic"];
+
+const exportFormats = [
+  { value: "json", label: "JSON" },
+  { value: "csv", label: "CSV" },
+  { value: "md", label: "Markdown" }
+];
+
+const filenameFromDisposition = (header) => {
+  const match = /filename="?([^";]+)"?/i.exec(header || "");
+  return match ? match[1] : null;
+};
+
+// Entries and moods carry the author's local day, so the browser's timezone is
+// sent along with writes and with the stats request.
+const userTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const localDay = (date, timeZone) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+
+// Timestamp of a journal item, plus the day it was written for when that was backdated.
+const formatItemTime = (item) => {
+  if (!item.created_at) return "";
+  const created = new Date(item.created_at);
+  const stamp = created.toLocaleString();
+  const createdDay = localDay(created, item.timezone || userTimeZone());
+  return item.entry_date && item.entry_date !== createdDay ? `${stamp} · for ${item.entry_date}` : stamp;
+};
+
+// Mood types come from moods-service; moods recorded under a type this client
+// does not know (yet) still render with a neutral fallback.
+const findMoodMeta = (moodTypes, mood) =>
+  moodTypes.find((type) => type.value === mood) || {
+    value: mood,
+    label: mood ? mood.charAt(0).toUpperCase() + mood.slice(1) : "Unknown",
+    emoji: "🙂"
+  };
+
+const emptyMoodTypeDraft = { label: "", emoji: "", valence: "0" };
+
+const DEFAULT_MOOD_INTENSITY = "5";
+const emptyMoodDimensions = { enabled: false, valence: "0", arousal: "0" };
+const STATS_RANGES = [
+  { value: "7", label: "Last 7 days", bucket: "day" },
+  { value: "30", label: "Last 30 days", bucket: "day" },
+  { value: "90", label: "Last 90 days", bucket: "week" },
+  { value: "365", label: "Last year", bucket: "month" },
+  { value: "custom", label: "Custom range", bucket: "week" }
 ];
+const STATS_BUCKETS = ["day", "week", "month"];
+const defaultStatsQuery = { range: "7", bucket: "day", from: "", to: "" };
 
-const findMoodMeta = (mood) => moodOptions.find((option) => option.value === mood) || moodOptions[0];
+const emptyMoodFilters = { from: "", to: "", moods: [] };
+const emptyCheckIn = { text: "", mood: "", intensity: DEFAULT_MOOD_INTENSITY };
+
+// Search snippets arrive with matched terms wrapped in <mark></mark>; render them
+// as elements so the entry text itself is still escaped by React.
+const renderSnippet = (snippet) =>
+  snippet
+    .split(/(<mark>.*?<\/mark>)/g)
+    .filter(Boolean)
+    .map((part, index) =>
+      part.startsWith("<mark>") && part.endsWith("</mark>") ? (
+        <mark key={index}>{part.slice(6, -7)}</mark>
+      ) : (
+        <span key={index}>{part}</span>
+      )
+    );
 
 const MainComponent = () => {
   const [entries, setEntries] = useState([]);
   const [entryText, setEntryText] = useState("");
-  const [entryLimit, setEntryLimit] = useState(25);
+  const [entryDate, setEntryDate] = useState("");
+  const [entriesCursor, setEntriesCursor] = useState(null);
+  const [entriesLoadingMore, setEntriesLoadingMore] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [activeTag, setActiveTag] = useState(null);
   const [entryQuery, setEntryQuery] = useState("");
+  const [searchFrom, setSearchFrom] = useState("");
+  const [searchTo, setSearchTo] = useState("");
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchLoading, setSearchLoading] = useState(false);
+  const [searchError, setSearchError] = useState(null);
   const [entriesLoading, setEntriesLoading] = useState(false);
   const [entriesError, setEntriesError] = useState(null);
+  const [editingEntryId, setEditingEntryId] = useState(null);
+  const [editingText, setEditingText] = useState("");
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [exportFormat, setExportFormat] = useState("json");
+  const [exporting, setExporting] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [importSummary, setImportSummary] = useState(null);
+  const [uploadingEntryId, setUploadingEntryId] = useState(null);
 
   const [moods, setMoods] = useState([]);
-  const [moodValue, setMoodValue] = useState("grateful");
+  const [moodValue, setMoodValue] = useState("");
+  const [moodTypes, setMoodTypes] = useState([]);
+  const [moodTypeDraft, setMoodTypeDraft] = useState(emptyMoodTypeDraft);
+  const [moodTypeError, setMoodTypeError] = useState(null);
   const [moodNote, setMoodNote] = useState("");
+  const [moodIntensity, setMoodIntensity] = useState(DEFAULT_MOOD_INTENSITY);
+  const [moodDimensions, setMoodDimensions] = useState(emptyMoodDimensions);
   const [moodsLoading, setMoodsLoading] = useState(false);
   const [moodsError, setMoodsError] = useState(null);
+  const [moodsCursor, setMoodsCursor] = useState(null);
+  const [moodsLoadingMore, setMoodsLoadingMore] = useState(false);
+  const [moodFilters, setMoodFilters] = useState(emptyMoodFilters);
+
+  const [checkIn, setCheckIn] = useState(emptyCheckIn);
+  const [checkInSaving, setCheckInSaving] = useState(false);
+  const [checkInError, setCheckInError] = useState(null);
 
   const [stats, setStats] = useState(null);
   const [statsLoading, setStatsLoading] = useState(false);
   const [statsError, setStatsError] = useState(null);
+  const [statsQuery, setStatsQuery] = useState(defaultStatsQuery);
 
   const [legacyValues, setLegacyValues] = useState([]);
   const [legacyValueInput, setLegacyValueInput] = useState("");
@@ -73,64 +175,397 @@ const MainComponent = () => {
   const [aiChatLoading, setAiChatLoading] = useState(false);
 
   const entryFormRef = useRef(null);
+  const importInputRef = useRef(null);
+  const photoInputRef = useRef(null);
+  const photoTargetRef = useRef(null);
+  const entriesSentinelRef = useRef(null);
+
+  const statsParams = useMemo(() => {
+    const params = new URLSearchParams({ tz: userTimeZone(), bucket: statsQuery.bucket });
+    // A custom range is only sent once both ends are picked.
+    if (statsQuery.range !== "custom") {
+      params.set("range", statsQuery.range);
+    } else if (statsQuery.from && statsQuery.to) {
+      params.set("from", statsQuery.from);
+      params.set("to", statsQuery.to);
+    }
+    return params.toString();
+  }, [statsQuery]);
 
   const getStats = useCallback(async () => {
     try {
       setStatsLoading(true);
       setStatsError(null);
-      const response = await axios.get("/api/stats/overview");
+      const response = await axios.get(`/api/stats/overview?${statsParams}`);
       setStats(response.data.data || null);
     } catch (e) {
-      setStatsError("Could not load stats. Please try again.");
+      setStatsError(e?.response?.data?.error || "Could not load stats. Please try again.");
     } finally {
       setStatsLoading(false);
     }
+  }, [statsParams]);
+
+  // True while the live overview stream is connected; saves then leave the
+  // refresh to the server instead of fetching stats themselves.
+  const statsLiveRef = useRef(false);
+  const refreshStats = useCallback(() => {
+    if (!statsLiveRef.current) getStats();
+  }, [getStats]);
+
+  // Spends a streak freeze on yesterday, the one day a freeze can rescue the current streak.
+  const freezeYesterday = useCallback(async () => {
+    try {
+      setStatsError(null);
+      await axios.post(`/api/stats/streak-freezes?tz=${encodeURIComponent(userTimeZone())}`, {});
+      refreshStats();
+    } catch (e) {
+      setStatsError(e?.response?.data?.error || "Could not use a streak freeze. Please try again.");
+    }
+  }, [refreshStats]);
+
+  const entriesUrl = useCallback(
+    (cursor) => {
+      const params = new URLSearchParams({ limit: String(ENTRY_PAGE_SIZE) });
+      if (activeTag) params.set("tag", activeTag);
+      if (cursor) params.set("cursor", cursor);
+      return `/api/journal/entries/all?${params.toString()}`;
+    },
+    [activeTag]
+  );
+
+  const getTags = useCallback(async () => {
+    try {
+      const response = await axios.get("/api/journal/entries/tags?limit=20");
+      setTags(Array.isArray(response.data.rows) ? response.data.rows : []);
+    } catch (e) {
+      setTags([]);
+    }
   }, []);
 
   const getEntries = useCallback(async () => {
     try {
       setEntriesLoading(true);
       setEntriesError(null);
-      const response = await axios.get(`/api/journal/entries/all?limit=${entryLimit}`);
+      const response = await axios.get(entriesUrl());
       const rows = Array.isArray(response.data.rows) ? response.data.rows : [];
       setEntries(rows);
+      setEntriesCursor(response.data.next_cursor || null);
     } catch (e) {
       setEntriesError("Could not load entries. Please try again.");
     } finally {
       setEntriesLoading(false);
     }
-  }, [entryLimit]);
+  }, [entriesUrl]);
+
+  const loadOlderEntries = useCallback(async () => {
+    if (!entriesCursor || entriesLoadingMore) return;
+    try {
+      setEntriesLoadingMore(true);
+      setEntriesError(null);
+      const response = await axios.get(entriesUrl(entriesCursor));
+      const rows = Array.isArray(response.data.rows) ? response.data.rows : [];
+      setEntries((current) => {
+        const seen = new Set(current.map((item) => item.id));
+        return [...current, ...rows.filter((item) => !seen.has(item.id))];
+      });
+      setEntriesCursor(response.data.next_cursor || null);
+    } catch (e) {
+      setEntriesError("Could not load older entries. Please try again.");
+    } finally {
+      setEntriesLoadingMore(false);
+    }
+  }, [entriesCursor, entriesLoadingMore, entriesUrl]);
 
   const saveEntry = useCallback(
     async (event) => {
       event.preventDefault();
       try {
         await axios.post("/api/journal/entries", {
-          text: entryText
+          text: entryText,
+          entry_date: entryDate,
+          timezone: userTimeZone()
         });
         setEntryText("");
+        setEntryDate("");
         getEntries();
-        getStats();
+        getTags();
+        refreshStats();
       } catch (e) {
         setEntriesError("Could not submit entry. Please try again.");
       }
     },
-    [entryText, getEntries, getStats]
+    [entryText, entryDate, getEntries, getTags, refreshStats]
+  );
+
+  const importJournal = useCallback(
+    async (event) => {
+      const file = event.target.files?.[0];
+      event.target.value = "";
+      if (!file) return;
+      try {
+        setImporting(true);
+        setImportSummary(null);
+        setEntriesError(null);
+        const body = await file.text();
+        const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+        const response = await axios.post("/api/journal/import", body, {
+          headers: { "Content-Type": isCsv ? "text/csv" : "application/json" }
+        });
+        const { entries: entryReport, moods: moodReport } = response.data;
+        setImportSummary(
+          `Imported ${entryReport.imported} entries and ${moodReport.imported} moods` +
+            ` (${entryReport.duplicates + moodReport.duplicates} duplicates skipped,` +
+            ` ${entryReport.invalid + moodReport.invalid} invalid rows).`
+        );
+        getEntries();
+        getTags();
+        refreshStats();
+      } catch (e) {
+        setEntriesError(e?.response?.data?.error || "Could not import the file. Please check its format.");
+      } finally {
+        setImporting(false);
+      }
+    },
+    [getEntries, getTags, refreshStats]
+  );
+
+  const updateEntryAttachments = useCallback((entryId, update) => {
+    setEntries((current) =>
+      current.map((item) => (item.id === entryId ? { ...item, attachments: update(item.attachments || []) } : item))
+    );
+  }, []);
+
+  const pickPhoto = useCallback((entry) => {
+    photoTargetRef.current = entry.id;
+    photoInputRef.current?.click();
+  }, []);
+
+  const uploadPhoto = useCallback(
+    async (event) => {
+      const file = event.target.files?.[0];
+      const entryId = photoTargetRef.current;
+      event.target.value = "";
+      if (!file || !entryId) return;
+      if (!PHOTO_TYPES.includes(file.type)) {
+        setEntriesError("Photos must be JPEG, PNG, WebP, GIF or HEIC images.");
+        return;
+      }
+      if (file.size > PHOTO_MAX_BYTES) {
+        setEntriesError("Photos can be at most 8 MB.");
+        return;
+      }
+      try {
+        setUploadingEntryId(entryId);
+        setEntriesError(null);
+        const body = new FormData();
+        body.append("photo", file);
+        const response = await axios.post(`/api/journal/entries/${entryId}/attachments`, body);
+        updateEntryAttachments(entryId, (attachments) => [...attachments, response.data.attachment]);
+      } catch (e) {
+        setEntriesError(e?.response?.data?.error || "Could not upload photo. Please try again.");
+      } finally {
+        setUploadingEntryId(null);
+      }
+    },
+    [updateEntryAttachments]
+  );
+
+  const removeAttachment = useCallback(
+    async (attachment) => {
+      try {
+        setEntriesError(null);
+        await axios.delete(`/api/journal/attachments/${attachment.id}`);
+        updateEntryAttachments(attachment.entry_id, (attachments) =>
+          attachments.filter((item) => item.id !== attachment.id)
+        );
+      } catch (e) {
+        setEntriesError(e?.response?.data?.error || "Could not remove photo. Please try again.");
+      }
+    },
+    [updateEntryAttachments]
+  );
+
+  const startEditEntry = useCallback((entry) => {
+    setEditingEntryId(entry.id);
+    setEditingText(entry.text);
+  }, []);
+
+  const cancelEditEntry = useCallback(() => {
+    setEditingEntryId(null);
+    setEditingText("");
+  }, []);
+
+  const saveEditEntry = useCallback(
+    async (event) => {
+      event.preventDefault();
+      try {
+        setEntriesError(null);
+        const response = await axios.patch(`/api/journal/entries/${editingEntryId}`, {
+          text: editingText
+        });
+        const updated = response.data.entry;
+        setEntries((current) => current.map((item) => (item.id === updated.id ? { ...item, ...updated } : item)));
+        cancelEditEntry();
+        getTags();
+      } catch (e) {
+        setEntriesError(e?.response?.data?.error || "Could not update entry. Please try again.");
+      }
+    },
+    [editingEntryId, editingText, cancelEditEntry, getTags]
+  );
+
+  const deleteEntry = useCallback(
+    async (entry) => {
+      try {
+        setEntriesError(null);
+        const response = await axios.delete(`/api/journal/entries/${entry.id}`);
+        setEntries((current) => current.filter((item) => item.id !== entry.id));
+        setPendingDelete({ entry, restorableUntil: response.data.deleted?.restorable_until || null });
+        getTags();
+        refreshStats();
+      } catch (e) {
+        setEntriesError("Could not delete entry. Please try again.");
+      }
+    },
+    [getTags, refreshStats]
   );
 
+  const undoDeleteEntry = useCallback(async () => {
+    if (!pendingDelete) return;
+    try {
+      setEntriesError(null);
+      await axios.post(`/api/journal/entries/${pendingDelete.entry.id}/restore`);
+      setPendingDelete(null);
+      getEntries();
+      getTags();
+      refreshStats();
+    } catch (e) {
+      setPendingDelete(null);
+      setEntriesError(e?.response?.data?.error || "Could not restore entry.");
+    }
+  }, [pendingDelete, getEntries, getTags, refreshStats]);
+
+  const exportJournal = useCallback(async () => {
+    try {
+      setExporting(true);
+      setEntriesError(null);
+      const response = await axios.get(`/api/journal/export?format=${exportFormat}`, { responseType: "blob" });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download =
+        filenameFromDisposition(response.headers["content-disposition"]) || `gratitude-journal.${exportFormat}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setEntriesError("Could not export your journal. Please try again.");
+    } finally {
+      setExporting(false);
+    }
+  }, [exportFormat]);
+
+  const getMoodTypes = useCallback(async () => {
+    try {
+      // Archived types are included so older check-ins keep their label and emoji.
+      const response = await axios.get("/api/moods/types?include_archived=true");
+      const rows = Array.isArray(response.data.rows) ? response.data.rows : [];
+      setMoodTypes(rows);
+      setMoodValue((current) => {
+        const active = rows.filter((type) => !type.archived);
+        return active.some((type) => type.value === current) ? current : active[0]?.value || "";
+      });
+    } catch (e) {
+      setMoodsError("Could not load mood types. Please try again.");
+    }
+  }, []);
+
+  const createMoodType = useCallback(
+    async (event) => {
+      event.preventDefault();
+      try {
+        setMoodTypeError(null);
+        const response = await axios.post("/api/moods/types", {
+          label: moodTypeDraft.label,
+          emoji: moodTypeDraft.emoji,
+          valence: Number(moodTypeDraft.valence)
+        });
+        setMoodTypeDraft(emptyMoodTypeDraft);
+        await getMoodTypes();
+        setMoodValue(response.data.mood_type.value);
+      } catch (e) {
+        setMoodTypeError(e?.response?.data?.error || "Could not add mood. Please try again.");
+      }
+    },
+    [moodTypeDraft, getMoodTypes]
+  );
+
+  const archiveMoodType = useCallback(
+    async (type) => {
+      try {
+        setMoodTypeError(null);
+        await axios.post(`/api/moods/types/${type.id}/archive`);
+        getMoodTypes();
+      } catch (e) {
+        setMoodTypeError(e?.response?.data?.error || "Could not archive mood. Please try again.");
+      }
+    },
+    [getMoodTypes]
+  );
+
+  const moodsUrl = useCallback(
+    (cursor) => {
+      const params = new URLSearchParams({ limit: String(MOOD_PAGE_SIZE) });
+      if (moodFilters.from) params.set("from", moodFilters.from);
+      if (moodFilters.to) params.set("to", moodFilters.to);
+      if (moodFilters.moods.length) params.set("moods", moodFilters.moods.join(","));
+      if (cursor) params.set("cursor", cursor);
+      return `/api/moods/all?${params.toString()}`;
+    },
+    [moodFilters]
+  );
+
+  const toggleMoodFilter = useCallback((mood) => {
+    setMoodFilters((current) => ({
+      ...current,
+      moods: current.moods.includes(mood) ? current.moods.filter((item) => item !== mood) : [...current.moods, mood]
+    }));
+  }, []);
+
   const getMoods = useCallback(async () => {
     try {
       setMoodsLoading(true);
       setMoodsError(null);
-      const response = await axios.get(`/api/moods/all?limit=20`);
+      const response = await axios.get(moodsUrl());
       const rows = Array.isArray(response.data.rows) ? response.data.rows : [];
       setMoods(rows);
+      setMoodsCursor(response.data.next_cursor || null);
     } catch (e) {
       setMoodsError("Could not load moods. Please try again.");
     } finally {
       setMoodsLoading(false);
     }
-  }, []);
+  }, [moodsUrl]);
+
+  const loadOlderMoods = useCallback(async () => {
+    if (!moodsCursor || moodsLoadingMore) return;
+    try {
+      setMoodsLoadingMore(true);
+      setMoodsError(null);
+      const response = await axios.get(moodsUrl(moodsCursor));
+      const rows = Array.isArray(response.data.rows) ? response.data.rows : [];
+      setMoods((current) => {
+        const seen = new Set(current.map((item) => item.id));
+        return [...current, ...rows.filter((item) => !seen.has(item.id))];
+      });
+      setMoodsCursor(response.data.next_cursor || null);
+    } catch (e) {
+      setMoodsError("Could not load older moods. Please try again.");
+    } finally {
+      setMoodsLoadingMore(false);
+    }
+  }, [moodsCursor, moodsLoadingMore, moodsUrl]);
 
   const saveMood = useCallback(
     async (event) => {
@@ -138,16 +573,50 @@ const MainComponent = () => {
       try {
         await axios.post("/api/moods", {
           mood: moodValue,
-          note: moodNote
+          note: moodNote,
+          timezone: userTimeZone(),
+          intensity: Number(moodIntensity),
+          ...(moodDimensions.enabled
+            ? { valence: Number(moodDimensions.valence), arousal: Number(moodDimensions.arousal) }
+            : {})
         });
         setMoodNote("");
+        setMoodIntensity(DEFAULT_MOOD_INTENSITY);
+        setMoodDimensions(emptyMoodDimensions);
         getMoods();
-        getStats();
+        refreshStats();
       } catch (e) {
         setMoodsError("Could not save mood. Please try again.");
       }
     },
-    [moodValue, moodNote, getMoods, getStats]
+    [moodValue, moodNote, moodIntensity, moodDimensions, getMoods, refreshStats]
+  );
+
+  // One gratitude entry plus the mood it was written in, saved and linked together.
+  const saveCheckIn = useCallback(
+    async (event) => {
+      event.preventDefault();
+      try {
+        setCheckInSaving(true);
+        setCheckInError(null);
+        await axios.post("/api/journal/checkins", {
+          text: checkIn.text,
+          mood: checkIn.mood || moodValue,
+          intensity: Number(checkIn.intensity),
+          timezone: userTimeZone()
+        });
+        setCheckIn(emptyCheckIn);
+        getEntries();
+        getTags();
+        getMoods();
+        refreshStats();
+      } catch (e) {
+        setCheckInError(e?.response?.data?.error || "Could not save check-in. Please try again.");
+      } finally {
+        setCheckInSaving(false);
+      }
+    },
+    [checkIn, moodValue, getEntries, getTags, getMoods, refreshStats]
   );
 
   const fetchAiInsights = useCallback(async (payload) => {
@@ -159,7 +628,7 @@ const MainComponent = () => {
     } catch (e) {
       const message =
         e?.response?.data?.error ||
-        "Could not load mentor insights. Ensure OPENAI_API_KEY is configured on the gateway.";
+        "Could not load mentor insights. Ensure an LLM provider is configured on the gateway.";
       setAiInsightsError(message);
     } finally {
       setAiInsightsLoading(false);
@@ -211,7 +680,7 @@ const MainComponent = () => {
     } catch (e) {
       const message =
         e?.response?.data?.error ||
-        "Could not generate a prompt. Confirm the API gateway has access to OPENAI_API_KEY.";
+        "Could not generate a prompt. Confirm the API gateway has an LLM provider configured.";
       setAiPromptError(message);
     } finally {
       setAiPromptLoading(false);
@@ -277,13 +746,64 @@ const MainComponent = () => {
     getEntries();
   }, [getEntries]);
 
+  useEffect(() => {
+    getTags();
+  }, [getTags]);
+
+  useEffect(() => {
+    getMoodTypes();
+  }, [getMoodTypes]);
+
   useEffect(() => {
     getMoods();
   }, [getMoods]);
 
+  // The overview arrives over Server-Sent Events and again whenever entries or
+  // moods change, including from another device. The stream reconnects after
+  // the server's retry delay when it drops; browsers without streaming fetch,
+  // or a stream the server refuses, fall back to a one-off fetch.
   useEffect(() => {
-    getStats();
-  }, [getStats]);
+    const token = getToken();
+    if (!supportsEventStreams() || !token) {
+      getStats();
+      return undefined;
+    }
+    const controller = new AbortController();
+    let retryMs = STATS_STREAM_RETRY_MS;
+    let retryTimer = null;
+    const connect = () =>
+      readEventStream(`/api/stats/overview/stream?${statsParams}`, {
+        headers: { Authorization: `Bearer ${token}` },
+        signal: controller.signal,
+        onRetry: (ms) => {
+          retryMs = ms;
+        },
+        onEvent: ({ event, data }) => {
+          if (event !== "overview") return;
+          statsLiveRef.current = true;
+          setStats(JSON.parse(data));
+          setStatsError(null);
+          setStatsLoading(false);
+        }
+      })
+        .catch((e) => e)
+        .then((error) => {
+          statsLiveRef.current = false;
+          if (controller.signal.aborted) return;
+          if (error && error.status) {
+            getStats();
+            return;
+          }
+          retryTimer = setTimeout(connect, retryMs);
+        });
+    setStatsLoading(true);
+    connect();
+    return () => {
+      statsLiveRef.current = false;
+      clearTimeout(retryTimer);
+      controller.abort();
+    };
+  }, [statsParams, getStats]);
 
   useEffect(() => {
     if (!entries.length && !moods.length && !stats) return;
@@ -299,11 +819,54 @@ const MainComponent = () => {
     getLegacyValues();
   }, [getLegacyValues]);
 
-  const filteredEntries = useMemo(() => {
-    if (!entryQuery.trim()) return entries;
-    const lowered = entryQuery.toLowerCase();
-    return entries.filter((item) => item.text.toLowerCase().includes(lowered));
-  }, [entries, entryQuery]);
+  useEffect(() => {
+    const sentinel = entriesSentinelRef.current;
+    if (!sentinel || !entriesCursor || typeof IntersectionObserver === "undefined") return undefined;
+    const observer = new IntersectionObserver((observed) => {
+      if (observed.some((item) => item.isIntersecting)) loadOlderEntries();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [entriesCursor, loadOlderEntries]);
+
+  useEffect(() => {
+    if (!pendingDelete) return undefined;
+    const expiresAt = pendingDelete.restorableUntil ? new Date(pendingDelete.restorableUntil).getTime() : 0;
+    const timer = setTimeout(() => setPendingDelete(null), Math.max(0, expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [pendingDelete]);
+
+  useEffect(() => {
+    const query = entryQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      setSearchError(null);
+      setSearchLoading(false);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setSearchLoading(true);
+        setSearchError(null);
+        const params = new URLSearchParams({ q: query });
+        if (searchFrom) params.set("from", searchFrom);
+        if (searchTo) params.set("to", searchTo);
+        const response = await axios.get(`/api/journal/entries/search?${params.toString()}`);
+        if (!cancelled) setSearchResults(Array.isArray(response.data.rows) ? response.data.rows : []);
+      } catch (e) {
+        if (!cancelled) setSearchError("Could not search entries. Please try again.");
+      } finally {
+        if (!cancelled) setSearchLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [entryQuery, searchFrom, searchTo]);
+
+  const isSearching = entryQuery.trim().length > 0;
 
   const statsLast7 = stats?.last7_days ?? [];
   const statsMoodTrend = stats?.mood_trend ?? [];
@@ -311,8 +874,20 @@ const MainComponent = () => {
     return [...statsMoodTrend].sort((a, b) => (b?.count || 0) - (a?.count || 0));
   }, [statsMoodTrend]);
   const topMood = sortedMoodTrend[0];
-  const topMoodMeta = topMood ? findMoodMeta(topMood.mood) : null;
+  const topMoodMeta = topMood ? findMoodMeta(moodTypes, topMood.mood) : null;
+  const activeMoodTypes = moodTypes.filter((type) => !type.archived);
+  const customMoodTypes = activeMoodTypes.filter((type) => type.custom);
+  const moodFiltersActive = Boolean(moodFilters.from || moodFilters.to || moodFilters.moods.length);
   const maxLast7 = statsLast7.reduce((max, day) => (day.count > max ? day.count : max), 0) || 1;
+  const statsBuckets = stats?.buckets ?? [];
+  const streakHistory = stats?.streak_history ?? [];
+  const missedYesterday = statsLast7.length >= 2 && statsLast7[statsLast7.length - 2].count === 0;
+  const maxBucket = statsBuckets.reduce((max, bucket) => (bucket.entry_count > max ? bucket.entry_count : max), 0) || 1;
+  const describeBucket = (bucket) => {
+    const span = bucket.start === bucket.end ? bucket.start : `${bucket.start} – ${bucket.end}`;
+    const moods = bucket.moods.map((item) => `${findMoodMeta(moodTypes, item.mood).label} ${item.count}`).join(", ");
+    return `${span}: ${bucket.entry_count} entries${moods ? ` · ${moods}` : ""}`;
+  };
 
   const todayLabel = useMemo(() => {
     try {
@@ -395,15 +970,35 @@ const MainComponent = () => {
             <div className="mc-controls">
               <select
                 className="select"
-                value={entryLimit}
-                onChange={(e) => setEntryLimit(Number(e.target.value))}
-                aria-label="Limit entries"
+                value={exportFormat}
+                onChange={(event) => setExportFormat(event.target.value)}
+                aria-label="Export format"
               >
-                <option value={10}>Last 10</option>
-                <option value={25}>Last 25</option>
-                <option value={50}>Last 50</option>
-                <option value={100}>Last 100</option>
+                {exportFormats.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
               </select>
+              <button className="btn btn-ghost" type="button" onClick={exportJournal} disabled={exporting}>
+                {exporting ? "Exporting…" : "Export"}
+              </button>
+              <button
+                className="btn btn-ghost"
+                type="button"
+                onClick={() => importInputRef.current?.click()}
+                disabled={importing}
+              >
+                {importing ? "Importing…" : "Import"}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,.csv,application/json,text/csv"
+                onChange={importJournal}
+                hidden
+              />
+              <input ref={photoInputRef} type="file" accept={PHOTO_TYPES.join(",")} onChange={uploadPhoto} hidden />
               <button className="btn btn-ghost" onClick={getEntries} disabled={entriesLoading}>
                 {entriesLoading ? "Refreshing…" : "Refresh"}
               </button>
@@ -418,22 +1013,131 @@ const MainComponent = () => {
             </div>
           )}
 
-          <div className="mc-values">
-            {filteredEntries.length === 0 && !entriesLoading ? (
-              entries.length === 0 ? (
-                <div className="mc-empty">No entries yet. Add your first one below.</div>
+          {(tags.length > 0 || activeTag) && (
+            <div className="tag-bar" aria-label="Filter entries by tag">
+              {activeTag ? (
+                <button className="tag-chip active" type="button" onClick={() => setActiveTag(null)}>
+                  #{activeTag} ✕
+                </button>
               ) : (
+                tags.map((tag) => (
+                  <button className="tag-chip" type="button" key={tag.name} onClick={() => setActiveTag(tag.name)}>
+                    #{tag.name}
+                    <span className="mood-count">{tag.count}</span>
+                  </button>
+                ))
+              )}
+            </div>
+          )}
+
+          {importSummary && (
+            <div className="mc-status loading" role="status" aria-live="polite">
+              {importSummary}
+            </div>
+          )}
+
+          {pendingDelete && (
+            <div className="mc-status undo" role="status" aria-live="polite">
+              Entry deleted.
+              <button className="btn btn-ghost btn-small" type="button" onClick={undoDeleteEntry}>
+                Undo
+              </button>
+            </div>
+          )}
+
+          {isSearching && (searchLoading || searchError) && (
+            <div className={`mc-status ${searchError ? "error" : "loading"}`} role="status" aria-live="polite">
+              {searchError ? searchError : "Searching entries…"}
+            </div>
+          )}
+
+          <div className="mc-values">
+            {isSearching ? (
+              searchResults && searchResults.length === 0 && !searchLoading ? (
                 <div className="mc-empty">No entries match your search.</div>
+              ) : (
+                (searchResults || []).map((item) => (
+                  <div className="entry" key={item.id}>
+                    <span className="chip">{renderSnippet(item.snippet || item.text)}</span>
+                    <span className="entry-meta">{formatItemTime(item)}</span>
+                    <EntryAttachments attachments={item.attachments} />
+                  </div>
+                ))
               )
+            ) : entries.length === 0 && !entriesLoading ? (
+              <div className="mc-empty">
+                {activeTag ? `No entries tagged #${activeTag}.` : "No entries yet. Add your first one below."}
+              </div>
             ) : (
-              filteredEntries.map((item) => (
-                <div className="entry" key={item.id}>
-                  <span className="chip">{item.text}</span>
-                  <span className="entry-meta">
-                    {item.created_at ? new Date(item.created_at).toLocaleString() : ""}
-                  </span>
-                </div>
-              ))
+              entries.map((item) =>
+                editingEntryId === item.id ? (
+                  <form className="entry" key={item.id} onSubmit={saveEditEntry}>
+                    <div className="input-row">
+                      <input
+                        className="input"
+                        value={editingText}
+                        aria-label="Edit entry"
+                        autoFocus
+                        onChange={(event) => setEditingText(event.target.value.slice(0, 200))}
+                      />
+                      <button className="btn btn-primary" disabled={!editingText.trim()}>
+                        Save
+                      </button>
+                      <button className="btn btn-ghost" type="button" onClick={cancelEditEntry}>
+                        Cancel
+                      </button>
+                    </div>
+                  </form>
+                ) : (
+                  <div className="entry" key={item.id}>
+                    <span className="chip">{item.text}</span>
+                    <span className="entry-meta">
+                      {formatItemTime(item)}
+                      {item.updated_at ? " · edited" : ""}
+                    </span>
+                    {item.tags?.length > 0 && (
+                      <div className="entry-tags">
+                        {item.tags.map((tag) => (
+                          <button className="tag-chip" type="button" key={tag} onClick={() => setActiveTag(tag)}>
+                            #{tag}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    {item.mood && (
+                      <span className="entry-meta">
+                        Checked in feeling {findMoodMeta(moodTypes, item.mood.mood).emoji}{" "}
+                        {findMoodMeta(moodTypes, item.mood.mood).label}
+                        {item.mood.intensity ? ` · ${item.mood.intensity}/10` : ""}
+                      </span>
+                    )}
+                    <EntryAttachments attachments={item.attachments} onRemove={removeAttachment} />
+                    <div className="entry-actions">
+                      <button
+                        className="btn btn-ghost btn-small"
+                        type="button"
+                        onClick={() => pickPhoto(item)}
+                        disabled={uploadingEntryId === item.id}
+                      >
+                        {uploadingEntryId === item.id ? "Uploading…" : "Add photo"}
+                      </button>
+                      <button className="btn btn-ghost btn-small" type="button" onClick={() => startEditEntry(item)}>
+                        Edit
+                      </button>
+                      <button className="btn btn-ghost btn-small" type="button" onClick={() => deleteEntry(item)}>
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                )
+              )
+            )}
+            {entriesCursor && !isSearching && (
+              <div className="load-more" ref={entriesSentinelRef}>
+                <button className="btn btn-ghost" type="button" onClick={loadOlderEntries} disabled={entriesLoadingMore}>
+                  {entriesLoadingMore ? "Loading…" : "Load older"}
+                </button>
+              </div>
             )}
           </div>
 
@@ -451,11 +1155,20 @@ const MainComponent = () => {
                   setEntryText(event.target.value.slice(0, 200));
                 }}
               />
+              <input
+                className="input input-date"
+                type="date"
+                value={entryDate}
+                max={localDay(new Date(), userTimeZone())}
+                aria-label="Entry date (leave empty for today)"
+                title="Backdate this entry"
+                onChange={(event) => setEntryDate(event.target.value)}
+              />
               <button className="btn btn-primary" disabled={!entryText.trim()}>
                 Submit
               </button>
             </div>
-            <small className="mc-hint">Keep it short and specific. Max 200 characters.</small>
+            <small className="mc-hint">Keep it short and specific. Max 200 characters. Pick a date to backdate it.</small>
             <div className="search-row">
               <input
                 className="input"
@@ -464,6 +1177,22 @@ const MainComponent = () => {
                 onChange={(e) => setEntryQuery(e.target.value)}
                 aria-label="Search entries"
               />
+              <input
+                className="input input-date"
+                type="date"
+                value={searchFrom}
+                max={searchTo || undefined}
+                onChange={(e) => setSearchFrom(e.target.value)}
+                aria-label="Search from date"
+              />
+              <input
+                className="input input-date"
+                type="date"
+                value={searchTo}
+                min={searchFrom || undefined}
+                onChange={(e) => setSearchTo(e.target.value)}
+                aria-label="Search to date"
+              />
             </div>
           </form>
         </div>
@@ -500,13 +1229,13 @@ const MainComponent = () => {
                 value={moodValue}
                 onChange={(event) => setMoodValue(event.target.value)}
               >
-                {moodOptions.map((option) => (
+                {activeMoodTypes.map((option) => (
                   <option key={option.value} value={option.value}>
                     {option.emoji} {option.label}
                   </option>
                 ))}
               </select>
-              <button className="btn btn-primary" disabled={moodsLoading}>
+              <button className="btn btn-primary" disabled={moodsLoading || !moodValue}>
                 Log mood
               </button>
             </div>
@@ -517,38 +1246,265 @@ const MainComponent = () => {
               onChange={(event) => setMoodNote(event.target.value.slice(0, 240))}
               rows={3}
             />
+            <label className="mc-label" htmlFor="mood-intensity">
+              How strongly? {moodIntensity}/10
+            </label>
+            <input
+              id="mood-intensity"
+              type="range"
+              min="1"
+              max="10"
+              step="1"
+              value={moodIntensity}
+              onChange={(event) => setMoodIntensity(event.target.value)}
+            />
+            <details className="mood-dimensions">
+              <summary>Valence &amp; arousal (optional)</summary>
+              <label className="mc-hint">
+                <input
+                  type="checkbox"
+                  checked={moodDimensions.enabled}
+                  onChange={(event) => setMoodDimensions((current) => ({ ...current, enabled: event.target.checked }))}
+                />{" "}
+                Include with this check-in
+              </label>
+              <label className="mc-hint" htmlFor="mood-valence-input">
+                Unpleasant ↔ pleasant ({moodDimensions.valence})
+              </label>
+              <input
+                id="mood-valence-input"
+                type="range"
+                min="-1"
+                max="1"
+                step="0.1"
+                value={moodDimensions.valence}
+                disabled={!moodDimensions.enabled}
+                onChange={(event) => setMoodDimensions((current) => ({ ...current, valence: event.target.value }))}
+              />
+              <label className="mc-hint" htmlFor="mood-arousal-input">
+                Calm ↔ activated ({moodDimensions.arousal})
+              </label>
+              <input
+                id="mood-arousal-input"
+                type="range"
+                min="-1"
+                max="1"
+                step="0.1"
+                value={moodDimensions.arousal}
+                disabled={!moodDimensions.enabled}
+                onChange={(event) => setMoodDimensions((current) => ({ ...current, arousal: event.target.value }))}
+              />
+            </details>
             <small className="mc-hint">Share a quick note to remember why.</small>
           </form>
 
+          <details className="mood-types">
+            <summary>Custom moods</summary>
+            <form className="mc-form" onSubmit={createMoodType}>
+              <div className="input-row">
+                <input
+                  className="input input-emoji"
+                  value={moodTypeDraft.emoji}
+                  placeholder="😊"
+                  aria-label="Mood emoji"
+                  onChange={(event) => setMoodTypeDraft((draft) => ({ ...draft, emoji: event.target.value.slice(0, 8) }))}
+                />
+                <input
+                  className="input"
+                  value={moodTypeDraft.label}
+                  placeholder="e.g., Proud"
+                  aria-label="Mood name"
+                  onChange={(event) => setMoodTypeDraft((draft) => ({ ...draft, label: event.target.value.slice(0, 32) }))}
+                />
+                <button
+                  className="btn btn-ghost"
+                  disabled={!moodTypeDraft.label.trim() || !moodTypeDraft.emoji.trim()}
+                >
+                  Add mood
+                </button>
+              </div>
+              <label className="mc-hint" htmlFor="mood-valence">
+                Feels {Number(moodTypeDraft.valence) >= 0 ? "pleasant" : "unpleasant"} ({moodTypeDraft.valence})
+              </label>
+              <input
+                id="mood-valence"
+                type="range"
+                min="-1"
+                max="1"
+                step="0.1"
+                value={moodTypeDraft.valence}
+                onChange={(event) => setMoodTypeDraft((draft) => ({ ...draft, valence: event.target.value }))}
+              />
+              {moodTypeError && <div className="mc-status error">{moodTypeError}</div>}
+            </form>
+            {customMoodTypes.length > 0 && (
+              <div className="entry-tags">
+                {customMoodTypes.map((type) => (
+                  <span className="tag-chip" key={type.id}>
+                    {type.emoji} {type.label}
+                    <button
+                      className="btn-link"
+                      type="button"
+                      aria-label={`Archive ${type.label}`}
+                      onClick={() => archiveMoodType(type)}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </details>
+
+          <div className="mood-filters" aria-label="Filter mood history">
+            <div className="search-row">
+              <input
+                className="input input-date"
+                type="date"
+                value={moodFilters.from}
+                max={moodFilters.to || undefined}
+                onChange={(event) => setMoodFilters((current) => ({ ...current, from: event.target.value }))}
+                aria-label="Moods from date"
+              />
+              <input
+                className="input input-date"
+                type="date"
+                value={moodFilters.to}
+                min={moodFilters.from || undefined}
+                onChange={(event) => setMoodFilters((current) => ({ ...current, to: event.target.value }))}
+                aria-label="Moods to date"
+              />
+              {moodFiltersActive && (
+                <button
+                  className="btn btn-ghost btn-small"
+                  type="button"
+                  onClick={() => setMoodFilters(emptyMoodFilters)}
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+            <div className="tag-bar">
+              {moodTypes.map((type) => (
+                <button
+                  className={`tag-chip${moodFilters.moods.includes(type.value) ? " active" : ""}`}
+                  type="button"
+                  key={type.value}
+                  aria-pressed={moodFilters.moods.includes(type.value)}
+                  onClick={() => toggleMoodFilter(type.value)}
+                >
+                  {type.emoji} {type.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
           <div className="mc-values">
             {moods.length === 0 && !moodsLoading ? (
-              <div className="mc-empty">No mood entries yet. Log your first one above.</div>
+              <div className="mc-empty">
+                {moodFiltersActive ? "No moods match these filters." : "No mood entries yet. Log your first one above."}
+              </div>
             ) : (
               moods.map((item) => {
-                const meta = findMoodMeta(item.mood);
+                const meta = findMoodMeta(moodTypes, item.mood);
                 return (
                   <div className="entry" key={item.id}>
                     <span className="chip">
                       {meta.emoji} {meta.label}
                     </span>
                     <span className="entry-meta">
-                      {item.created_at ? new Date(item.created_at).toLocaleString() : ""}
+                      {formatItemTime(item)}
+                      {item.intensity ? ` · ${item.intensity}/10` : ""}
                       {item.note ? ` · ${item.note}` : ""}
+                      {item.entry ? ` · for “${item.entry.text}”` : ""}
                     </span>
                   </div>
                 );
               })
             )}
+            {moodsCursor && (
+              <div className="load-more">
+                <button className="btn btn-ghost" type="button" onClick={loadOlderMoods} disabled={moodsLoadingMore}>
+                  {moodsLoadingMore ? "Loading…" : "Load older"}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="mc-card">
+          <div className="mc-header">
+            <h2 className="mc-title">
+              <span className="mc-badge" aria-hidden>
+                ✅
+              </span>
+              Daily Check-in
+            </h2>
           </div>
+
+          <p className="mc-subtitle">Log a gratitude note and how you feel in one step; the two stay linked.</p>
+
+          {checkInError && (
+            <div className="mc-status error" role="status" aria-live="polite">
+              {checkInError}
+            </div>
+          )}
+
+          <form className="mc-form" onSubmit={saveCheckIn}>
+            <label className="mc-label" htmlFor="checkin-text">
+              What are you grateful for today?
+            </label>
+            <input
+              id="checkin-text"
+              className="input"
+              value={checkIn.text}
+              placeholder="e.g., A long call with an old friend"
+              onChange={(event) => setCheckIn((current) => ({ ...current, text: event.target.value.slice(0, 200) }))}
+            />
+            <div className="input-row">
+              <select
+                className="select"
+                aria-label="Check-in mood"
+                value={checkIn.mood || moodValue}
+                onChange={(event) => setCheckIn((current) => ({ ...current, mood: event.target.value }))}
+              >
+                {activeMoodTypes.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.emoji} {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                className="btn btn-primary"
+                disabled={checkInSaving || !checkIn.text.trim() || !(checkIn.mood || moodValue)}
+              >
+                {checkInSaving ? "Saving…" : "Check in"}
+              </button>
+            </div>
+            <label className="mc-label" htmlFor="checkin-intensity">
+              How strongly? {checkIn.intensity}/10
+            </label>
+            <input
+              id="checkin-intensity"
+              type="range"
+              min="1"
+              max="10"
+              step="1"
+              value={checkIn.intensity}
+              onChange={(event) => setCheckIn((current) => ({ ...current, intensity: event.target.value }))}
+            />
+          </form>
         </div>
 
+        <ReminderSettings />
+
         <div className="mc-card">
           <div className="mc-header">
             <h2 className="mc-title">
               <span className="mc-badge" aria-hidden>
                 📊
               </span>
-              Weekly Insights
+              Insights
             </h2>
             <button className="btn btn-ghost" onClick={getStats} disabled={statsLoading}>
               {statsLoading ? "Refreshing…" : "Refresh"}
@@ -561,6 +1517,56 @@ const MainComponent = () => {
             </div>
           )}
 
+          <div className="stats-controls">
+            <select
+              className="select"
+              aria-label="Stats range"
+              value={statsQuery.range}
+              onChange={(event) => {
+                const preset = STATS_RANGES.find((item) => item.value === event.target.value);
+                setStatsQuery((current) => ({ ...current, range: preset.value, bucket: preset.bucket }));
+              }}
+            >
+              {STATS_RANGES.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+            <select
+              className="select"
+              aria-label="Group by"
+              value={statsQuery.bucket}
+              onChange={(event) => setStatsQuery((current) => ({ ...current, bucket: event.target.value }))}
+            >
+              {STATS_BUCKETS.map((bucket) => (
+                <option key={bucket} value={bucket}>
+                  By {bucket}
+                </option>
+              ))}
+            </select>
+            {statsQuery.range === "custom" && (
+              <>
+                <input
+                  className="input input-date"
+                  type="date"
+                  value={statsQuery.from}
+                  max={statsQuery.to || undefined}
+                  onChange={(event) => setStatsQuery((current) => ({ ...current, from: event.target.value }))}
+                  aria-label="Stats from date"
+                />
+                <input
+                  className="input input-date"
+                  type="date"
+                  value={statsQuery.to}
+                  min={statsQuery.from || undefined}
+                  onChange={(event) => setStatsQuery((current) => ({ ...current, to: event.target.value }))}
+                  aria-label="Stats to date"
+                />
+              </>
+            )}
+          </div>
+
           {stats ? (
             <div className="stats-grid">
               <div className="stat-card">
@@ -574,6 +1580,16 @@ const MainComponent = () => {
               <div className="stat-card">
                 <span className="stat-label">Current streak</span>
                 <span className="stat-value">{stats.streak_days} days</span>
+                {stats.streak_pending_today && <span className="stat-hint">Write today to keep it going.</span>}
+                {missedYesterday && stats.streak_freezes_left > 0 && (
+                  <button className="btn btn-ghost btn-small" type="button" onClick={freezeYesterday}>
+                    Freeze yesterday ({stats.streak_freezes_left} left)
+                  </button>
+                )}
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">Longest streak</span>
+                <span className="stat-value">{stats.longest_streak_days} days</span>
               </div>
               <div className="stat-card stat-card--wide">
                 <span className="stat-label">Last 7 days</span>
@@ -594,96 +1610,209 @@ const MainComponent = () => {
                 </div>
               </div>
               <div className="stat-card stat-card--wide">
-                <span className="stat-label">Mood trend</span>
+                <span className="stat-label">
+                  Entries by {stats.bucket} · {stats.range_from} – {stats.range_to}
+                </span>
+                <div className="bucket-chart">
+                  {statsBuckets.map((bucket) => (
+                    <div className="bucket-bar" key={bucket.start} title={describeBucket(bucket)}>
+                      <div
+                        className="sparkline-fill"
+                        style={{ height: `${Math.round((bucket.entry_count / maxBucket) * 100)}%` }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                {statsBuckets.length > 0 && (
+                  <div className="bucket-axis">
+                    <span>{statsBuckets[0].start}</span>
+                    <span>{statsBuckets[statsBuckets.length - 1].end}</span>
+                  </div>
+                )}
+              </div>
+              <div className="stat-card stat-card--wide">
+                <span className="stat-label">Moods in range</span>
                 <div className="mood-trend">
                   {sortedMoodTrend.length === 0 ? (
                     <span className="mood-trend-empty">Log moods to see trends.</span>
                   ) : (
                     sortedMoodTrend.map((item) => {
-                      const meta = findMoodMeta(item.mood);
+                      const meta = findMoodMeta(moodTypes, item.mood);
                       return (
                         <span className="mood-pill" key={item.mood}>
                           {meta.emoji} {meta.label}
                           <span className="mood-count">{item.count}</span>
+                          {item.avg_intensity > 0 && (
+                            <span className="mood-count" title="Average intensity">
+                              ⌀ {item.avg_intensity}/10
+                            </span>
+                          )}
                         </span>
                       );
                     })
                   )}
                 </div>
               </div>
+              {streakHistory.length > 0 && (
+                <div className="stat-card stat-card--wide">
+                  <span className="stat-label">Past streaks</span>
+                  <ul className="streak-history">
+                    {streakHistory.map((streak) => (
+                      <li key={streak.start}>
+                        <strong>{streak.days} days</strong> · {streak.start} – {streak.end}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           ) : (
             <div className="mc-empty">No stats yet. Add entries and moods to unlock insights.</div>
           )}
         </div>
 
+        <AchievementShelf refreshKey={stats} />
+
+        <AnalyticsPanel moodMeta={(mood) => findMoodMeta(moodTypes, mood)} />
+
+        <ThemesPanel />
+
+        <ReportPanel />
+
         <div className="mc-card">
+
           <div className="mc-header">
+
             <h2 className="mc-title">
+
               <span className="mc-badge" aria-hidden>
+
                 🤖
+
               </span>
+
               AI Mentor
+
             </h2>
+
             <div className="mc-controls">
+
               <button className="btn btn-ghost" onClick={refreshAiInsights} disabled={aiInsightsLoading}>
+
                 {aiInsightsLoading ? "Analyzing..." : "Refresh insights"}
+
               </button>
+
               <button className="btn btn-ghost" onClick={fetchAiPrompt} disabled={aiPromptLoading}>
+
                 {aiPromptLoading ? "Generating..." : "New prompt"}
+
               </button>
+
             </div>
+
           </div>
 
+
+
           {(aiInsightsLoading || aiInsightsError) && (
+
             <div className={`mc-status ${aiInsightsError ? "error" : "loading"}`} role="status" aria-live="polite">
+
               {aiInsightsError ? aiInsightsError : "Running emotional analysis..."}
+
             </div>
+
           )}
 
+
+
           {aiInsights ? (
+
             <div className="stats-grid">
+
               <div className="stat-card">
+
                 <span className="stat-label">Primary emotion</span>
+
                 <span className="stat-value">{aiInsights.primary_emotion || "-"}</span>
+
               </div>
+
               <div className="stat-card">
+
                 <span className="stat-label">Risk level</span>
+
                 <span className="stat-value">{aiInsights.risk_level || "low"}</span>
+
               </div>
+
               <div className="stat-card stat-card--wide">
+
                 <span className="stat-label">Summary</span>
+
                 <p className="stat-value">{aiInsights.summary || "Mentor summary unavailable."}</p>
+
               </div>
+
               <div className="stat-card stat-card--wide">
+
                 <span className="stat-label">Reflection</span>
+
                 <p className="stat-value">{aiInsights.reflection || "You're on track—keep reflecting daily."}</p>
+
               </div>
+
               <div className="stat-card stat-card--wide">
+
                 <span className="stat-label">Action item</span>
+
                 <p className="stat-value">{aiInsights.action_item || "Share gratitude with someone today."}</p>
+
               </div>
+
               <div className="stat-card stat-card--wide">
+
                 <span className="stat-label">Partner share</span>
+
                 <p className="stat-value">{aiInsights.partner_share || "Let them know you're grateful for their support."}</p>
+
               </div>
+
             </div>
+
           ) : (
+
             <div className="mc-empty">Log gratitude or mood entries to unlock mentor insights.</div>
+
           )}
 
+
+
           <div className="mc-subtitle">Daily AI prompt</div>
+
           <div className="mc-values">
+
             {aiPromptError ? (
+
               <div className="mc-empty">{aiPromptError}</div>
+
             ) : (
+
               <div className="entry">
+
                 <span className="chip">Prompt</span>
+
                 <span className="entry-meta">{aiPrompt || (aiPromptLoading ? "Generating..." : "Waiting for mentor...")}</span>
+
               </div>
+
             )}
+
           </div>
+
         </div>
+
         <div className="mc-card">
           <div className="mc-header">
             <h2 className="mc-title">
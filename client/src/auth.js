@@ -0,0 +1,57 @@
+import axios from "axios";
+
+const TOKEN_KEY = "gratitude.token";
+const USER_KEY = "gratitude.user";
+
+const listeners = new Set();
+
+export const getToken = () => window.localStorage.getItem(TOKEN_KEY);
+
+export const getUser = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(USER_KEY) || "null");
+  } catch (e) {
+    return null;
+  }
+};
+
+const notify = () => listeners.forEach((listener) => listener(getToken()));
+
+export const saveSession = (token, user) => {
+  window.localStorage.setItem(TOKEN_KEY, token);
+  window.localStorage.setItem(USER_KEY, JSON.stringify(user || null));
+  notify();
+};
+
+export const clearSession = () => {
+  window.localStorage.removeItem(TOKEN_KEY);
+  window.localStorage.removeItem(USER_KEY);
+  notify();
+};
+
+// Calls listener with the current token whenever the user signs in or out.
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+axios.interceptors.request.use((config) => {
+  const token = getToken();
+  if (token) {
+    config.headers = { ...config.headers, Authorization: `Bearer ${token}` };
+  }
+  return config;
+});
+
+axios.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    // Only the APIs' own session check ends the session. Other 401s, e.g. one
+    // relayed from a provider the gateway calls, leave the user signed in.
+    const { status, data } = error?.response || {};
+    if (status === 401 && data?.code === "auth_required" && getToken()) {
+      clearSession();
+    }
+    return Promise.reject(error);
+  }
+);
@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import axios from "axios";
+import "./AchievementShelf.css";
+
+const TOAST_MS = 6000;
+
+// Badges with the user's progress. Reloads whenever `refreshKey` changes (the
+// live overview), and celebrates newly unlocked badges with a toast once.
+const AchievementShelf = ({ refreshKey }) => {
+  const [achievements, setAchievements] = useState([]);
+  const [toasts, setToasts] = useState([]);
+  const [error, setError] = useState(null);
+  const announcedRef = useRef(new Set());
+
+  const load = useCallback(async () => {
+    try {
+      const response = await axios.get("/api/stats/achievements");
+      const list = Array.isArray(response.data.data) ? response.data.data : [];
+      setAchievements(list);
+      setError(null);
+      const fresh = list.filter((item) => item.is_new && !announcedRef.current.has(item.key));
+      if (!fresh.length) return;
+      fresh.forEach((item) => announcedRef.current.add(item.key));
+      setToasts((current) => [...current, ...fresh]);
+      await axios.post("/api/stats/achievements/seen", { keys: fresh.map((item) => item.key) });
+    } catch (e) {
+      setError("Could not load achievements.");
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load, refreshKey]);
+
+  // Toasts leave one at a time, oldest first.
+  useEffect(() => {
+    if (!toasts.length) return undefined;
+    const timer = setTimeout(() => setToasts((current) => current.slice(1)), TOAST_MS);
+    return () => clearTimeout(timer);
+  }, [toasts]);
+
+  const dismissToast = (key) => setToasts((current) => current.filter((item) => item.key !== key));
+
+  const unlockedCount = achievements.filter((item) => item.unlocked_at).length;
+
+  return (
+    <div className="mc-card">
+      <div className="mc-header">
+        <h2 className="mc-title">
+          <span className="mc-badge" aria-hidden>
+            🏅
+          </span>
+          Achievements
+        </h2>
+        {achievements.length > 0 && (
+          <span className="mc-hint">
+            {unlockedCount} of {achievements.length} unlocked
+          </span>
+        )}
+      </div>
+
+      {error && (
+        <div className="mc-status error" role="status" aria-live="polite">
+          {error}
+        </div>
+      )}
+
+      <ul className="badge-shelf">
+        {achievements.map((item) => {
+          const unlocked = Boolean(item.unlocked_at);
+          return (
+            <li className={`badge${unlocked ? " unlocked" : ""}`} key={item.key} title={item.description}>
+              <span className="badge-emoji" aria-hidden>
+                {item.emoji}
+              </span>
+              <span className="badge-title">{item.title}</span>
+              {unlocked ? (
+                <span className="mc-hint">Unlocked {new Date(item.unlocked_at).toLocaleDateString()}</span>
+              ) : (
+                <>
+                  <span className="mc-hint">
+                    {item.progress} / {item.target}
+                  </span>
+                  <span className="badge-progress" aria-hidden>
+                    <span style={{ width: `${Math.round((item.progress / item.target) * 100)}%` }} />
+                  </span>
+                </>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="toast-stack" aria-live="polite">
+        {toasts.map((item) => (
+          <div className="toast" role="status" key={item.key}>
+            <span className="badge-emoji" aria-hidden>
+              {item.emoji}
+            </span>
+            <div>
+              <strong>Achievement unlocked: {item.title}</strong>
+              <div className="mc-hint">{item.description}</div>
+            </div>
+            <button
+              className="btn btn-ghost btn-small"
+              type="button"
+              aria-label="Dismiss"
+              onClick={() => dismissToast(item.key)}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AchievementShelf;
@@ -0,0 +1,212 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import axios from "axios";
+import "./AnalyticsPanel.css";
+
+const RANGES = [
+  { value: "30", label: "Last 30 days" },
+  { value: "90", label: "Last 90 days" },
+  { value: "365", label: "Last year" }
+];
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const TOP_FOLLOW_UPS = 5;
+
+const userTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const formatValence = (value) => (value === null ? "—" : `${value > 0 ? "+" : ""}${value.toFixed(2)}`);
+
+// Plain-language reading of Pearson's r.
+const describeCoefficient = (r) => {
+  const size = Math.abs(r);
+  if (size < 0.1) return "No clear link between writing and the next day's mood.";
+  const strength = size < 0.3 ? "weak" : size < 0.5 ? "moderate" : "strong";
+  return r > 0
+    ? `A ${strength} link: days you write tend to be followed by better moods.`
+    : `A ${strength} inverse link: days you write tend to be followed by lower moods.`;
+};
+
+const AnalyticsPanel = ({ moodMeta }) => {
+  const [range, setRange] = useState("90");
+  const [heatmapKind, setHeatmapKind] = useState("entries");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ tz: userTimeZone(), range });
+      const response = await axios.get(`/api/stats/correlations?${params.toString()}`);
+      setData(response.data.data || null);
+    } catch (e) {
+      setError(e?.response?.data?.error || "Could not load analytics. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const heatmap = useMemo(() => {
+    const cells = new Map();
+    let max = 0;
+    (data?.heatmap || []).forEach((cell) => {
+      cells.set(`${cell.weekday}:${cell.hour}`, cell);
+      max = Math.max(max, cell[heatmapKind]);
+    });
+    return { cells, max: max || 1 };
+  }, [data, heatmapKind]);
+
+  const entryValence = data?.entry_valence;
+  const followUps = (data?.mood_follow_ups || []).slice(0, TOP_FOLLOW_UPS);
+
+  return (
+    <div className="mc-card">
+      <div className="mc-header">
+        <h2 className="mc-title">
+          <span className="mc-badge" aria-hidden>
+            🔬
+          </span>
+          Analytics
+        </h2>
+        <div className="mc-controls">
+          <select
+            className="select"
+            aria-label="Analytics range"
+            value={range}
+            onChange={(event) => setRange(event.target.value)}
+          >
+            {RANGES.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-ghost" onClick={load} disabled={loading}>
+            {loading ? "Refreshing…" : "Refresh"}
+          </button>
+        </div>
+      </div>
+
+      {(loading || error) && (
+        <div className={`mc-status ${error ? "error" : "loading"}`} role="status" aria-live="polite">
+          {error ? error : "Crunching your journal…"}
+        </div>
+      )}
+
+      {data && (
+        <div className="analytics">
+          <section className="analytics-section">
+            <h3 className="analytics-heading">Does journaling lift your mood?</h3>
+            {entryValence.coefficient === null ? (
+              <p className="mc-hint">
+                Not enough data yet: {entryValence.sample_days} days with a mood whose previous day is in range.
+              </p>
+            ) : (
+              <p>
+                {describeCoefficient(entryValence.coefficient)}{" "}
+                <span className="mc-hint">
+                  (r = {entryValence.coefficient.toFixed(2)} over {entryValence.sample_days} days)
+                </span>
+              </p>
+            )}
+            <div className="analytics-compare">
+              <div className="stat-card">
+                <span className="stat-label">Mood the day after writing</span>
+                <span className="stat-value">{formatValence(entryValence.avg_valence_after_entry)}</span>
+              </div>
+              <div className="stat-card">
+                <span className="stat-label">Mood the day after not writing</span>
+                <span className="stat-value">{formatValence(entryValence.avg_valence_after_no_entry)}</span>
+              </div>
+            </div>
+          </section>
+
+          <section className="analytics-section">
+            <div className="analytics-heading-row">
+              <h3 className="analytics-heading">When you show up</h3>
+              <div className="analytics-toggle" role="group" aria-label="Heatmap data">
+                {["entries", "moods"].map((kind) => (
+                  <button
+                    key={kind}
+                    type="button"
+                    className={`tag-chip${heatmapKind === kind ? " active" : ""}`}
+                    aria-pressed={heatmapKind === kind}
+                    onClick={() => setHeatmapKind(kind)}
+                  >
+                    {kind === "entries" ? "Entries" : "Moods"}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="heatmap" role="table" aria-label={`${heatmapKind} by weekday and hour`}>
+              {WEEKDAYS.map((label, weekday) => (
+                <div className="heatmap-row" role="row" key={label}>
+                  <span className="heatmap-label" role="rowheader">
+                    {label}
+                  </span>
+                  {HOURS.map((hour) => {
+                    const cell = heatmap.cells.get(`${weekday}:${hour}`);
+                    const count = cell ? cell[heatmapKind] : 0;
+                    const valence = heatmapKind === "moods" && cell ? cell.avg_valence : null;
+                    return (
+                      <span
+                        className="heatmap-cell"
+                        role="cell"
+                        key={hour}
+                        style={{ opacity: count ? 0.15 + 0.85 * (count / heatmap.max) : 1 }}
+                        data-empty={count === 0}
+                        title={`${label} ${String(hour).padStart(2, "0")}:00 · ${count} ${heatmapKind}${
+                          valence === null ? "" : ` · mood ${formatValence(valence)}`
+                        }`}
+                      />
+                    );
+                  })}
+                </div>
+              ))}
+              <div className="heatmap-row heatmap-hours" aria-hidden>
+                <span className="heatmap-label" />
+                {HOURS.map((hour) => (
+                  <span className="heatmap-hour" key={hour}>
+                    {hour % 6 === 0 ? hour : ""}
+                  </span>
+                ))}
+              </div>
+            </div>
+          </section>
+
+          <section className="analytics-section">
+            <h3 className="analytics-heading">Moods that lead to gratitude</h3>
+            {followUps.length === 0 ? (
+              <p className="mc-hint">Log moods to see which ones you follow up with an entry.</p>
+            ) : (
+              <ul className="follow-ups">
+                {followUps.map((item) => {
+                  const meta = moodMeta(item.mood);
+                  return (
+                    <li key={item.mood}>
+                      <span className="follow-up-label">
+                        {meta.emoji} {meta.label}
+                      </span>
+                      <span className="follow-up-bar">
+                        <span style={{ width: `${Math.round(item.rate * 100)}%` }} />
+                      </span>
+                      <span className="mc-hint">
+                        {item.followed_by_entry}/{item.check_ins} within {data.follow_up_hours}h
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
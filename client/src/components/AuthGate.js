@@ -0,0 +1,99 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import { clearSession, getToken, getUser, onSessionChange, saveSession } from "../auth";
+import "../MainComponent.css";
+import "./AuthGate.css";
+
+const AuthGate = ({ children }) => {
+  const [token, setToken] = useState(getToken);
+  const [mode, setMode] = useState("login");
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => onSessionChange(setToken), []);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await axios.post(`/api/journal/auth/${mode}`, { email, password });
+      setPassword("");
+      saveSession(response.data.token, response.data.user);
+    } catch (e) {
+      setError(e?.response?.data?.error || "Could not reach the server. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (token) {
+    const user = getUser();
+    return (
+      <>
+        <div className="auth-bar">
+          <span className="auth-user">{user?.email ? `Signed in as ${user.email}` : "Signed in"}</span>
+          <button className="btn btn-ghost btn-small" type="button" onClick={clearSession}>
+            Sign out
+          </button>
+        </div>
+        {children}
+      </>
+    );
+  }
+
+  const isLogin = mode === "login";
+  return (
+    <div className="auth-gate">
+      <form className="mc-card mc-form auth-card" onSubmit={submit}>
+        <h1 className="mc-title">{isLogin ? "Welcome back" : "Create your journal"}</h1>
+        <p className="mc-subtitle">Your entries and moods are private to your account.</p>
+        {error && (
+          <div className="mc-status error" role="alert">
+            {error}
+          </div>
+        )}
+        <label className="mc-label" htmlFor="auth-email">
+          Email
+        </label>
+        <input
+          id="auth-email"
+          className="input"
+          type="email"
+          autoComplete="email"
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+        />
+        <label className="mc-label" htmlFor="auth-password">
+          Password
+        </label>
+        <input
+          id="auth-password"
+          className="input"
+          type="password"
+          autoComplete={isLogin ? "current-password" : "new-password"}
+          minLength={isLogin ? undefined : 8}
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+        />
+        <button className="btn btn-primary" disabled={submitting || !email.trim() || !password}>
+          {submitting ? "Please wait…" : isLogin ? "Sign in" : "Create account"}
+        </button>
+        <button
+          className="btn btn-ghost"
+          type="button"
+          onClick={() => {
+            setMode(isLogin ? "register" : "login");
+            setError(null);
+          }}
+        >
+          {isLogin ? "New here? Create an account" : "Already have an account? Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AuthGate;
@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+import axios from "axios";
+import "./EntryAttachments.css";
+
+// Attachment bytes sit behind the authenticated gateway, so images are fetched
+// through axios (which adds the session token) and shown via object URLs.
+const useAttachmentUrl = (attachmentId, variant) => {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    const suffix = variant === "thumbnail" ? "/thumbnail" : "";
+    axios
+      .get(`/api/journal/attachments/${attachmentId}${suffix}`, { responseType: "blob" })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(response.data);
+        setUrl(objectUrl);
+      })
+      .catch(() => {
+        if (!cancelled) setUrl(null);
+      });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [attachmentId, variant]);
+
+  return url;
+};
+
+const openOriginal = async (attachment) => {
+  // Open the tab synchronously so popup blockers allow it, then point it at the image.
+  const tab = window.open("", "_blank");
+  try {
+    const response = await axios.get(`/api/journal/attachments/${attachment.id}`, { responseType: "blob" });
+    const url = URL.createObjectURL(response.data);
+    if (tab) tab.location.href = url;
+    // Give the new tab time to load the image before releasing it.
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  } catch (e) {
+    if (tab) tab.close();
+  }
+};
+
+const AttachmentThumb = ({ attachment, onRemove }) => {
+  const url = useAttachmentUrl(attachment.id, "thumbnail");
+  const label = attachment.filename || "Photo";
+
+  return (
+    <div className="attachment-thumb">
+      <button className="attachment-open" type="button" onClick={() => openOriginal(attachment)} title={label}>
+        {url ? <img src={url} alt={label} loading="lazy" /> : <span className="attachment-placeholder" />}
+      </button>
+      {onRemove && (
+        <button
+          className="attachment-remove"
+          type="button"
+          aria-label={`Remove ${label}`}
+          onClick={() => onRemove(attachment)}
+        >
+          ×
+        </button>
+      )}
+    </div>
+  );
+};
+
+const EntryAttachments = ({ attachments, onRemove }) => {
+  if (!attachments || attachments.length === 0) return null;
+  return (
+    <div className="entry-attachments">
+      {attachments.map((attachment) => (
+        <AttachmentThumb key={attachment.id} attachment={attachment} onRemove={onRemove} />
+      ))}
+    </div>
+  );
+};
+
+export default EntryAttachments;
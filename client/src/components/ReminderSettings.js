@@ -0,0 +1,280 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import "./ReminderSettings.css";
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+const CHANNEL_LABELS = { push: "Browser notification", email: "Email", webhook: "Webhook" };
+const TARGET_PLACEHOLDERS = { email: "you@example.com", webhook: "https://example.com/hooks/journal" };
+const SERVICE_WORKER_URL = "/reminder-sw.js";
+
+const emptyDraft = { time_of_day: "20:00", weekdays: EVERY_DAY, channel: "", target: "" };
+
+const userTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const pushSupported = () => "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+// VAPID keys are URL-safe base64; PushManager wants the raw bytes.
+const urlBase64ToBytes = (value) => {
+  const base64 = (value + "=".repeat((4 - (value.length % 4)) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+// Subscribes this browser to push messages; the subscription is the reminder's target.
+const subscribeToPush = async (publicKey) => {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error("Notifications are blocked for this site.");
+  await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  const registration = await navigator.serviceWorker.ready;
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToBytes(publicKey)
+    }));
+  return subscription.toJSON();
+};
+
+const describeDays = (weekdays) => {
+  if (weekdays.length === 7) return "Every day";
+  if (weekdays.join() === "1,2,3,4,5") return "Weekdays";
+  if (weekdays.join() === "0,6") return "Weekends";
+  return weekdays.map((day) => WEEKDAYS[day]).join(", ");
+};
+
+const describeTarget = (reminder) =>
+  reminder.channel === "push" ? CHANNEL_LABELS.push : `${CHANNEL_LABELS[reminder.channel]} to ${reminder.target}`;
+
+const describeStatus = (reminder) => {
+  const parts = [];
+  if (reminder.enabled && reminder.next_fire_at) {
+    parts.push(`next ${new Date(reminder.next_fire_at).toLocaleString()}`);
+  }
+  if (reminder.last_status) {
+    parts.push(`last ${reminder.last_status}${reminder.last_error ? ` (${reminder.last_error})` : ""}`);
+  }
+  return parts.join(" · ");
+};
+
+const errorMessage = (e, fallback) => e?.response?.data?.error || e?.message || fallback;
+
+const ReminderSettings = () => {
+  const [reminders, setReminders] = useState([]);
+  const [channels, setChannels] = useState([]);
+  const [vapidKey, setVapidKey] = useState(null);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [list, available] = await Promise.all([
+        axios.get("/api/journal/reminders"),
+        axios.get("/api/journal/reminders/channels")
+      ]);
+      const usable = (available.data.channels || []).filter((channel) => channel !== "push" || pushSupported());
+      setReminders(Array.isArray(list.data.rows) ? list.data.rows : []);
+      setChannels(usable);
+      setVapidKey(available.data.vapid_public_key);
+      setDraft((current) => (usable.includes(current.channel) ? current : { ...current, channel: usable[0] || "" }));
+    } catch (e) {
+      setError("Could not load reminders. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const replaceReminder = (reminder) =>
+    setReminders((current) => current.map((item) => (item.id === reminder.id ? reminder : item)));
+
+  const toggleWeekday = (day) =>
+    setDraft((current) => ({
+      ...current,
+      weekdays: current.weekdays.includes(day)
+        ? current.weekdays.filter((item) => item !== day)
+        : [...current.weekdays, day].sort()
+    }));
+
+  const createReminder = async (event) => {
+    event.preventDefault();
+    try {
+      setSaving(true);
+      setError(null);
+      const target = draft.channel === "push" ? await subscribeToPush(vapidKey) : draft.target;
+      const response = await axios.post("/api/journal/reminders", {
+        time_of_day: draft.time_of_day,
+        weekdays: draft.weekdays,
+        timezone: userTimeZone(),
+        channel: draft.channel,
+        target
+      });
+      setReminders((current) => [...current, response.data.reminder]);
+      setDraft((current) => ({ ...emptyDraft, channel: current.channel }));
+    } catch (e) {
+      setError(errorMessage(e, "Could not save reminder. Please try again."));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEnabled = async (reminder) => {
+    try {
+      setError(null);
+      const response = await axios.put(`/api/journal/reminders/${reminder.id}`, {
+        ...reminder,
+        enabled: !reminder.enabled
+      });
+      replaceReminder(response.data.reminder);
+    } catch (e) {
+      setError(errorMessage(e, "Could not update reminder. Please try again."));
+    }
+  };
+
+  const sendTest = async (reminder) => {
+    try {
+      setError(null);
+      const response = await axios.post(`/api/journal/reminders/${reminder.id}/test`);
+      replaceReminder(response.data.reminder);
+    } catch (e) {
+      setError(errorMessage(e, "Could not send a test reminder. Please try again."));
+    }
+  };
+
+  const deleteReminder = async (reminder) => {
+    try {
+      setError(null);
+      await axios.delete(`/api/journal/reminders/${reminder.id}`);
+      setReminders((current) => current.filter((item) => item.id !== reminder.id));
+    } catch (e) {
+      setError(errorMessage(e, "Could not delete reminder. Please try again."));
+    }
+  };
+
+  const needsTarget = draft.channel && draft.channel !== "push";
+
+  return (
+    <div className="mc-card">
+      <div className="mc-header">
+        <h2 className="mc-title">
+          <span className="mc-badge" aria-hidden>
+            ⏰
+          </span>
+          Reminders
+        </h2>
+        <button className="btn btn-ghost" onClick={load} disabled={loading}>
+          {loading ? "Refreshing…" : "Refresh"}
+        </button>
+      </div>
+
+      <p className="mc-subtitle">Get a nudge on the days you haven't written yet. Days with an entry are skipped.</p>
+
+      {error && (
+        <div className="mc-status error" role="status" aria-live="polite">
+          {error}
+        </div>
+      )}
+
+      <div className="mc-values">
+        {reminders.length === 0 && !loading ? (
+          <div className="mc-empty">No reminders yet.</div>
+        ) : (
+          reminders.map((reminder) => (
+            <div className={`entry${reminder.enabled ? "" : " reminder-paused"}`} key={reminder.id}>
+              <span className="chip">
+                {describeDays(reminder.weekdays)} at {reminder.time_of_day}
+              </span>
+              <span className="entry-meta">
+                {describeTarget(reminder)} · {reminder.timezone}
+                {reminder.enabled ? "" : " · paused"}
+              </span>
+              {describeStatus(reminder) && <span className="entry-meta">{describeStatus(reminder)}</span>}
+              <div className="entry-actions">
+                <button className="btn btn-ghost btn-small" type="button" onClick={() => toggleEnabled(reminder)}>
+                  {reminder.enabled ? "Pause" : "Resume"}
+                </button>
+                <button className="btn btn-ghost btn-small" type="button" onClick={() => sendTest(reminder)}>
+                  Send test
+                </button>
+                <button className="btn btn-ghost btn-small" type="button" onClick={() => deleteReminder(reminder)}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {channels.length === 0 ? (
+        !loading && <div className="mc-empty">Reminders are not set up on this server.</div>
+      ) : (
+        <form className="mc-form" onSubmit={createReminder}>
+          <label className="mc-label" htmlFor="reminder-time">
+            Remind me at
+          </label>
+          <div className="input-row">
+            <input
+              id="reminder-time"
+              className="input input-time"
+              type="time"
+              value={draft.time_of_day}
+              onChange={(event) => setDraft((current) => ({ ...current, time_of_day: event.target.value }))}
+            />
+            <select
+              className="select"
+              aria-label="Reminder channel"
+              value={draft.channel}
+              onChange={(event) => setDraft((current) => ({ ...current, channel: event.target.value, target: "" }))}
+            >
+              {channels.map((channel) => (
+                <option key={channel} value={channel}>
+                  {CHANNEL_LABELS[channel] || channel}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="reminder-weekdays" role="group" aria-label="Reminder days">
+            {WEEKDAYS.map((label, day) => (
+              <button
+                className={`tag-chip${draft.weekdays.includes(day) ? " active" : ""}`}
+                type="button"
+                key={label}
+                aria-pressed={draft.weekdays.includes(day)}
+                onClick={() => toggleWeekday(day)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {needsTarget && (
+            <input
+              className="input"
+              type={draft.channel === "email" ? "email" : "url"}
+              value={draft.target}
+              placeholder={TARGET_PLACEHOLDERS[draft.channel]}
+              aria-label="Reminder destination"
+              onChange={(event) => setDraft((current) => ({ ...current, target: event.target.value }))}
+            />
+          )}
+          <button
+            className="btn btn-primary"
+            disabled={saving || !draft.time_of_day || !draft.weekdays.length || (needsTarget && !draft.target.trim())}
+          >
+            {saving ? "Saving…" : "Add reminder"}
+          </button>
+          {draft.channel === "push" && (
+            <small className="mc-hint">Your browser will ask for permission to show notifications.</small>
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default ReminderSettings;
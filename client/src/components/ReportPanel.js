@@ -0,0 +1,123 @@
+import { useState } from "react";
+import axios from "axios";
+
+const FORMATS = [
+  { value: "pdf", label: "PDF" },
+  { value: "html", label: "HTML" }
+];
+const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December"
+];
+const YEARS_BACK = 5;
+
+const userTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Printable month or year report, rendered by the gateway and downloaded as a file.
+const ReportPanel = () => {
+  const now = new Date();
+  const [year, setYear] = useState(String(now.getFullYear()));
+  const [month, setMonth] = useState(String(now.getMonth() + 1).padStart(2, "0"));
+  const [format, setFormat] = useState("pdf");
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const years = Array.from({ length: YEARS_BACK + 1 }, (_, index) => String(now.getFullYear() - index));
+
+  const download = async () => {
+    const period = month ? `${year}-${month}` : year;
+    try {
+      setDownloading(true);
+      setError(null);
+      const params = new URLSearchParams({ format, tz: userTimeZone() });
+      const response = await axios.get(`/api/journal/reports/${period}?${params}`, { responseType: "blob" });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `gratitude-report-${period}.${format}`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      setError("Could not create the report. Please try again.");
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="mc-card">
+      <div className="mc-header">
+        <h2 className="mc-title">
+          <span className="mc-badge" aria-hidden>
+            🗓️
+          </span>
+          Reports
+        </h2>
+        <div className="mc-controls">
+          <select
+            className="select"
+            value={month}
+            onChange={(event) => setMonth(event.target.value)}
+            aria-label="Month"
+          >
+            <option value="">Whole year</option>
+            {MONTHS.map((name, index) => {
+              const value = String(index + 1).padStart(2, "0");
+              return (
+                <option key={value} value={value}>
+                  {name}
+                </option>
+              );
+            })}
+          </select>
+          <select className="select" value={year} onChange={(event) => setYear(event.target.value)} aria-label="Year">
+            {years.map((value) => (
+              <option key={value} value={value}>
+                {value}
+              </option>
+            ))}
+          </select>
+          <select
+            className="select"
+            value={format}
+            onChange={(event) => setFormat(event.target.value)}
+            aria-label="Report format"
+          >
+            {FORMATS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-ghost" type="button" onClick={download} disabled={downloading}>
+            {downloading ? "Preparing…" : "Download"}
+          </button>
+        </div>
+      </div>
+
+      <p className="mc-subtitle">
+        A printable summary with your streaks, moods, recurring themes and highlighted entries.
+      </p>
+
+      {error && (
+        <div className="mc-status error" role="status" aria-live="polite">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportPanel;
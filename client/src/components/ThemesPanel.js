@@ -0,0 +1,175 @@
+import { useCallback, useEffect, useState } from "react";
+import axios from "axios";
+import "./ThemesPanel.css";
+
+const RANGES = [
+  { value: "30", label: "Last 30 days" },
+  { value: "90", label: "Last 90 days" },
+  { value: "365", label: "Last year" }
+];
+const MIN_FONT_PX = 13;
+const MAX_FONT_PX = 34;
+
+const userTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Compares the later half of the periods with the earlier half.
+const trendDirection = (trend) => {
+  const half = Math.floor(trend.length / 2);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const earlier = sum(trend.slice(0, half));
+  const later = sum(trend.slice(trend.length - half));
+  if (later > earlier) return "rising";
+  if (later < earlier) return "falling";
+  return "steady";
+};
+
+const TREND_LABELS = { rising: "▲ more often lately", falling: "▼ less often lately", steady: "steady" };
+
+const Sparkline = ({ trend, periods }) => {
+  const max = Math.max(1, ...trend);
+  return (
+    <span className="theme-sparkline" aria-hidden>
+      {trend.map((value, index) => (
+        <span
+          key={periods[index].start}
+          style={{ height: `${Math.max(2, Math.round((value / max) * 100))}%` }}
+          title={`${periods[index].start} – ${periods[index].end}: ${value}`}
+        />
+      ))}
+    </span>
+  );
+};
+
+const ThemesPanel = () => {
+  const [range, setRange] = useState("90");
+  const [themes, setThemes] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const params = new URLSearchParams({ tz: userTimeZone(), range });
+      const response = await axios.get(`/api/stats/themes?${params.toString()}`);
+      setThemes(response.data.data || null);
+    } catch (e) {
+      setError(e?.response?.data?.error || "Could not load themes. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }, [range]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const words = themes?.words || [];
+  const maxCount = Math.max(1, ...words.map((word) => word.count));
+  const minCount = Math.min(maxCount, ...words.map((word) => word.count));
+  const fontSize = (count) =>
+    maxCount === minCount
+      ? (MIN_FONT_PX + MAX_FONT_PX) / 2
+      : MIN_FONT_PX + ((count - minCount) / (maxCount - minCount)) * (MAX_FONT_PX - MIN_FONT_PX);
+  // Alphabetical, so the biggest words do not all bunch up at the start.
+  const cloud = [...words].sort((a, b) => a.term.localeCompare(b.term));
+
+  return (
+    <div className="mc-card">
+      <div className="mc-header">
+        <h2 className="mc-title">
+          <span className="mc-badge" aria-hidden>
+            ☁️
+          </span>
+          Themes
+        </h2>
+        <div className="mc-controls">
+          <select
+            className="select"
+            aria-label="Themes range"
+            value={range}
+            onChange={(event) => setRange(event.target.value)}
+          >
+            {RANGES.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+          <button className="btn btn-ghost" onClick={load} disabled={loading}>
+            {loading ? "Refreshing…" : "Refresh"}
+          </button>
+        </div>
+      </div>
+
+      <p className="mc-subtitle">What your entries are about, worked out on our server without any AI service.</p>
+
+      {(loading || error) && (
+        <div className={`mc-status ${error ? "error" : "loading"}`} role="status" aria-live="polite">
+          {error ? error : "Reading your entries…"}
+        </div>
+      )}
+
+      {themes &&
+        (themes.entry_count === 0 ? (
+          <div className="mc-empty">No entries in this range yet.</div>
+        ) : (
+          <div className="themes">
+            <section className="themes-section">
+              <h3 className="themes-heading">Words you use most</h3>
+              <div className="word-cloud">
+                {cloud.map((word) => {
+                  const direction = trendDirection(word.trend);
+                  return (
+                    <span
+                      key={word.term}
+                      className={`word-cloud-word ${direction}`}
+                      style={{ fontSize: `${fontSize(word.count)}px` }}
+                      title={`${word.term}: ${word.count} times in ${word.entry_count} entries · ${TREND_LABELS[direction]}`}
+                    >
+                      {word.term}
+                    </span>
+                  );
+                })}
+              </div>
+            </section>
+
+            {themes.bigrams.length > 0 && (
+              <section className="themes-section">
+                <h3 className="themes-heading">Phrases</h3>
+                <div className="theme-phrases">
+                  {themes.bigrams.map((bigram) => (
+                    <span className="chip" key={bigram.term} title={TREND_LABELS[trendDirection(bigram.trend)]}>
+                      {bigram.term} · {bigram.count}
+                    </span>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            <section className="themes-section">
+              <h3 className="themes-heading">Themes</h3>
+              {themes.categories.length === 0 ? (
+                <p className="mc-hint">None of your entries touch the built-in themes yet.</p>
+              ) : (
+                <ul className="theme-categories">
+                  {themes.categories.map((category) => (
+                    <li key={category.category}>
+                      <span className="theme-category-label">{category.label}</span>
+                      <span className="mc-hint">
+                        {category.entry_count} of {themes.entry_count} entries · {category.top_terms.join(", ")}
+                      </span>
+                      <Sparkline trend={category.trend} periods={themes.periods} />
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <small className="mc-hint">Bars show entries per {themes.bucket}.</small>
+            </section>
+          </div>
+        ))}
+    </div>
+  );
+};
+
+export default ThemesPanel;
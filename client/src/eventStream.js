@@ -0,0 +1,51 @@
+// Server-Sent Events over fetch. Unlike EventSource, fetch can send the
+// Authorization header, so the session token never ends up in a URL.
+
+export const supportsEventStreams = () =>
+  typeof fetch === "function" && typeof ReadableStream !== "undefined" && typeof TextDecoder !== "undefined";
+
+// Reads `url` until the server ends the stream, calling onEvent({ event, data })
+// per event and onRetry(ms) for the server's reconnect delay. Rejects when the
+// request fails; a non-2xx response rejects with an error carrying `status`.
+export const readEventStream = async (url, { headers, signal, onEvent, onRetry }) => {
+  const response = await fetch(url, {
+    headers: { Accept: "text/event-stream", ...headers },
+    cache: "no-store",
+    signal
+  });
+  if (!response.ok || !response.body) {
+    const error = new Error(`Event stream refused with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  let event = "message";
+  let data = [];
+  const handleLine = (line) => {
+    if (line === "") {
+      if (data.length) onEvent({ event, data: data.join("\n") });
+      event = "message";
+      data = [];
+      return;
+    }
+    if (line.startsWith(":")) return;
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? "" : line.slice(colon + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+    else if (field === "retry" && /^\d+$/.test(value) && onRetry) onRetry(Number(value));
+  };
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r\n|\r|\n/);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+};
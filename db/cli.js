@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Usage:
+//   node cli.js up [version]    apply pending migrations (optionally only up to `version`)
+//   node cli.js down [steps]    roll back the last `steps` migrations (default 1)
+//   node cli.js status          list migrations and whether they are applied
+//
+// Connection settings come from the usual PG* environment variables.
+
+const { Pool } = require("pg");
+const { migrate, rollback, status } = require("./index");
+
+const log = (message) => console.log(message);
+
+const commands = {
+  async up(pool, [target]) {
+    const applied = await migrate(pool, { target: target || null, log });
+    log(applied.length ? `Applied ${applied.length} migration(s).` : "Schema is up to date.");
+  },
+
+  async down(pool, [steps = "1"]) {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) throw new Error("down expects a positive number of steps");
+    const reverted = await rollback(pool, { steps: count, log });
+    log(reverted.length ? `Reverted ${reverted.length} migration(s).` : "Nothing to roll back.");
+  },
+
+  async status(pool) {
+    const rows = await status(pool);
+    rows.forEach((row) => {
+      const state = row.applied_at ? `applied ${row.applied_at.toISOString()}` : "pending";
+      log(`${row.id.padEnd(40)} ${state}${row.unknown ? " (no migration file)" : ""}`);
+    });
+  },
+};
+
+async function main() {
+  const [name = "up", ...args] = process.argv.slice(2);
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command "${name}". Use one of: ${Object.keys(commands).join(", ")}`);
+    process.exit(2);
+  }
+  const pool = new Pool({
+    user: process.env.PGUSER,
+    host: process.env.PGHOST,
+    database: process.env.PGDATABASE,
+    password: process.env.PGPASSWORD,
+    port: process.env.PGPORT,
+  });
+  try {
+    await command(pool, args);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+// Versioned schema migrations shared by every service.
+//
+// Migrations live in ./migrations as NNN_name.js modules exporting
+// `up(client)` and `down(client)`. Each runs in its own transaction together
+// with its schema_migrations bookkeeping, so a failed step leaves no trace.
+// The runner only needs a pg Pool from the caller, which keeps this module
+// free of dependencies: services copy it next to their protos and call
+// assertSchemaCurrent() on startup.
+
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.js$/;
+// Arbitrary constant shared by all runners so concurrent jobs apply migrations one at a time.
+const ADVISORY_LOCK_ID = 724310001;
+
+class SchemaOutdatedError extends Error {
+  constructor(pending) {
+    super(
+      `database schema is out of date; pending migrations: ${pending.map((m) => m.id).join(", ")}. ` +
+        "Run the db-migrate job (node db/cli.js up) first."
+    );
+    this.name = "SchemaOutdatedError";
+    this.pending = pending;
+  }
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const mod = require(path.join(dir, file));
+      if (typeof mod.up !== "function" || typeof mod.down !== "function") {
+        throw new Error(`migration ${file} must export up() and down()`);
+      }
+      return { version, name, id: `${version}_${name}`, up: mod.up, down: mod.down };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+  migrations.forEach((migration, index) => {
+    if (index > 0 && Number(migrations[index - 1].version) === Number(migration.version)) {
+      throw new Error(`duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`
+  );
+}
+
+// Applied rows ordered oldest first; empty when the table does not exist yet.
+async function appliedMigrations(client) {
+  const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS present");
+  if (!exists.rows[0].present) return [];
+  const result = await client.query("SELECT version, name, applied_at FROM schema_migrations ORDER BY version::int");
+  return result.rows;
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [ADVISORY_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query("SELECT pg_advisory_unlock($1)", [ADVISORY_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction) {
+  await client.query("BEGIN");
+  try {
+    await migration[direction](client);
+    if (direction === "up") {
+      await client.query("INSERT INTO schema_migrations(version, name) VALUES($1, $2)", [
+        migration.version,
+        migration.name,
+      ]);
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [migration.version]);
+    }
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    e.message = `migration ${migration.id} ${direction} failed: ${e.message}`;
+    throw e;
+  }
+}
+
+// Applies pending migrations in order, up to and including `target` when given.
+// Resolves with the migrations that were applied.
+async function migrate(pool, { target = null, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const migrations = loadMigrations(dir);
+  return withLock(pool, async (client) => {
+    const applied = new Set((await appliedMigrations(client)).map((row) => row.version));
+    const pending = migrations.filter(
+      (m) => !applied.has(m.version) && (target === null || Number(m.version) <= Number(target))
+    );
+    for (const migration of pending) {
+      log(`applying ${migration.id}`);
+      await runStep(client, migration, "up");
+    }
+    return pending;
+  });
+}
+
+// Reverts the `steps` most recently applied migrations, newest first.
+async function rollback(pool, { steps = 1, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  const migrations = new Map(loadMigrations(dir).map((m) => [m.version, m]));
+  return withLock(pool, async (client) => {
+    const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration) throw new Error(`applied migration ${row.version}_${row.name} has no file to roll back with`);
+      log(`reverting ${migration.id}`);
+      await runStep(client, migration, "down");
+      reverted.push(migration);
+    }
+    return reverted;
+  });
+}
+
+// One row per known or applied migration: { id, applied_at } with a null
+// applied_at for pending ones. Applied versions without a file are flagged.
+async function status(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  const client = await pool.connect();
+  try {
+    const applied = new Map((await appliedMigrations(client)).map((row) => [row.version, row]));
+    const rows = migrations.map((m) => ({ id: m.id, applied_at: applied.get(m.version)?.applied_at || null }));
+    for (const [version, row] of applied) {
+      if (!migrations.some((m) => m.version === version)) {
+        rows.push({ id: `${version}_${row.name}`, applied_at: row.applied_at, unknown: true });
+      }
+    }
+    return rows;
+  } finally {
+    client.release();
+  }
+}
+
+// Rejects with SchemaOutdatedError when any migration shipped with this build
+// has not been applied. Services call this instead of creating tables.
+async function assertSchemaCurrent(pool, { dir = MIGRATIONS_DIR } = {}) {
+  const pending = (await status(pool, { dir })).filter((row) => !row.applied_at);
+  if (pending.length) throw new SchemaOutdatedError(pending);
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  SchemaOutdatedError,
+  loadMigrations,
+  migrate,
+  rollback,
+  status,
+  assertSchemaCurrent,
+};
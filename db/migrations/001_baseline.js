@@ -0,0 +1,83 @@
+// Schema as it stood when migrations were introduced. Until then each service
+// created its own tables on startup, so every statement here is idempotent:
+// on an existing database this migration only fills in what is missing.
+
+const UP = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+
+  "CREATE TABLE IF NOT EXISTS entries (id SERIAL PRIMARY KEY, text TEXT NOT NULL, created_at TIMESTAMPTZ DEFAULT NOW())",
+  `ALTER TABLE entries
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS user_id INTEGER,
+    ADD COLUMN IF NOT EXISTS entry_date DATE,
+    ADD COLUMN IF NOT EXISTS timezone TEXT`,
+  "ALTER TABLE entries ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (to_tsvector('english', text)) STORED",
+  "UPDATE entries SET entry_date = (created_at AT TIME ZONE 'UTC')::date WHERE entry_date IS NULL",
+  "ALTER TABLE entries ALTER COLUMN entry_date SET DEFAULT CURRENT_DATE, ALTER COLUMN entry_date SET NOT NULL",
+  "CREATE INDEX IF NOT EXISTS entries_search_idx ON entries USING GIN (search_vector)",
+  "CREATE INDEX IF NOT EXISTS entries_user_created_idx ON entries (user_id, created_at DESC, id DESC)",
+  "CREATE INDEX IF NOT EXISTS entries_user_entry_date_idx ON entries (user_id, entry_date)",
+
+  "CREATE TABLE IF NOT EXISTS tags (id SERIAL PRIMARY KEY, name TEXT NOT NULL UNIQUE)",
+  `CREATE TABLE IF NOT EXISTS entry_tags (
+    entry_id INT NOT NULL REFERENCES entries(id) ON DELETE CASCADE,
+    tag_id INT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+    PRIMARY KEY (entry_id, tag_id)
+  )`,
+  "CREATE INDEX IF NOT EXISTS entry_tags_tag_idx ON entry_tags (tag_id)",
+
+  `CREATE TABLE IF NOT EXISTS entry_attachments (
+    id SERIAL PRIMARY KEY,
+    entry_id INT NOT NULL REFERENCES entries(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    blob_key TEXT NOT NULL,
+    thumbnail_key TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    filename TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )`,
+  "CREATE INDEX IF NOT EXISTS entry_attachments_entry_idx ON entry_attachments (entry_id)",
+
+  "CREATE TABLE IF NOT EXISTS moods (id SERIAL PRIMARY KEY, mood TEXT NOT NULL, note TEXT, created_at TIMESTAMPTZ DEFAULT NOW())",
+  `ALTER TABLE moods
+    ADD COLUMN IF NOT EXISTS user_id INTEGER,
+    ADD COLUMN IF NOT EXISTS entry_date DATE,
+    ADD COLUMN IF NOT EXISTS timezone TEXT`,
+  "UPDATE moods SET entry_date = (created_at AT TIME ZONE 'UTC')::date WHERE entry_date IS NULL",
+  "ALTER TABLE moods ALTER COLUMN entry_date SET DEFAULT CURRENT_DATE, ALTER COLUMN entry_date SET NOT NULL",
+  "CREATE INDEX IF NOT EXISTS moods_user_created_idx ON moods (user_id, created_at DESC, id DESC)",
+  "CREATE INDEX IF NOT EXISTS moods_user_entry_date_idx ON moods (user_id, entry_date)",
+
+  // Legacy values table of server-main.
+  "CREATE TABLE IF NOT EXISTS values (number INT)",
+  "ALTER TABLE values ADD COLUMN IF NOT EXISTS user_id INT",
+];
+
+const DOWN = [
+  "DROP TABLE IF EXISTS values",
+  "DROP TABLE IF EXISTS moods",
+  "DROP TABLE IF EXISTS entry_attachments",
+  "DROP TABLE IF EXISTS entry_tags",
+  "DROP TABLE IF EXISTS tags",
+  "DROP TABLE IF EXISTS entries",
+  "DROP TABLE IF EXISTS users",
+];
+
+module.exports = {
+  async up(client) {
+    for (const statement of UP) await client.query(statement);
+  },
+
+  async down(client) {
+    for (const statement of DOWN) await client.query(statement);
+  },
+};
@@ -0,0 +1,44 @@
+// Mood vocabulary. Rows with a NULL user_id are the built-in moods every user
+// sees; users can add their own and archive them again. moods.mood keeps
+// storing the slug, so archiving a type never rewrites history.
+
+const BUILT_IN_MOODS = [
+  ["grateful", "Grateful", "🙏", 0.8],
+  ["happy", "Happy", "😄", 0.9],
+  ["calm", "Calm", "😌", 0.5],
+  ["focused", "Focused", "🎯", 0.4],
+  ["energized", "Energized", "⚡", 0.6],
+  ["tired", "Tired", "😴", -0.3],
+  ["stressed", "Stressed", "😓", -0.7],
+];
+
+module.exports = {
+  async up(client) {
+    await client.query(
+      `CREATE TABLE mood_types (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER,
+        slug TEXT NOT NULL,
+        label TEXT NOT NULL,
+        emoji TEXT NOT NULL,
+        -- -1 (unpleasant) .. 1 (pleasant)
+        valence REAL NOT NULL CHECK (valence BETWEEN -1 AND 1),
+        position INTEGER NOT NULL DEFAULT 0,
+        archived_at TIMESTAMPTZ,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )`
+    );
+    // A slug is unique among the built-ins plus one user's own moods.
+    await client.query("CREATE UNIQUE INDEX mood_types_owner_slug_idx ON mood_types (COALESCE(user_id, 0), slug)");
+    for (const [index, [slug, label, emoji, valence]] of BUILT_IN_MOODS.entries()) {
+      await client.query(
+        "INSERT INTO mood_types(user_id, slug, label, emoji, valence, position) VALUES(NULL, $1, $2, $3, $4, $5)",
+        [slug, label, emoji, valence, index]
+      );
+    }
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE mood_types");
+  },
+};
@@ -0,0 +1,17 @@
+// How strongly a mood was felt, plus optional circumplex coordinates.
+// Existing check-ins have no intensity, so the columns stay nullable.
+
+module.exports = {
+  async up(client) {
+    await client.query(
+      `ALTER TABLE moods
+        ADD COLUMN intensity SMALLINT CHECK (intensity BETWEEN 1 AND 10),
+        ADD COLUMN valence REAL CHECK (valence BETWEEN -1 AND 1),
+        ADD COLUMN arousal REAL CHECK (arousal BETWEEN -1 AND 1)`
+    );
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE moods DROP COLUMN intensity, DROP COLUMN valence, DROP COLUMN arousal");
+  },
+};
@@ -0,0 +1,13 @@
+// Links a mood to the gratitude entry it was logged with in a check-in.
+// A mood outlives its entry, so deleting the entry only drops the link.
+
+module.exports = {
+  async up(client) {
+    await client.query("ALTER TABLE moods ADD COLUMN entry_id INT REFERENCES entries(id) ON DELETE SET NULL");
+    await client.query("CREATE UNIQUE INDEX moods_entry_id_idx ON moods (entry_id) WHERE entry_id IS NOT NULL");
+  },
+
+  async down(client) {
+    await client.query("ALTER TABLE moods DROP COLUMN entry_id");
+  },
+};
@@ -0,0 +1,34 @@
+// Check-in reminders owned by reminder-service. time_of_day and weekdays are
+// read in the reminder's own timezone; next_fire_at is that schedule resolved
+// to an instant, so the scheduler only has to look for rows that are due.
+
+module.exports = {
+  async up(client) {
+    await client.query(
+      `CREATE TABLE reminders (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        time_of_day TIME NOT NULL,
+        -- 0 (Sunday) .. 6 (Saturday)
+        weekdays SMALLINT[] NOT NULL CHECK (cardinality(weekdays) > 0 AND weekdays <@ ARRAY[0,1,2,3,4,5,6]::SMALLINT[]),
+        timezone TEXT NOT NULL,
+        channel TEXT NOT NULL CHECK (channel IN ('webhook', 'email', 'push')),
+        -- Webhook URL, email address or JSON-encoded push subscription.
+        target TEXT NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT TRUE,
+        next_fire_at TIMESTAMPTZ,
+        last_fired_at TIMESTAMPTZ,
+        last_status TEXT,
+        last_error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ
+      )`
+    );
+    await client.query("CREATE INDEX reminders_user_idx ON reminders (user_id, id)");
+    await client.query("CREATE INDEX reminders_due_idx ON reminders (next_fire_at) WHERE enabled");
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE reminders");
+  },
+};
@@ -0,0 +1,20 @@
+// Days a user chose to "freeze": they keep a streak alive without an entry.
+// freeze_date is a local calendar day, like entries.entry_date.
+
+module.exports = {
+  async up(client) {
+    await client.query(
+      `CREATE TABLE streak_freezes (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        freeze_date DATE NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (user_id, freeze_date)
+      )`
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE streak_freezes");
+  },
+};
@@ -0,0 +1,127 @@
+// Per-user daily rollups of entries and moods for stats-service. Row triggers
+// keep them in step with every write, whichever service makes it, and announce
+// the affected user on the stats_changed channel so caches can be dropped.
+// rebuild_stats_rollups(user_id) recomputes them from the source tables; a
+// NULL user rebuilds everyone. Counts that fall to zero are kept as zero rows.
+
+const UP = [
+  `CREATE TABLE stats_daily_entries (
+    user_id INTEGER NOT NULL,
+    day DATE NOT NULL,
+    entry_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, day)
+  )`,
+  `CREATE TABLE stats_daily_moods (
+    user_id INTEGER NOT NULL,
+    day DATE NOT NULL,
+    mood TEXT NOT NULL,
+    mood_count INTEGER NOT NULL DEFAULT 0,
+    intensity_sum INTEGER NOT NULL DEFAULT 0,
+    intensity_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, day, mood)
+  )`,
+
+  `CREATE FUNCTION stats_notify_change(changed_user INTEGER) RETURNS void AS $$
+  BEGIN
+    IF changed_user IS NOT NULL THEN
+      PERFORM pg_notify('stats_changed', changed_user::text);
+    END IF;
+  END
+  $$ LANGUAGE plpgsql`,
+
+  // Only live (not soft-deleted) entries of a known user are counted.
+  `CREATE FUNCTION stats_rollup_entry() RETURNS trigger AS $$
+  BEGIN
+    IF TG_OP = 'UPDATE' AND (OLD.user_id, OLD.entry_date, OLD.deleted_at IS NULL)
+        IS NOT DISTINCT FROM (NEW.user_id, NEW.entry_date, NEW.deleted_at IS NULL) THEN
+      RETURN NULL;
+    END IF;
+    IF TG_OP <> 'INSERT' AND OLD.user_id IS NOT NULL AND OLD.deleted_at IS NULL THEN
+      UPDATE stats_daily_entries SET entry_count = entry_count - 1
+      WHERE user_id = OLD.user_id AND day = OLD.entry_date;
+      PERFORM stats_notify_change(OLD.user_id);
+    END IF;
+    IF TG_OP <> 'DELETE' AND NEW.user_id IS NOT NULL AND NEW.deleted_at IS NULL THEN
+      INSERT INTO stats_daily_entries(user_id, day, entry_count) VALUES(NEW.user_id, NEW.entry_date, 1)
+      ON CONFLICT (user_id, day) DO UPDATE SET entry_count = stats_daily_entries.entry_count + 1;
+      PERFORM stats_notify_change(NEW.user_id);
+    END IF;
+    RETURN NULL;
+  END
+  $$ LANGUAGE plpgsql`,
+  `CREATE TRIGGER entries_stats_rollup
+    AFTER INSERT OR DELETE OR UPDATE OF user_id, entry_date, deleted_at ON entries
+    FOR EACH ROW EXECUTE FUNCTION stats_rollup_entry()`,
+
+  `CREATE FUNCTION stats_rollup_mood() RETURNS trigger AS $$
+  BEGIN
+    IF TG_OP = 'UPDATE' AND (OLD.user_id, OLD.entry_date, OLD.mood, OLD.intensity)
+        IS NOT DISTINCT FROM (NEW.user_id, NEW.entry_date, NEW.mood, NEW.intensity) THEN
+      RETURN NULL;
+    END IF;
+    IF TG_OP <> 'INSERT' AND OLD.user_id IS NOT NULL THEN
+      UPDATE stats_daily_moods
+      SET mood_count = mood_count - 1,
+          intensity_sum = intensity_sum - COALESCE(OLD.intensity, 0),
+          intensity_count = intensity_count - (OLD.intensity IS NOT NULL)::int
+      WHERE user_id = OLD.user_id AND day = OLD.entry_date AND mood = OLD.mood;
+      PERFORM stats_notify_change(OLD.user_id);
+    END IF;
+    IF TG_OP <> 'DELETE' AND NEW.user_id IS NOT NULL THEN
+      INSERT INTO stats_daily_moods(user_id, day, mood, mood_count, intensity_sum, intensity_count)
+      VALUES(NEW.user_id, NEW.entry_date, NEW.mood, 1, COALESCE(NEW.intensity, 0), (NEW.intensity IS NOT NULL)::int)
+      ON CONFLICT (user_id, day, mood) DO UPDATE
+      SET mood_count = stats_daily_moods.mood_count + 1,
+          intensity_sum = stats_daily_moods.intensity_sum + EXCLUDED.intensity_sum,
+          intensity_count = stats_daily_moods.intensity_count + EXCLUDED.intensity_count;
+      PERFORM stats_notify_change(NEW.user_id);
+    END IF;
+    RETURN NULL;
+  END
+  $$ LANGUAGE plpgsql`,
+  `CREATE TRIGGER moods_stats_rollup
+    AFTER INSERT OR DELETE OR UPDATE OF user_id, entry_date, mood, intensity ON moods
+    FOR EACH ROW EXECUTE FUNCTION stats_rollup_mood()`,
+
+  // Holds off writers for the rest of the caller's transaction so no trigger
+  // update can land between the delete and the recount. '*' tells listeners
+  // that every user may have changed.
+  `CREATE FUNCTION rebuild_stats_rollups(target_user INTEGER) RETURNS void AS $$
+  BEGIN
+    LOCK TABLE entries, moods IN SHARE MODE;
+    DELETE FROM stats_daily_entries WHERE target_user IS NULL OR user_id = target_user;
+    INSERT INTO stats_daily_entries(user_id, day, entry_count)
+      SELECT user_id, entry_date, COUNT(*) FROM entries
+      WHERE user_id IS NOT NULL AND deleted_at IS NULL AND (target_user IS NULL OR user_id = target_user)
+      GROUP BY user_id, entry_date;
+    DELETE FROM stats_daily_moods WHERE target_user IS NULL OR user_id = target_user;
+    INSERT INTO stats_daily_moods(user_id, day, mood, mood_count, intensity_sum, intensity_count)
+      SELECT user_id, entry_date, mood, COUNT(*), COALESCE(SUM(intensity), 0), COUNT(intensity) FROM moods
+      WHERE user_id IS NOT NULL AND (target_user IS NULL OR user_id = target_user)
+      GROUP BY user_id, entry_date, mood;
+    PERFORM pg_notify('stats_changed', COALESCE(target_user::text, '*'));
+  END
+  $$ LANGUAGE plpgsql`,
+  "SELECT rebuild_stats_rollups(NULL)",
+];
+
+const DOWN = [
+  "DROP TRIGGER moods_stats_rollup ON moods",
+  "DROP TRIGGER entries_stats_rollup ON entries",
+  "DROP FUNCTION rebuild_stats_rollups(INTEGER)",
+  "DROP FUNCTION stats_rollup_mood()",
+  "DROP FUNCTION stats_rollup_entry()",
+  "DROP FUNCTION stats_notify_change(INTEGER)",
+  "DROP TABLE stats_daily_moods",
+  "DROP TABLE stats_daily_entries",
+];
+
+module.exports = {
+  async up(client) {
+    for (const statement of UP) await client.query(statement);
+  },
+
+  async down(client) {
+    for (const statement of DOWN) await client.query(statement);
+  },
+};
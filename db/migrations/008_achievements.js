@@ -0,0 +1,22 @@
+// Badges a user has unlocked. `achievement` is a rule key from
+// stats-service/achievements.js; badges stay unlocked even if the entries that
+// earned them are deleted later. seen_at is set once a client has announced it.
+
+module.exports = {
+  async up(client) {
+    await client.query(
+      `CREATE TABLE achievements (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        achievement TEXT NOT NULL,
+        unlocked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        seen_at TIMESTAMPTZ,
+        UNIQUE (user_id, achievement)
+      )`
+    );
+  },
+
+  async down(client) {
+    await client.query("DROP TABLE achievements");
+  },
+};
@@ -0,0 +1,69 @@
+// Validation and thumbnailing for photo attachments. Uploads are held in
+// memory (bounded by ATTACHMENT_MAX_BYTES) and inspected with sharp, so the
+// stored type comes from the image itself rather than the client's claim.
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || "", 10) || 8 * 1024 * 1024;
+const THUMBNAIL_SIZE = 320;
+
+// sharp format name -> [content type, file extension]
+const IMAGE_FORMATS = {
+  jpeg: ["image/jpeg", "jpg"],
+  png: ["image/png", "png"],
+  webp: ["image/webp", "webp"],
+  gif: ["image/gif", "gif"],
+  heif: ["image/heic", "heic"],
+};
+
+const ACCEPTED_TYPES = new Set(Object.values(IMAGE_FORMATS).map(([type]) => type));
+
+class InvalidImageError extends Error {}
+
+// Resolves to { contentType, width, height, thumbnail } or rejects with
+// InvalidImageError when the bytes are not a supported image.
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new InvalidImageError("File is not a readable image");
+  }
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) throw new InvalidImageError(`Unsupported image type: ${metadata.format}`);
+
+  // rotate() applies the EXIF orientation so phone photos are upright.
+  const thumbnail = await sharp(buffer, { animated: false })
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+    .webp({ quality: 75 })
+    .toBuffer();
+
+  // Orientations 5-8 swap the stored width and height.
+  const swapped = metadata.orientation >= 5;
+  return {
+    contentType: format[0],
+    extension: format[1],
+    width: swapped ? metadata.height : metadata.width,
+    height: swapped ? metadata.width : metadata.height,
+    thumbnail,
+  };
+};
+
+// Keys are namespaced per user and never derived from the uploaded filename.
+const blobKeysFor = (userId, extension) => {
+  const id = crypto.randomUUID();
+  return {
+    blobKey: `users/${userId}/${id}.${extension}`,
+    thumbnailKey: `users/${userId}/${id}.thumb.webp`,
+  };
+};
+
+module.exports = {
+  ATTACHMENT_MAX_BYTES,
+  ACCEPTED_TYPES,
+  InvalidImageError,
+  processImage,
+  blobKeysFor,
+};
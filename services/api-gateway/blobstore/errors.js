@@ -0,0 +1,9 @@
+class BlobNotFoundError extends Error {
+  constructor(key) {
+    super(`blob not found: ${key}`);
+    this.name = "BlobNotFoundError";
+    this.key = key;
+  }
+}
+
+module.exports = { BlobNotFoundError };
@@ -0,0 +1,37 @@
+// Pluggable storage for attachment bytes. Every backend exposes the same
+// promise-based interface:
+//
+//   init()                    prepare the backend (create directory/bucket)
+//   put(key, body, type)      store a Buffer under `key`
+//   get(key)                  resolve to a readable stream of the bytes
+//   remove(key)               delete `key`; missing keys are not an error
+//
+// get() rejects with a BlobNotFoundError when the key does not exist.
+
+const path = require("path");
+const { BlobNotFoundError } = require("./errors");
+const { createLocalStore } = require("./local");
+const { createS3Store } = require("./s3");
+
+const BACKENDS = {
+  local: (env) => createLocalStore({ root: env.BLOB_LOCAL_DIR || path.join(__dirname, "..", "uploads") }),
+  s3: (env) =>
+    createS3Store({
+      bucket: env.S3_BUCKET || "journal-attachments",
+      endpoint: env.S3_ENDPOINT || undefined,
+      region: env.S3_REGION || "us-east-1",
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      // MinIO and most self-hosted S3 implementations need path-style URLs.
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== "false",
+    }),
+};
+
+const createBlobStore = (env = process.env) => {
+  const backend = env.BLOB_STORE || "local";
+  const factory = BACKENDS[backend];
+  if (!factory) throw new Error(`Unknown BLOB_STORE "${backend}", expected one of: ${Object.keys(BACKENDS).join(", ")}`);
+  return factory(env);
+};
+
+module.exports = { createBlobStore, BlobNotFoundError };
@@ -0,0 +1,38 @@
+const fs = require("fs");
+const path = require("path");
+const { BlobNotFoundError } = require("./errors");
+
+// Stores blobs as plain files under `root`, one file per key.
+const createLocalStore = ({ root }) => {
+  const base = path.resolve(root);
+
+  const fileFor = (key) => {
+    const file = path.resolve(base, key);
+    // Keys are generated by the gateway, but never let one escape the root.
+    if (!file.startsWith(base + path.sep)) throw new Error(`invalid blob key: ${key}`);
+    return file;
+  };
+
+  return {
+    init: () => fs.promises.mkdir(base, { recursive: true }),
+
+    put: async (key, body) => {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    get: (key) =>
+      new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(fileFor(key));
+        stream.once("open", () => resolve(stream));
+        stream.once("error", (err) => reject(err.code === "ENOENT" ? new BlobNotFoundError(key) : err));
+      }),
+
+    remove: async (key) => {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalStore };
@@ -0,0 +1,50 @@
+const {
+  S3Client,
+  CreateBucketCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  PutObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { BlobNotFoundError } = require("./errors");
+
+// Stores blobs in an S3-compatible bucket (AWS S3, MinIO, ...).
+const createS3Store = ({ bucket, endpoint, region, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    init: async () => {
+      try {
+        await client.send(new HeadBucketCommand({ Bucket: bucket }));
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode !== 404) throw err;
+        await client.send(new CreateBucketCommand({ Bucket: bucket }));
+      }
+    },
+
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    get: async (key) => {
+      try {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return result.Body;
+      } catch (err) {
+        if (err.name === "NoSuchKey" || err.$metadata?.httpStatusCode === 404) throw new BlobNotFoundError(key);
+        throw err;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = { createS3Store };
@@ -0,0 +1,121 @@
+// Streaming serializers for GET /export. Each exporter is created per request
+// and turns JournalRecord messages into chunks of the downloaded file.
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = [
+  "kind",
+  "id",
+  "created_at",
+  "text",
+  "tags",
+  "mood",
+  "note",
+  "entry_date",
+  "timezone",
+  "intensity",
+  "valence",
+  "arousal",
+];
+
+// Valence/arousal arrive as proto floats; two decimals is what the service stores.
+const dimension = (value) => (value === undefined || value === null ? null : Math.round(value * 100) / 100);
+
+const createJsonExporter = (meta) => {
+  let count = 0;
+  return {
+    contentType: "application/json; charset=utf-8",
+    extension: "json",
+    header: () =>
+      `{"exported_at":${JSON.stringify(meta.exportedAt)},"from":${JSON.stringify(meta.from || null)},` +
+      `"to":${JSON.stringify(meta.to || null)},"records":[\n`,
+    row: (record) => {
+      const item = {
+        kind: record.kind,
+        id: record.id,
+        created_at: record.created_at,
+        entry_date: record.entry_date,
+        timezone: record.timezone,
+      };
+      if (record.kind === "entry") Object.assign(item, { text: record.text, tags: record.tags || [] });
+      else
+        Object.assign(item, {
+          mood: record.mood,
+          note: record.note,
+          intensity: record.intensity || null,
+          valence: dimension(record.valence),
+          arousal: dimension(record.arousal),
+        });
+      count += 1;
+      return `${count > 1 ? ",\n" : ""}${JSON.stringify(item)}`;
+    },
+    footer: () => "\n]}\n",
+  };
+};
+
+const createCsvExporter = () => ({
+  contentType: "text/csv; charset=utf-8",
+  extension: "csv",
+  header: () => `${CSV_COLUMNS.join(",")}\r\n`,
+  row: (record) =>
+    `${[
+      record.kind,
+      record.id,
+      record.created_at,
+      record.text,
+      (record.tags || []).join(" "),
+      record.mood,
+      record.note,
+      record.entry_date,
+      record.timezone,
+      record.intensity || null,
+      dimension(record.valence),
+      dimension(record.arousal),
+    ]
+      .map(csvCell)
+      .join(",")}\r\n`,
+  footer: () => "",
+});
+
+const createMarkdownExporter = (meta) => {
+  let currentDay = null;
+  return {
+    contentType: "text/markdown; charset=utf-8",
+    extension: "md",
+    header: () => `# Gratitude journal\n\nExported ${meta.exportedAt}.\n`,
+    row: (record) => {
+      // Records are grouped under the author's local day, which can differ from the UTC timestamp.
+      const day = record.entry_date || record.created_at.slice(0, 10);
+      const time = record.created_at.slice(11, 16);
+      let chunk = "";
+      if (day !== currentDay) {
+        currentDay = day;
+        chunk += `\n## ${day}\n\n`;
+      }
+      if (record.kind === "entry") {
+        chunk += `- ${time} — ${record.text}\n`;
+      } else {
+        const intensity = record.intensity ? ` (${record.intensity}/10)` : "";
+        chunk += `- ${time} — Mood: **${record.mood}**${intensity}${record.note ? ` — ${record.note}` : ""}\n`;
+      }
+      return chunk;
+    },
+    footer: () => (currentDay ? "" : "\n_No entries or moods in this range._\n"),
+  };
+};
+
+const EXPORTERS = {
+  json: createJsonExporter,
+  csv: createCsvExporter,
+  md: createMarkdownExporter,
+};
+
+const createExporter = (format, meta) => {
+  const factory = EXPORTERS[format];
+  return factory ? factory(meta) : null;
+};
+
+module.exports = { createExporter, EXPORT_FORMATS: Object.keys(EXPORTERS) };
@@ -0,0 +1,139 @@
+// Parsers for POST /import. Uploads use the same shapes GET /export produces,
+// so an exported file can be imported again without edits.
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Minimal RFC 4180 reader: quoted fields, doubled quotes and CRLF/LF line ends.
+// A quote only opens a quoted field at the start of a cell; elsewhere it is
+// kept as text. An unterminated quoted field is an error rather than the rest
+// of the file.
+const parseCsv = (input) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let quoteStart = 0;
+  const text = String(input || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+      quoteStart = rows.length + 1;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new Error(`CSV row ${quoteStart} has a quoted field that is never closed`);
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Empty cells and missing keys leave the optional proto fields unset.
+const optionalNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// 0 leaves a check-in unrated; anything that is not an integer becomes -1 so
+// moods-service reports the row as invalid instead of silently dropping it.
+const intensityOf = (value) => {
+  const number = optionalNumber(value);
+  if (number === undefined) return 0;
+  return Number.isInteger(number) ? number : -1;
+};
+
+const kindOf = (record) => {
+  const kind = String(record.kind || "").toLowerCase();
+  if (kind === "entry" || kind === "mood") return kind;
+  return record.mood && !record.text ? "mood" : "entry";
+};
+
+// Splits records into entry and mood rows, keeping the 1-based source row number.
+const splitRecords = (records) => {
+  const entries = [];
+  const moods = [];
+  records.forEach(({ record, row }) => {
+    const dates = {
+      created_at: String(record.created_at || record.createdAt || ""),
+      entry_date: String(record.entry_date || record.entryDate || ""),
+      timezone: String(record.timezone || ""),
+    };
+    if (kindOf(record) === "mood") {
+      moods.push({
+        row,
+        mood: String(record.mood || ""),
+        note: String(record.note || ""),
+        intensity: intensityOf(record.intensity),
+        valence: optionalNumber(record.valence),
+        arousal: optionalNumber(record.arousal),
+        ...dates,
+      });
+    } else {
+      entries.push({ row, text: String(record.text || ""), ...dates });
+    }
+  });
+  return { entries, moods };
+};
+
+const fromCsv = (body) => {
+  const [header = [], ...lines] = parseCsv(body);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  if (!columns.includes("created_at")) {
+    throw new Error("CSV must have a header row with a created_at column");
+  }
+  return lines
+    .map((cells, index) => {
+      // +2: 1-based numbering plus the header line.
+      const row = index + 2;
+      // Missing trailing cells are empty, but extra ones mean the columns have shifted.
+      if (cells.length > columns.length) {
+        throw new Error(`CSV row ${row} has ${cells.length} cells but the header has ${columns.length}`);
+      }
+      return { row, record: Object.fromEntries(columns.map((name, col) => [name, cells[col] ?? ""])) };
+    })
+    .filter(({ record }) => Object.values(record).some((value) => value.trim()));
+};
+
+const fromJson = (body) => {
+  if (Array.isArray(body?.records)) {
+    return body.records.map((record, index) => ({ row: index + 1, record: record || {} }));
+  }
+  const entries = Array.isArray(body?.entries) ? body.entries : [];
+  const moods = Array.isArray(body?.moods) ? body.moods : [];
+  return [
+    ...entries.map((record, index) => ({ row: index + 1, record: { ...record, kind: "entry" } })),
+    ...moods.map((record, index) => ({ row: index + 1, record: { ...record, kind: "mood" } })),
+  ];
+};
+
+// Returns { entries, moods } rows ready for ImportEntries / ImportMoods.
+const parseImport = (req) => {
+  const records = req.is("text/csv") || req.is("text/plain") ? fromCsv(req.body) : fromJson(req.body);
+  if (!records.length) throw new Error("No rows to import");
+  if (records.length > MAX_IMPORT_ROWS) throw new Error(`At most ${MAX_IMPORT_ROWS} rows per import`);
+  return splitRecords(records);
+};
+
+module.exports = { parseImport, parseCsv, optionalNumber, intensityOf };
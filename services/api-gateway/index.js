@@ -4,32 +4,127 @@ const cors = require("cors");
 const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const path = require("path");
-const OpenAI = require("openai");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const jwt = require("jsonwebtoken");
+const multer = require("multer");
+const { Pool } = require("pg");
+const { createExporter, EXPORT_FORMATS } = require("./exporters");
+const { createLlmProvider } = require("./llm");
+const { createJsonChat, parseRepairAttempts, aiErrorResponse } = require("./llm/json");
+const { parsePeriod, highlightWindows, buildReport, REPORT_RENDERERS, REPORT_FORMATS } = require("./reports");
+const { parseImport, optionalNumber, intensityOf } = require("./importers");
+const { assertSchemaCurrent } = require("./db");
+const { createBlobStore, BlobNotFoundError } = require("./blobstore");
+const {
+  ATTACHMENT_MAX_BYTES,
+  ACCEPTED_TYPES,
+  InvalidImageError,
+  processImage,
+  blobKeysFor,
+} = require("./attachments");
 
-const PROTO_PATH = path.join(__dirname, "protos", "entries.proto");
-const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+const PROTO_OPTIONS = {
   keepCase: true,
   longs: String,
   enums: String,
   defaults: true,
   oneofs: true,
-});
+};
+const PROTO_PATH = path.join(__dirname, "protos", "entries.proto");
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, PROTO_OPTIONS);
 const entriesProto = grpc.loadPackageDefinition(packageDefinition).entries;
+const MOODS_PROTO_PATH = path.join(__dirname, "protos", "moods.proto");
+const moodsProto = grpc.loadPackageDefinition(protoLoader.loadSync(MOODS_PROTO_PATH, PROTO_OPTIONS)).moods;
+const REMINDERS_PROTO_PATH = path.join(__dirname, "protos", "reminders.proto");
+const remindersProto = grpc.loadPackageDefinition(protoLoader.loadSync(REMINDERS_PROTO_PATH, PROTO_OPTIONS)).reminders;
+const STATS_PROTO_PATH = path.join(__dirname, "protos", "stats.proto");
+const statsProto = grpc.loadPackageDefinition(protoLoader.loadSync(STATS_PROTO_PATH, PROTO_OPTIONS)).stats;
 
 const ENTRIES_ADDR = process.env.ENTRIES_SERVICE_ADDR || "entries-cluster-ip-service:50051";
 const entriesClient = new entriesProto.Entries(ENTRIES_ADDR, grpc.credentials.createInsecure());
+const MOODS_ADDR = process.env.MOODS_SERVICE_ADDR || "moods-service-cluster-ip-service:50052";
+const moodsClient = new moodsProto.Moods(MOODS_ADDR, grpc.credentials.createInsecure());
+const REMINDERS_ADDR = process.env.REMINDERS_SERVICE_ADDR || "reminder-service-cluster-ip-service:50054";
+const remindersClient = new remindersProto.Reminders(REMINDERS_ADDR, grpc.credentials.createInsecure());
+const STATS_ADDR = process.env.STATS_SERVICE_ADDR || "stats-service-cluster-ip-service:50053";
+const statsClient = new statsProto.Stats(STATS_ADDR, grpc.credentials.createInsecure());
+
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "7d";
+if (!JWT_SECRET) {
+  console.error("JWT_SECRET must be set on the API gateway");
+  process.exit(1);
+}
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
-const openAiClient = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
+const pool = new Pool({
+  user: process.env.PGUSER,
+  host: process.env.PGHOST,
+  database: process.env.PGDATABASE,
+  password: process.env.PGPASSWORD,
+  port: process.env.PGPORT,
+});
+
+// LLM_PROVIDER=openai (default), openai-compatible or mock; see llm/index.js for the settings of each.
+const llm = createLlmProvider();
+
+// BLOB_STORE=local (default) or s3; see blobstore/index.js for the settings of each.
+const blobStore = createBlobStore();
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ["Content-Disposition"] }));
 app.use(bodyParser.json({ limit: "1mb" }));
 
-const ensureOpenAi = (res) => {
-  if (!openAiClient) {
-    res.status(503).send({ ok: false, error: "OPENAI_API_KEY is not configured on the API gateway" });
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as "<salt>:<derived key>", both hex encoded.
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const derived = await scrypt(password, salt, 64);
+  return `${salt}:${derived.toString("hex")}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, key = ""] = String(stored || "").split(":");
+  const expected = Buffer.from(key, "hex");
+  if (!salt || expected.length === 0) return false;
+  const derived = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+const issueToken = (user) => jwt.sign({ sub: String(user.id), email: user.email }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+// 401 for a missing, invalid or expired session. Its code tells the client to
+// sign out, which a 401 relayed from another service must not do.
+const sendAuthRequired = (res) =>
+  res
+    .status(401)
+    .set("WWW-Authenticate", "Bearer")
+    .send({ ok: false, code: "auth_required", error: "authentication required" });
+
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.userId = parseInt(payload.sub, 10);
+    if (!Number.isInteger(req.userId)) throw new Error("invalid subject");
+    next();
+  } catch (err) {
+    sendAuthRequired(res);
+  }
+};
+
+// Downstream services scope every query by the caller carried in x-user-id.
+const userMetadata = (req) => {
+  const metadata = new grpc.Metadata();
+  metadata.set("x-user-id", String(req.userId));
+  return metadata;
+};
+
+const ensureLlm = (res) => {
+  if (llm.missing) {
+    res.status(503).send({ ok: false, error: llm.missing });
     return false;
   }
   return true;
@@ -45,11 +140,18 @@ const clipCollection = (input, limit = 20) => {
   return input.slice(0, limit);
 };
 
-const safeJsonParse = (raw, fallback = {}) => {
-  try {
-    return JSON.parse(raw);
-  } catch (err) {
-    return fallback;
+const httpStatusFor = (err) => {
+  switch (err && err.code) {
+    case grpc.status.INVALID_ARGUMENT:
+      return 400;
+    case grpc.status.UNAUTHENTICATED:
+      return 401;
+    case grpc.status.NOT_FOUND:
+      return 404;
+    case grpc.status.FAILED_PRECONDITION:
+      return 409;
+    default:
+      return 500;
   }
 };
 
@@ -66,38 +168,14 @@ const normalizeMoods = (moods, limit = 20) =>
     created_at: item?.created_at || null,
   }));
 
-async function runChat(messages, options = {}) {
-  if (!openAiClient) {
-    throw new Error("OPENAI_API_KEY is not configured on the API gateway");
-  }
-  const response = await openAiClient.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.4,
-    ...options,
-    messages,
-  });
-  return response;
-}
+// `task` names the route: it selects the reply schema in schemas.js and tells the
+// mock provider which reply to produce. AI_REPAIR_ATTEMPTS (0-5, default 2) is
+// how often a reply that does not match its schema is sent back for repair.
+const runJsonChat = createJsonChat(llm, { repairAttempts: parseRepairAttempts(process.env.AI_REPAIR_ATTEMPTS) });
 
-const runJsonChat = async (systemPrompt, userPayload, options = {}) => {
-  const response = await runChat(
-    [
-      { role: "system", content: systemPrompt },
-      {
-        role: "user",
-        content: typeof userPayload === "string" ? userPayload : JSON.stringify(userPayload),
-      },
-    ],
-    {
-      response_format: { type: "json_object" },
-      max_tokens: options.maxTokens || 400,
-      temperature: options.temperature ?? 0.4,
-    }
-  );
-  return {
-    json: safeJsonParse(response.choices?.[0]?.message?.content || "{}"),
-    usage: response.usage || null,
-  };
+const sendAiError = (res, err, fallback) => {
+  const { status, body } = aiErrorResponse(err, fallback);
+  res.status(status).send(body);
 };
 
 app.get("/healthz", (req, res) => {
@@ -105,41 +183,557 @@ app.get("/healthz", (req, res) => {
     ok: true,
     services: {
       entries: ENTRIES_ADDR,
-      openai: Boolean(openAiClient),
+      moods: MOODS_ADDR,
+      reminders: REMINDERS_ADDR,
+      llm: llm.missing ? null : llm.name,
     },
   });
 });
 
 app.get("/ai/healthz", (req, res) => {
-  if (!openAiClient) {
+  if (llm.missing) {
     return res.status(503).send({
       ok: false,
-      error: "OPENAI_API_KEY missing",
+      error: llm.missing,
     });
   }
-  res.send({ ok: true, model: OPENAI_MODEL });
+  res.send({ ok: true, provider: llm.name, model: llm.model });
+});
+
+const toPublicUser = (row) => ({ id: row.id, email: row.email, created_at: row.created_at });
+
+const readCredentials = (req) => ({
+  email: sanitize(req.body?.email, 254).toLowerCase(),
+  password: req.body?.password ? String(req.body.password) : "",
 });
 
+app.post("/auth/register", async (req, res) => {
+  const { email, password } = readCredentials(req);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return res.status(400).send({ ok: false, error: "A valid email is required." });
+  }
+  if (password.length < 8 || password.length > 200) {
+    return res.status(400).send({ ok: false, error: "Password must be 8-200 characters." });
+  }
+  try {
+    const result = await pool.query(
+      "INSERT INTO users(email, password_hash) VALUES($1, $2) RETURNING id, email, created_at",
+      [email, await hashPassword(password)]
+    );
+    const user = result.rows[0];
+    res.status(201).send({ ok: true, token: issueToken(user), user: toPublicUser(user) });
+  } catch (err) {
+    if (err.code === "23505") {
+      return res.status(409).send({ ok: false, error: "An account with this email already exists." });
+    }
+    res.status(500).send({ ok: false, error: "Unable to register" });
+  }
+});
+
+app.post("/auth/login", async (req, res) => {
+  const { email, password } = readCredentials(req);
+  try {
+    const result = await pool.query("SELECT id, email, password_hash, created_at FROM users WHERE email = $1", [
+      email,
+    ]);
+    const user = result.rows[0];
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      return res.status(401).send({ ok: false, error: "Invalid email or password." });
+    }
+    res.send({ ok: true, token: issueToken(user), user: toPublicUser(user) });
+  } catch (err) {
+    res.status(500).send({ ok: false, error: "Unable to sign in" });
+  }
+});
+
+app.get("/auth/me", requireAuth, async (req, res) => {
+  try {
+    const result = await pool.query("SELECT id, email, created_at FROM users WHERE id = $1", [req.userId]);
+    if (!result.rows.length) return sendAuthRequired(res);
+    res.send({ ok: true, user: toPublicUser(result.rows[0]) });
+  } catch (err) {
+    res.status(500).send({ ok: false, error: "Unable to load account" });
+  }
+});
+
+// Everything below acts on a user's journal.
+app.use(["/entries", "/checkins", "/export", "/reports", "/import", "/attachments", "/reminders", "/ai"], requireAuth);
+
 // REST facade for Gratitude entries
+// Blob keys stay internal; clients address attachments by id.
+const toRestAttachment = (a) => ({
+  id: a.id,
+  entry_id: a.entry_id,
+  content_type: a.content_type,
+  size_bytes: a.size_bytes,
+  width: a.width || null,
+  height: a.height || null,
+  filename: a.filename || null,
+  created_at: a.created_at,
+});
+
+const dimension = (value) => (value === undefined || value === null ? null : Math.round(value * 100) / 100);
+
+const toRestLinkedMood = (m) => ({
+  id: m.id,
+  mood: m.mood,
+  note: m.note || "",
+  intensity: m.intensity || null,
+  valence: dimension(m.valence),
+  arousal: dimension(m.arousal),
+  created_at: m.created_at,
+});
+
+const toRestEntry = (e) => ({
+  id: e.id,
+  text: e.text,
+  created_at: e.created_at,
+  updated_at: e.updated_at || null,
+  tags: e.tags || [],
+  entry_date: e.entry_date,
+  timezone: e.timezone,
+  attachments: (e.attachments || []).map(toRestAttachment),
+  mood: e.mood ? toRestLinkedMood(e.mood) : null,
+});
+
 app.get("/entries/all", (req, res) => {
   const limit = Math.min(200, parseInt(req.query.limit || "50", 10) || 50);
-  entriesClient.ListEntries({ limit }, (err, result) => {
-    if (err) return res.status(500).send({ error: err.message });
+  const page_token = req.query.cursor ? String(req.query.cursor) : "";
+  const tag = sanitize(req.query.tag, 50);
+  const from = sanitize(req.query.from, 10);
+  const to = sanitize(req.query.to, 10);
+  entriesClient.ListEntries({ limit, page_token, tag, from, to }, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
     // Keep client compatibility shape: { rows: [...] }
-    res.send({ rows: (result.entries || []).map((e) => ({ id: e.id, text: e.text, created_at: e.created_at })) });
+    res.send({
+      rows: (result.entries || []).map(toRestEntry),
+      next_cursor: result.next_page_token || null,
+    });
+  });
+});
+
+app.get("/entries/search", (req, res) => {
+  const request = {
+    query: sanitize(req.query.q, 200),
+    from: sanitize(req.query.from, 10),
+    to: sanitize(req.query.to, 10),
+    limit: Math.min(100, parseInt(req.query.limit || "25", 10) || 25),
+  };
+  if (!request.query) return res.status(400).send({ error: "q is required" });
+  entriesClient.SearchEntries(request, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({
+      rows: (result.hits || []).map((hit) => ({
+        ...toRestEntry(hit.entry),
+        rank: hit.rank,
+        snippet: hit.snippet,
+      })),
+    });
+  });
+});
+
+app.get("/entries/tags", (req, res) => {
+  const limit = Math.min(200, parseInt(req.query.limit || "50", 10) || 50);
+  entriesClient.ListTags({ limit }, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.message });
+    res.send({ rows: result.tags || [] });
   });
 });
 
 app.post("/entries", (req, res) => {
   const text = (req.body && req.body.text ? String(req.body.text) : "").trim();
-  entriesClient.CreateEntry({ text }, (err, entry) => {
-    if (err) return res.status(400).send({ ok: false, error: err.message });
-    res.send({ ok: true, entry });
+  // entry_date backdates the entry to a local YYYY-MM-DD; timezone is the author's IANA zone.
+  const entry_date = sanitize(req.body && req.body.entry_date, 10);
+  const timezone = sanitize(req.body && req.body.timezone, 64);
+  entriesClient.CreateEntry({ text, entry_date, timezone }, userMetadata(req), (err, entry) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, entry: toRestEntry(entry) });
+  });
+});
+
+// A check-in writes an entry and a mood in one go and links the two.
+app.post("/checkins", (req, res) => {
+  const body = req.body || {};
+  const payload = {
+    text: sanitize(body.text, 5000),
+    mood: sanitize(body.mood, 40),
+    note: sanitize(body.note, 240),
+    intensity: intensityOf(body.intensity),
+    valence: optionalNumber(body.valence),
+    arousal: optionalNumber(body.arousal),
+    entry_date: sanitize(body.entry_date, 10),
+    timezone: sanitize(body.timezone, 64),
+  };
+  entriesClient.CheckIn(payload, userMetadata(req), (err, entry) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.status(201).send({ ok: true, entry: toRestEntry(entry) });
+  });
+});
+
+const idParamParser = (label) => (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) {
+    res.status(400).send({ ok: false, error: `invalid ${label} id` });
+    return null;
+  }
+  return id;
+};
+
+const parseEntryId = idParamParser("entry");
+const parseAttachmentId = idParamParser("attachment");
+
+const updateEntry = (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  const text = (req.body && req.body.text ? String(req.body.text) : "").trim();
+  entriesClient.UpdateEntry({ id, text }, userMetadata(req), (err, entry) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, entry: toRestEntry(entry) });
+  });
+};
+
+app.put("/entries/:id", updateEntry);
+app.patch("/entries/:id", updateEntry);
+
+app.delete("/entries/:id", (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  entriesClient.DeleteEntry({ id }, userMetadata(req), (err, deleted) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, deleted });
   });
 });
 
+app.post("/entries/:id/restore", (req, res) => {
+  const id = parseEntryId(req, res);
+  if (id === null) return;
+  entriesClient.RestoreEntry({ id }, userMetadata(req), (err, entry) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, entry: toRestEntry(entry) });
+  });
+});
+
+app.get("/export", (req, res) => {
+  const format = sanitize(req.query.format || "json", 10).toLowerCase();
+  const from = sanitize(req.query.from, 10);
+  const to = sanitize(req.query.to, 10);
+  const exportedAt = new Date().toISOString();
+  const exporter = createExporter(format, { exportedAt, from, to });
+  if (!exporter) {
+    return res.status(400).send({ error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+  }
+
+  const stream = entriesClient.ExportJournal({ from, to }, userMetadata(req));
+  let started = false;
+  // Headers are deferred until the first record so argument errors can still map to a 4xx.
+  const start = () => {
+    if (started) return;
+    started = true;
+    res.status(200);
+    res.set("Content-Type", exporter.contentType);
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="gratitude-journal-${exportedAt.slice(0, 10)}.${exporter.extension}"`
+    );
+    res.write(exporter.header());
+  };
+
+  stream.on("data", (record) => {
+    start();
+    if (!res.write(exporter.row(record))) {
+      stream.pause();
+      res.once("drain", () => stream.resume());
+    }
+  });
+  stream.on("end", () => {
+    start();
+    res.end(exporter.footer());
+  });
+  stream.on("error", (err) => {
+    if (err.code === grpc.status.CANCELLED) return;
+    if (!started) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.destroy(err);
+  });
+  res.on("close", () => {
+    if (!res.writableEnded) stream.cancel();
+  });
+});
+
+const unary = (client, method, request, metadata) =>
+  new Promise((resolve, reject) =>
+    client[method](request, metadata, (err, response) => (err ? reject(err) : resolve(response)))
+  );
+
+// Reports pick highlights from at most this many entries of a period, shared
+// evenly by its months (or weeks) so a busy December cannot crowd out January.
+// Within each share the newest entries are read.
+const MAX_REPORT_ENTRIES = 2000;
+
+async function listEntriesBetween(from, to, max, metadata) {
+  const entries = [];
+  let page_token = "";
+  do {
+    const limit = Math.min(200, max - entries.length);
+    const page = await unary(entriesClient, "ListEntries", { limit, page_token, from, to }, metadata);
+    entries.push(...page.entries);
+    page_token = page.next_page_token;
+  } while (page_token && entries.length < max);
+  return entries;
+}
+
+async function listReportEntries(period, metadata) {
+  const windows = highlightWindows(period);
+  const max = Math.floor(MAX_REPORT_ENTRIES / windows.length);
+  const lists = await Promise.all(windows.map(({ from, to }) => listEntriesBetween(from, to, max, metadata)));
+  return lists.flat();
+}
+
+// :period is a year ("2026") or a month ("2026-10"); ?format=html|pdf, ?tz= as for stats.
+app.get("/reports/:period", async (req, res) => {
+  const period = parsePeriod(req.params.period);
+  if (!period) return res.status(400).send({ error: "period must be YYYY or YYYY-MM" });
+  const format = sanitize(req.query.format || "html", 10).toLowerCase();
+  const renderer = REPORT_RENDERERS[format];
+  if (!renderer) return res.status(400).send({ error: `format must be one of ${REPORT_FORMATS.join(", ")}` });
+
+  const metadata = userMetadata(req);
+  const timezone = sanitize(req.query.tz, 64);
+  const range = { timezone, from: period.from, to: period.to };
+  let report;
+  try {
+    const [overview, themes, entries, moodTypes] = await Promise.all([
+      unary(statsClient, "GetOverview", { ...range, bucket: "day" }, metadata),
+      unary(statsClient, "GetThemes", range, metadata),
+      listReportEntries(period, metadata),
+      unary(moodsClient, "ListMoodTypes", { include_archived: true }, metadata),
+    ]);
+    report = buildReport({
+      period,
+      overview,
+      themes,
+      entries,
+      moodTypes: moodTypes.mood_types,
+      generatedAt: new Date().toISOString().slice(0, 10),
+    });
+  } catch (err) {
+    return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+  }
+
+  res.set("Content-Type", renderer.contentType);
+  res.set("Content-Disposition", `attachment; filename="gratitude-report-${period.key}.${format}"`);
+  const output = renderer.render(report);
+  if (typeof output === "string") return res.send(output);
+  output.pipe(res);
+  output.end();
+});
+
+const uploadPhoto = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) =>
+    ACCEPTED_TYPES.has(file.mimetype)
+      ? cb(null, true)
+      : cb(new InvalidImageError("Photos must be JPEG, PNG, WebP, GIF or HEIC images")),
+}).single("photo");
+
+const removeBlobs = (...keys) =>
+  Promise.all(keys.map((key) => blobStore.remove(key))).catch((err) =>
+    console.error("Could not remove attachment blobs", keys, err)
+  );
+
+// Multipart upload with a single "photo" field. The original and a WebP
+// thumbnail are written to the blob store before the metadata is recorded,
+// and removed again if the entries service rejects the attachment.
+app.post("/entries/:id/attachments", (req, res) => {
+  const entryId = parseEntryId(req, res);
+  if (entryId === null) return;
+  uploadPhoto(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const status = uploadErr.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+      const error =
+        status === 413 ? `Photos can be at most ${Math.floor(ATTACHMENT_MAX_BYTES / (1024 * 1024))} MB` : uploadErr.message;
+      return res.status(status).send({ ok: false, error });
+    }
+    if (!req.file) return res.status(400).send({ ok: false, error: "photo file is required" });
+
+    let image;
+    try {
+      image = await processImage(req.file.buffer);
+    } catch (err) {
+      if (err instanceof InvalidImageError) return res.status(400).send({ ok: false, error: err.message });
+      console.error("Thumbnail generation failed", err);
+      return res.status(500).send({ ok: false, error: "Could not process photo" });
+    }
+
+    const { blobKey, thumbnailKey } = blobKeysFor(req.userId, image.extension);
+    try {
+      await Promise.all([
+        blobStore.put(blobKey, req.file.buffer, image.contentType),
+        blobStore.put(thumbnailKey, image.thumbnail, "image/webp"),
+      ]);
+    } catch (err) {
+      console.error("Blob store write failed", err);
+      removeBlobs(blobKey, thumbnailKey);
+      return res.status(502).send({ ok: false, error: "Could not store photo" });
+    }
+
+    const request = {
+      entry_id: entryId,
+      blob_key: blobKey,
+      thumbnail_key: thumbnailKey,
+      content_type: image.contentType,
+      size_bytes: req.file.size,
+      width: image.width || 0,
+      height: image.height || 0,
+      filename: sanitize(req.file.originalname, 200),
+    };
+    entriesClient.AddAttachment(request, userMetadata(req), (err, attachment) => {
+      if (err) {
+        removeBlobs(blobKey, thumbnailKey);
+        return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+      }
+      res.status(201).send({ ok: true, attachment: toRestAttachment(attachment) });
+    });
+  });
+});
+
+// Streams one of an attachment's blobs; `variant` picks the original or the thumbnail.
+const sendAttachment = (variant) => (req, res) => {
+  const id = parseAttachmentId(req, res);
+  if (id === null) return;
+  entriesClient.GetAttachment({ id }, userMetadata(req), async (err, attachment) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    const thumbnail = variant === "thumbnail";
+    const key = thumbnail ? attachment.thumbnail_key : attachment.blob_key;
+    let stream;
+    try {
+      stream = await blobStore.get(key);
+    } catch (blobErr) {
+      if (blobErr instanceof BlobNotFoundError) return res.status(404).send({ ok: false, error: "attachment not found" });
+      console.error("Blob store read failed", blobErr);
+      return res.status(502).send({ ok: false, error: "Could not read photo" });
+    }
+    res.set("Content-Type", thumbnail ? "image/webp" : attachment.content_type);
+    res.set("Cache-Control", "private, max-age=86400, immutable");
+    res.set("X-Content-Type-Options", "nosniff");
+    if (!thumbnail) {
+      const filename = (attachment.filename || `photo-${attachment.id}`).replace(/[^\w. -]/g, "_");
+      res.set("Content-Disposition", `inline; filename="${filename}"`);
+    }
+    stream.on("error", (streamErr) => res.destroy(streamErr));
+    res.on("close", () => stream.destroy());
+    stream.pipe(res);
+  });
+};
+
+app.get("/attachments/:id", sendAttachment("original"));
+app.get("/attachments/:id/thumbnail", sendAttachment("thumbnail"));
+
+app.delete("/attachments/:id", (req, res) => {
+  const id = parseAttachmentId(req, res);
+  if (id === null) return;
+  entriesClient.DeleteAttachment({ id }, userMetadata(req), (err, attachment) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    removeBlobs(attachment.blob_key, attachment.thumbnail_key);
+    res.send({ ok: true, deleted: toRestAttachment(attachment) });
+  });
+});
+
+const EMPTY_IMPORT_REPORT = { imported: 0, duplicates: 0, invalid: 0, rows: [] };
+
+// Streams rows into a client-streaming Import* RPC and resolves with its report.
+const streamImport = (method, rows, metadata) =>
+  new Promise((resolve, reject) => {
+    if (!rows.length) return resolve(EMPTY_IMPORT_REPORT);
+    const call = method(metadata, (err, report) => (err ? reject(err) : resolve(report)));
+    rows.forEach((row) => call.write(row));
+    call.end();
+  });
+
+app.post("/import", bodyParser.text({ type: ["text/csv", "text/plain"], limit: "1mb" }), async (req, res) => {
+  let parsed;
+  try {
+    parsed = parseImport(req);
+  } catch (err) {
+    return res.status(400).send({ ok: false, error: err.message });
+  }
+  try {
+    const metadata = userMetadata(req);
+    const [entries, moods] = await Promise.all([
+      streamImport(entriesClient.ImportEntries.bind(entriesClient), parsed.entries, metadata),
+      streamImport(moodsClient.ImportMoods.bind(moodsClient), parsed.moods, metadata),
+    ]);
+    res.send({ ok: true, entries, moods });
+  } catch (err) {
+    res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+  }
+});
+
+const parseReminderId = idParamParser("reminder");
+
+// Push targets are a JSON-encoded subscription; accept the object as the browser produced it.
+const reminderTarget = (target) =>
+  typeof target === "object" && target !== null ? JSON.stringify(target) : sanitize(target, 4000);
+
+// Weekdays are numbers 0 (Sunday) to 6; anything else becomes -1 so reminder-service
+// rejects it instead of protobuf coercing it to Sunday.
+const reminderInput = (body = {}) => ({
+  time_of_day: sanitize(body.time_of_day, 5),
+  weekdays: clipCollection(body.weekdays, 7).map((day) => (Number.isInteger(day) ? day : -1)),
+  timezone: sanitize(body.timezone, 64),
+  channel: sanitize(body.channel, 20),
+  target: reminderTarget(body.target),
+  enabled: body.enabled !== false,
+});
+
+const sendReminder =
+  (res, status = 200) =>
+  (err, reminder) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.status(status).send({ ok: true, reminder });
+  };
+
+app.get("/reminders", (req, res) => {
+  remindersClient.ListReminders({}, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ rows: result.reminders || [] });
+  });
+});
+
+app.get("/reminders/channels", (req, res) => {
+  remindersClient.GetChannels({}, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ channels: result.channels || [], vapid_public_key: result.vapid_public_key || null });
+  });
+});
+
+app.post("/reminders", (req, res) => {
+  remindersClient.CreateReminder(reminderInput(req.body), userMetadata(req), sendReminder(res, 201));
+});
+
+app.put("/reminders/:id", (req, res) => {
+  const id = parseReminderId(req, res);
+  if (id === null) return;
+  remindersClient.UpdateReminder({ id, reminder: reminderInput(req.body) }, userMetadata(req), sendReminder(res));
+});
+
+app.delete("/reminders/:id", (req, res) => {
+  const id = parseReminderId(req, res);
+  if (id === null) return;
+  remindersClient.DeleteReminder({ id }, userMetadata(req), (err, deleted) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, deleted });
+  });
+});
+
+app.post("/reminders/:id/test", (req, res) => {
+  const id = parseReminderId(req, res);
+  if (id === null) return;
+  remindersClient.SendTestReminder({ id }, userMetadata(req), sendReminder(res));
+});
+
 app.post("/ai/insights", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const latestEntry = sanitize(req.body?.entry);
   const latestMood = req.body?.mood || null;
   const stats = req.body?.stats || null;
@@ -158,6 +752,7 @@ app.post("/ai/insights", async (req, res) => {
 
   try {
     const { json, usage } = await runJsonChat(
+      "insights",
       "You are an empathetic AI mentor. Analyse the data and output JSON with keys primary_emotion, summary, reflection, action_item, risk_level (low|medium|high), and partner_share (short supportive sentence).",
       userPayload,
       { maxTokens: 350 }
@@ -167,21 +762,18 @@ app.post("/ai/insights", async (req, res) => {
       usage,
     });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({
-      error: err.message || "Unable to fetch AI insights",
-    });
+    sendAiError(res, err, "Unable to fetch AI insights");
   }
 });
 
 app.post("/ai/prompt", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const focus = sanitize(req.body?.focus, 200);
   const mood = sanitize(req.body?.mood, 40) || "curious";
   const entry = sanitize(req.body?.entry, 400);
 
   try {
-    const response = await runChat(
+    const response = await llm.chat(
       [
         {
           role: "system",
@@ -195,23 +787,20 @@ app.post("/ai/prompt", async (req, res) => {
           }`,
         },
       ],
-      { max_tokens: 100, temperature: 0.8 }
+      { task: "prompt", maxTokens: 100, temperature: 0.8 }
     );
-    const prompt = response.choices?.[0]?.message?.content?.trim();
+    const prompt = response.content.trim();
     res.send({
       prompt: prompt || "Take a mindful breath and describe one highlight from today.",
-      usage: response.usage || null,
+      usage: response.usage,
     });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({
-      error: err.message || "Unable to fetch AI prompt",
-    });
+    sendAiError(res, err, "Unable to fetch AI prompt");
   }
 });
 
 app.post("/ai/summary", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const entries = normalizeEntries(req.body?.entries, 20);
   const moods = normalizeMoods(req.body?.moods, 20);
   const stats = req.body?.stats || null;
@@ -220,19 +809,19 @@ app.post("/ai/summary", async (req, res) => {
   }
   try {
     const { json, usage } = await runJsonChat(
+      "summary",
       "Create an uplifting weekly executive summary of the user's emotional wellbeing. Respond with JSON keys: overview, wins (array), growth_edges (array), focus_theme, encouragement.",
       { entries, moods, stats },
       { maxTokens: 420 }
     );
     res.send({ summary: json, usage });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({ error: err.message || "Unable to fetch AI summary" });
+    sendAiError(res, err, "Unable to fetch AI summary");
   }
 });
 
 app.post("/ai/goals", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const goals = clipCollection(req.body?.goals, 10)
     .map((goal) => sanitize(goal, 160))
     .filter(Boolean);
@@ -242,19 +831,19 @@ app.post("/ai/goals", async (req, res) => {
   }
   try {
     const { json, usage } = await runJsonChat(
+      "goals",
       "Relate the gratitude reflection to the user's life goals. Return JSON { reflections: [{ goal, insight, micro_action }] }.",
       { goals, entry },
       { maxTokens: 400 }
     );
     res.send({ reflections: json.reflections || [], usage });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({ error: err.message || "Unable to fetch goal reflections" });
+    sendAiError(res, err, "Unable to fetch goal reflections");
   }
 });
 
 app.post("/ai/anomaly", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const entries = normalizeEntries(req.body?.entries, 30);
   const moods = normalizeMoods(req.body?.moods, 30);
   if (!entries.length && !moods.length) {
@@ -262,38 +851,38 @@ app.post("/ai/anomaly", async (req, res) => {
   }
   try {
     const { json, usage } = await runJsonChat(
+      "anomaly",
       "Detect emotional anomalies or mental health risks. Return JSON { risk_level, alerts: [string], recommendation }.",
       { entries, moods },
       { maxTokens: 320 }
     );
     res.send({ anomaly: json, usage });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({ error: err.message || "Unable to run anomaly detection" });
+    sendAiError(res, err, "Unable to run anomaly detection");
   }
 });
 
 app.post("/ai/pattern", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const entries = normalizeEntries(req.body?.entries, 40);
   if (!entries.length) {
     return res.status(400).send({ error: "Provide entries to map life patterns." });
   }
   try {
     const { json, usage } = await runJsonChat(
+      "pattern",
       "Analyse gratitude entries to build a life pattern map. Return JSON { themes: [string], triggers: [string], supportive_habits: [string] }.",
       { entries },
       { maxTokens: 380 }
     );
     res.send({ pattern: json, usage });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({ error: err.message || "Unable to map patterns" });
+    sendAiError(res, err, "Unable to map patterns");
   }
 });
 
 app.post("/ai/transcript", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const note =
     sanitize(req.body?.voice_note, 1800) ||
     sanitize(req.body?.voice_note_text, 1800) ||
@@ -303,19 +892,19 @@ app.post("/ai/transcript", async (req, res) => {
   }
   try {
     const { json, usage } = await runJsonChat(
+      "transcript",
       "You clean up raw voice note text into a polished transcript. Return JSON { transcript, emotions: [string], highlights: [string], action_item }.",
       note,
       { maxTokens: 320 }
     );
     res.send({ transcript: json, usage });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({ error: err.message || "Unable to transcribe note" });
+    sendAiError(res, err, "Unable to transcribe note");
   }
 });
 
 app.post("/ai/partner", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const insights = req.body?.insights || null;
   const summary = req.body?.summary || null;
   const audience = sanitize(req.body?.audience || "partner", 40);
@@ -324,19 +913,19 @@ app.post("/ai/partner", async (req, res) => {
   }
   try {
     const { json, usage } = await runJsonChat(
+      "partner",
       "Create a short, caring update that shares emotional status with a loved one without revealing raw journal text. Return JSON { message }.",
       { insights, summary, audience },
       { maxTokens: 220 }
     );
     res.send({ share: json, usage });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({ error: err.message || "Unable to craft partner update" });
+    sendAiError(res, err, "Unable to craft partner update");
   }
 });
 
 app.post("/ai/chat", async (req, res) => {
-  if (!ensureOpenAi(res)) return;
+  if (!ensureLlm(res)) return;
   const history = Array.isArray(req.body?.conversation) ? req.body.conversation : [];
   const topic = sanitize(req.body?.topic, 120) || "overall wellbeing";
   const messages = [
@@ -362,19 +951,25 @@ app.post("/ai/chat", async (req, res) => {
   }
 
   try {
-    const response = await runChat(messages, { max_tokens: 360, temperature: 0.7 });
-    const reply = response.choices?.[0]?.message?.content?.trim();
+    const response = await llm.chat(messages, { task: "chat", maxTokens: 360, temperature: 0.7 });
+    const reply = response.content.trim();
     res.send({
       reply: reply || "Take a calming breath and notice one thing you appreciate in this moment.",
-      usage: response.usage || null,
+      usage: response.usage,
     });
   } catch (err) {
-    const status = err?.status || err?.statusCode || 502;
-    res.status(status).send({
-      error: err.message || "Unable to continue the mentor chat",
-    });
+    sendAiError(res, err, "Unable to continue the mentor chat");
   }
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`API Gateway listening on :${PORT}`));
+async function main() {
+  await assertSchemaCurrent(pool);
+  await blobStore.init();
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => console.log(`API Gateway listening on :${PORT}`));
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+// Pluggable chat-completion backends for the /ai routes, chosen by LLM_PROVIDER.
+// Every provider exposes the same interface:
+//
+//   name                      provider name, for health checks
+//   model                     model the replies come from
+//   missing                   why the provider cannot be used, or "" when it can
+//   chat(messages, options)   resolve to { content, usage }
+//
+// chat() options are { task, maxTokens, temperature, json }. `json` asks for a
+// JSON object reply; `task` names the calling route and only matters to the mock.
+
+const { createOpenAiProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+const PROVIDERS = {
+  openai: (env) =>
+    createOpenAiProvider({
+      name: "openai",
+      apiKey: env.OPENAI_API_KEY,
+      model: env.OPENAI_MODEL || "gpt-4o-mini",
+      missing: env.OPENAI_API_KEY ? "" : "OPENAI_API_KEY is not configured on the API gateway",
+    }),
+  // Ollama, llama.cpp, vLLM and other servers speaking the OpenAI chat API.
+  "openai-compatible": (env) =>
+    createOpenAiProvider({
+      name: "openai-compatible",
+      baseURL: env.LLM_BASE_URL,
+      apiKey: env.LLM_API_KEY,
+      model: env.LLM_MODEL,
+      missing: env.LLM_BASE_URL && env.LLM_MODEL ? "" : "LLM_BASE_URL and LLM_MODEL must be set on the API gateway",
+    }),
+  mock: () => createMockProvider(),
+};
+
+const createLlmProvider = (env = process.env) => {
+  const provider = env.LLM_PROVIDER || "openai";
+  const factory = PROVIDERS[provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}", expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return factory(env);
+};
+
+module.exports = { createLlmProvider };
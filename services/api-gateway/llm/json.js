@@ -0,0 +1,74 @@
+// JSON replies for the /ai routes: asks a provider for a JSON object, validates
+// it against the task's schema in schemas.js, and sends non-conforming replies
+// back to the model with the problems found.
+
+const { AI_SCHEMAS, AiSchemaError, validateAiReply } = require("../schemas");
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const MAX_REPAIR_ATTEMPTS = 5;
+
+// AI_REPAIR_ATTEMPTS as a whole number of extra attempts between 0 and 5.
+const parseRepairAttempts = (value) => {
+  const attempts = parseInt(value, 10);
+  if (!Number.isFinite(attempts)) return DEFAULT_REPAIR_ATTEMPTS;
+  return Math.min(MAX_REPAIR_ATTEMPTS, Math.max(0, attempts));
+};
+
+const USAGE_KEYS = ["prompt_tokens", "completion_tokens", "total_tokens"];
+
+const addUsage = (total, usage) =>
+  total && usage ? Object.fromEntries(USAGE_KEYS.map((key) => [key, (total[key] || 0) + (usage[key] || 0)])) : usage;
+
+const repairPrompt = (task, errors) =>
+  "Your reply did not match the required format:\n" +
+  errors.map((error) => `- ${error.path || "reply"} ${error.message}`).join("\n") +
+  `\nReply again with only a JSON object matching this JSON schema: ${JSON.stringify(AI_SCHEMAS[task])}`;
+
+// Returns runJsonChat(task, systemPrompt, userPayload, { maxTokens, temperature }),
+// which resolves to { json, usage } or, once `repairAttempts` extra attempts
+// have failed too, rejects with an AiSchemaError.
+const createJsonChat =
+  (llm, { repairAttempts = DEFAULT_REPAIR_ATTEMPTS } = {}) =>
+  async (task, systemPrompt, userPayload, options = {}) => {
+    const messages = [
+      { role: "system", content: systemPrompt },
+      {
+        role: "user",
+        content: typeof userPayload === "string" ? userPayload : JSON.stringify(userPayload),
+      },
+    ];
+    let usage = null;
+    for (let attempt = 0; ; attempt += 1) {
+      const response = await llm.chat(messages, {
+        task,
+        json: true,
+        maxTokens: options.maxTokens || 400,
+        temperature: options.temperature ?? 0.4,
+      });
+      usage = addUsage(usage, response.usage);
+      const { value, errors } = validateAiReply(task, response.content);
+      if (!errors) return { json: value, usage };
+      if (attempt >= repairAttempts) throw new AiSchemaError(task, errors);
+      messages.push(
+        { role: "assistant", content: response.content },
+        { role: "user", content: repairPrompt(task, errors) }
+      );
+    }
+  };
+
+// Status and body for a failed /ai call. Non-conforming JSON replies become a
+// typed 502 the client can tell apart from provider outages. A provider
+// rejecting the gateway's key is a 502 too: relayed as is, its 401 or 403
+// would read as the caller's own session or permissions failing.
+const aiErrorResponse = (err, fallback) => {
+  if (err instanceof AiSchemaError) {
+    return {
+      status: 502,
+      body: { code: "ai_schema_invalid", error: err.message, validation_errors: err.validationErrors },
+    };
+  }
+  const status = err?.status || err?.statusCode || 502;
+  return { status: status === 401 || status === 403 ? 502 : status, body: { error: err?.message || fallback } };
+};
+
+module.exports = { createJsonChat, parseRepairAttempts, aiErrorResponse };
@@ -0,0 +1,77 @@
+// Offline provider for development and tests. Replies are canned per task and
+// shaped like the JSON each /ai route asks for, so the same request always
+// yields the same reply and no network access is needed.
+
+const parsePayload = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (err) {
+    return content;
+  }
+};
+
+const firstSentence = (text) => (String(text).match(/[^.!?]+[.!?]?/) || [""])[0].trim();
+
+const REPLIES = {
+  insights: () => ({
+    primary_emotion: "gratitude",
+    summary: "You noticed several good moments and took time to write them down.",
+    reflection: "What made those moments stand out from the rest of the day?",
+    action_item: "Thank one person who contributed to today's highlight.",
+    risk_level: "low",
+    partner_share: "I'm doing well and feeling thankful today.",
+  }),
+  summary: () => ({
+    overview: "A steady week with regular reflection and mostly positive moods.",
+    wins: ["Journaled consistently", "Noticed small joys"],
+    growth_edges: ["Rest more on busy days"],
+    focus_theme: "Presence",
+    encouragement: "Keep showing up for yourself; it is adding up.",
+  }),
+  goals: (payload) => ({
+    reflections: (Array.isArray(payload.goals) ? payload.goals : []).map((goal) => ({
+      goal,
+      insight: "Today's gratitude shows what already supports this goal.",
+      micro_action: "Spend ten minutes on it tomorrow morning.",
+    })),
+  }),
+  anomaly: () => ({
+    risk_level: "low",
+    alerts: [],
+    recommendation: "No unusual patterns found. Keep checking in regularly.",
+  }),
+  pattern: () => ({
+    themes: ["relationships", "nature"],
+    triggers: ["busy workdays"],
+    supportive_habits: ["evening walks", "calling friends"],
+  }),
+  transcript: (note) => ({
+    transcript: String(note).trim(),
+    emotions: ["calm"],
+    highlights: [firstSentence(note)].filter(Boolean),
+    action_item: "Revisit this note tomorrow and add one more detail.",
+  }),
+  partner: () => ({ message: "I've been feeling grounded and grateful lately. Thanks for being there." }),
+  prompt: () => "What small moment today made you feel grateful, and why did it matter to you?",
+  chat: () => "Thank you for sharing that. Take a slow breath and name one thing you can see that you appreciate.",
+};
+
+const createMockProvider = () => ({
+  name: "mock",
+  model: "mock",
+  missing: "",
+
+  chat: async (messages, { task, json } = {}) => {
+    const reply = REPLIES[task];
+    if (!reply) throw new Error(`The mock LLM provider has no reply for task "${task}"`);
+    const users = messages.filter((message) => message.role === "user");
+    const payload = parsePayload(users.length ? users[users.length - 1].content : "");
+    const value = reply(payload);
+    return {
+      content: json ? JSON.stringify(value) : String(value),
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+  },
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,27 @@
+const OpenAI = require("openai");
+
+// OpenAI itself, or any server implementing its chat completions API at `baseURL`.
+const createOpenAiProvider = ({ name, apiKey, baseURL, model, missing }) => {
+  // Local servers usually ignore the key, but the SDK refuses to start without one.
+  const client = missing ? null : new OpenAI({ apiKey: apiKey || "unused", baseURL: baseURL || undefined });
+
+  return {
+    name,
+    model,
+    missing,
+
+    chat: async (messages, { maxTokens, temperature, json } = {}) => {
+      if (!client) throw new Error(missing);
+      const response = await client.chat.completions.create({
+        model,
+        messages,
+        max_tokens: maxTokens,
+        temperature: temperature ?? 0.4,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+      });
+      return { content: response.choices?.[0]?.message?.content || "", usage: response.usage || null };
+    },
+  };
+};
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,396 @@
+// Month and year reports for GET /reports/:period. The route gathers stats-service
+// and entries-service data, buildReport() condenses it, and the renderers turn
+// the result into a self-contained HTML page or a PDF drawn with pdfkit, so no
+// headless browser is involved.
+
+const PDFDocument = require("pdfkit");
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+const REPORT_WORDS = 20;
+const REPORT_PHRASES = 8;
+const REPORT_CATEGORIES = 6;
+const MAX_HIGHLIGHTS = 12;
+const HIGHLIGHT_MAX_CHARS = 500;
+
+// The standard PDF fonts only cover Western European text. Point
+// REPORT_PDF_FONT at a TrueType font to keep other scripts in the PDF.
+const REPORT_PDF_FONT = process.env.REPORT_PDF_FONT || "";
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// "2026" is a year and "2026-10" a month; anything else is null. Years start
+// at 1000 so every period is a YYYY-MM-DD range.
+function parsePeriod(value) {
+  const match = /^([1-9]\d{3})(?:-(\d{2}))?$/.exec(String(value || ""));
+  if (!match) return null;
+  const year = Number(match[1]);
+  if (!match[2]) {
+    return { kind: "year", key: match[1], label: `${year} in review`, from: `${year}-01-01`, to: `${year}-12-31` };
+  }
+  const month = Number(match[2]);
+  if (month < 1 || month > 12) return null;
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    kind: "month",
+    key: `${year}-${pad(month)}`,
+    label: `${MONTH_NAMES[month - 1]} ${year}`,
+    from: `${year}-${pad(month)}-01`,
+    to: `${year}-${pad(month)}-${pad(lastDay)}`,
+  };
+}
+
+// Longest run of consecutive days with an entry; `days` are daily buckets in order.
+function longestRun(days) {
+  let longest = 0;
+  let current = 0;
+  days.forEach((day) => {
+    current = day.entry_count > 0 ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  });
+  return longest;
+}
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+// The most substantial entry of every month (year reports) or week of the
+// month (month reports), oldest first.
+function pickHighlights(entries, kind) {
+  const groupOf = (entry) =>
+    kind === "year" ? entry.entry_date.slice(0, 7) : String(Math.floor((Number(entry.entry_date.slice(8)) - 1) / 7));
+  const best = new Map();
+  entries.forEach((entry) => {
+    const group = groupOf(entry);
+    const current = best.get(group);
+    if (!current || wordCount(entry.text) > wordCount(current.text)) best.set(group, entry);
+  });
+  return [...best.values()]
+    .sort((a, b) => a.entry_date.localeCompare(b.entry_date) || a.id - b.id)
+    .slice(0, MAX_HIGHLIGHTS);
+}
+
+// The inclusive from/to days of the groups pickHighlights() chooses between,
+// oldest first: the months of a year, or the 7-day stretches of a month
+// counted from the 1st.
+function highlightWindows(period) {
+  if (period.kind === "year") {
+    return MONTH_NAMES.map((name, index) => {
+      const { from, to } = parsePeriod(`${period.key}-${pad(index + 1)}`);
+      return { from, to };
+    });
+  }
+  const lastDay = Number(period.to.slice(8));
+  const windows = [];
+  for (let first = 1; first <= lastDay; first += 7) {
+    windows.push({ from: `${period.key}-${pad(first)}`, to: `${period.key}-${pad(Math.min(first + 6, lastDay))}` });
+  }
+  return windows;
+}
+
+// `overview` must have daily buckets covering exactly the period; `moodTypes`
+// label the mood slugs.
+function buildReport({ period, overview, themes, entries, moodTypes, generatedAt }) {
+  const types = new Map(moodTypes.map((type) => [type.value, type]));
+  const moodMeta = (slug) => {
+    const type = types.get(slug);
+    return type
+      ? { label: type.label, emoji: type.emoji }
+      : { label: slug.charAt(0).toUpperCase() + slug.slice(1), emoji: "" };
+  };
+  const days = overview.buckets || [];
+  const activity =
+    period.kind === "year"
+      ? MONTH_NAMES.map((name, index) => ({
+          label: name.slice(0, 3),
+          count: days
+            .filter((day) => day.start.slice(5, 7) === pad(index + 1))
+            .reduce((sum, day) => sum + day.entry_count, 0),
+        }))
+      : days.map((day) => ({ label: String(Number(day.start.slice(8))), count: day.entry_count }));
+  const moodTrend = [...(overview.mood_trend || [])].sort((a, b) => b.count - a.count || a.mood.localeCompare(b.mood));
+  const checkIns = moodTrend.reduce((sum, item) => sum + item.count, 0);
+
+  return {
+    title: period.label,
+    period,
+    generatedAt,
+    summary: {
+      entries: days.reduce((sum, day) => sum + day.entry_count, 0),
+      daysWritten: days.filter((day) => day.entry_count > 0).length,
+      longestStreak: longestRun(days),
+      checkIns,
+    },
+    activity,
+    moods: moodTrend.map((item) => ({
+      ...moodMeta(item.mood),
+      count: item.count,
+      share: checkIns ? item.count / checkIns : 0,
+    })),
+    words: (themes.words || []).slice(0, REPORT_WORDS).map(({ term, count }) => ({ term, count })),
+    phrases: (themes.bigrams || []).slice(0, REPORT_PHRASES).map(({ term, count }) => ({ term, count })),
+    categories: (themes.categories || []).slice(0, REPORT_CATEGORIES).map(({ label, entry_count, top_terms }) => ({
+      label,
+      entryCount: entry_count,
+      topTerms: top_terms || [],
+    })),
+    highlights: pickHighlights(entries, period.kind).map((entry) => ({
+      date: entry.entry_date,
+      text: clip(entry.text, HIGHLIGHT_MAX_CHARS),
+      mood: entry.mood && entry.mood.mood ? moodMeta(entry.mood.mood) : null,
+    })),
+  };
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+  );
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+const REPORT_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 15px/1.5 -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; color: #1f2937; }
+  main { max-width: 820px; margin: 0 auto; padding: 40px 32px; }
+  h1 { margin: 0; font-size: 32px; }
+  h2 { margin: 36px 0 12px; font-size: 19px; border-bottom: 1px solid #e5e7eb; padding-bottom: 6px; }
+  .muted { color: #6b7280; }
+  .summary { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 24px; }
+  .summary div { border: 1px solid #e5e7eb; border-radius: 10px; padding: 12px; background: #f8fafc; }
+  .summary strong { display: block; font-size: 26px; }
+  .activity { display: flex; align-items: flex-end; gap: 3px; height: 120px; }
+  .activity div { flex: 1; display: flex; flex-direction: column; justify-content: flex-end; align-items: center;
+    height: 100%; font-size: 10px; color: #6b7280; }
+  .activity span { width: 100%; background: #2563eb; border-radius: 3px 3px 0 0; }
+  .bars { list-style: none; margin: 0; padding: 0; }
+  .bars li { display: grid; grid-template-columns: 180px 1fr 90px; gap: 12px; align-items: center; margin: 6px 0; }
+  .bar { height: 10px; border-radius: 999px; background: #f3f4f6; overflow: hidden; }
+  .bar span { display: block; height: 100%; background: linear-gradient(135deg, #2563eb, #9333ea); }
+  .words { display: flex; flex-wrap: wrap; gap: 6px; }
+  .words span { border-radius: 999px; background: #f3f4f6; padding: 2px 10px; }
+  blockquote { margin: 0 0 14px; padding: 10px 16px; border-left: 4px solid #2563eb; background: #f8fafc;
+    break-inside: avoid; }
+  blockquote p { margin: 0 0 4px; white-space: pre-wrap; }
+  @media print { main { padding: 0; } h2 { break-after: avoid; } }
+`;
+
+function renderReportHtml(report) {
+  const { summary } = report;
+  const maxActivity = Math.max(1, ...report.activity.map((item) => item.count));
+  const section = (title, body) => `<h2>${escapeHtml(title)}</h2>\n${body}`;
+  const empty = (text) => `<p class="muted">${escapeHtml(text)}</p>`;
+
+  const activity = `<div class="activity">${report.activity
+    .map(
+      (item) =>
+        `<div title="${escapeHtml(`${item.label}: ${item.count}`)}">` +
+        `<span style="height:${Math.round((item.count / maxActivity) * 100)}%"></span>${escapeHtml(item.label)}</div>`
+    )
+    .join("")}</div>`;
+  const moods = report.moods.length
+    ? `<ul class="bars">${report.moods
+        .map(
+          (mood) =>
+            `<li><span>${escapeHtml(`${mood.emoji} ${mood.label}`.trim())}</span>` +
+            `<span class="bar"><span style="width:${percent(mood.share)}"></span></span>` +
+            `<span class="muted">${mood.count} · ${percent(mood.share)}</span></li>`
+        )
+        .join("")}</ul>`
+    : empty("No moods were logged in this period.");
+  const themes = report.words.length
+    ? `<div class="words">${report.words
+        .map((word) => `<span>${escapeHtml(word.term)} <span class="muted">${word.count}</span></span>`)
+        .join("")}</div>` +
+      (report.phrases.length
+        ? `<p class="muted">Phrases: ${report.phrases.map((phrase) => escapeHtml(phrase.term)).join(" · ")}</p>`
+        : "") +
+      (report.categories.length
+        ? `<ul class="bars">${report.categories
+            .map(
+              (category) =>
+                `<li><strong>${escapeHtml(category.label)}</strong>` +
+                `<span class="bar"><span style="width:${percent(category.entryCount / (summary.entries || 1))}">` +
+                `</span></span><span class="muted">${category.entryCount} entries</span></li>`
+            )
+            .join("")}</ul>`
+        : "")
+    : empty("Not enough writing in this period to find themes.");
+  const highlights = report.highlights.length
+    ? report.highlights
+        .map(
+          (item) =>
+            `<blockquote><p>${escapeHtml(item.text)}</p><span class="muted">${escapeHtml(item.date)}` +
+            `${item.mood ? ` · feeling ${escapeHtml(`${item.mood.emoji} ${item.mood.label}`.trim())}` : ""}` +
+            `</span></blockquote>`
+        )
+        .join("\n")
+    : empty("No entries in this period.");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(`Gratitude journal — ${report.title}`)}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(report.title)}</h1>
+<p class="muted">${escapeHtml(`${report.period.from} – ${report.period.to} · generated ${report.generatedAt}`)}</p>
+<div class="summary">
+  <div><strong>${summary.entries}</strong>entries</div>
+  <div><strong>${summary.daysWritten}</strong>days written</div>
+  <div><strong>${summary.longestStreak}</strong>longest streak (days)</div>
+  <div><strong>${summary.checkIns}</strong>moods logged</div>
+</div>
+${section(report.period.kind === "year" ? "Entries by month" : "Entries by day", activity)}
+${section("Mood distribution", moods)}
+${section("Most frequent themes", themes)}
+${section("Highlights", highlights)}
+</main>
+</body>
+</html>
+`;
+}
+
+// Without REPORT_PDF_FONT, characters the standard fonts cannot draw (emoji,
+// non-Latin scripts) are left out rather than printed as garbage.
+const pdfText = (text) => (REPORT_PDF_FONT ? text : text.replace(/[^\n\x20-\x7e\xa0-\xff‘’“”–—…•]/g, "").trim());
+
+// Returns a PDFDocument that the caller pipes to the response and then ends.
+function renderReportPdf(report) {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Gratitude journal — ${report.title}` } });
+  const regular = REPORT_PDF_FONT || "Helvetica";
+  const bold = REPORT_PDF_FONT || "Helvetica-Bold";
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const left = doc.page.margins.left;
+  const heading = (title) => {
+    if (doc.y > doc.page.height - 160) doc.addPage();
+    doc.moveDown(1.2).font(bold).fontSize(14).fillColor("#1f2937").text(pdfText(title), left);
+    doc.moveDown(0.4);
+  };
+  const muted = (text) =>
+    doc.font(regular).fontSize(10).fillColor("#6b7280").text(pdfText(text), left, doc.y, { width });
+  // A labelled horizontal bar per row, as in the HTML mood list.
+  const bar = (label, share, note) => {
+    const y = doc.y;
+    doc.font(regular).fontSize(10).fillColor("#1f2937").text(pdfText(label), left, y, { width: 150, lineBreak: false });
+    doc.roundedRect(left + 160, y + 2, 260, 8, 4).fill("#f3f4f6");
+    if (share > 0) doc.roundedRect(left + 160, y + 2, Math.max(8, 260 * share), 8, 4).fill("#2563eb");
+    doc.fillColor("#6b7280").text(pdfText(note), left + 430, y, { width: width - 430, lineBreak: false });
+    doc.y = y + 16;
+  };
+
+  doc.font(bold).fontSize(24).fillColor("#1f2937").text(pdfText(report.title));
+  muted(`${report.period.from} – ${report.period.to} · generated ${report.generatedAt}`);
+  doc.moveDown(1);
+  const { summary } = report;
+  [
+    [summary.entries, "entries"],
+    [summary.daysWritten, "days written"],
+    [summary.longestStreak, "longest streak (days)"],
+    [summary.checkIns, "moods logged"],
+  ].forEach(([value, label], index) => {
+    const x = left + (width / 4) * index;
+    const y = doc.y;
+    doc
+      .font(bold)
+      .fontSize(20)
+      .fillColor("#1f2937")
+      .text(String(value), x, y, { width: width / 4 - 8 });
+    doc
+      .font(regular)
+      .fontSize(9)
+      .fillColor("#6b7280")
+      .text(label, x, y + 24, { width: width / 4 - 8 });
+    doc.y = y;
+  });
+  doc.y += 44;
+
+  heading(report.period.kind === "year" ? "Entries by month" : "Entries by day");
+  const chartTop = doc.y;
+  const chartHeight = 80;
+  const slot = width / report.activity.length;
+  const maxActivity = Math.max(1, ...report.activity.map((item) => item.count));
+  report.activity.forEach((item, index) => {
+    const height = (item.count / maxActivity) * chartHeight;
+    if (height > 0)
+      doc.rect(left + slot * index + 1, chartTop + chartHeight - height, slot - 2, height).fill("#2563eb");
+    doc
+      .font(regular)
+      .fontSize(slot < 20 ? 6 : 8)
+      .fillColor("#6b7280")
+      .text(item.label, left + slot * index, chartTop + chartHeight + 3, { width: slot, align: "center" });
+  });
+  doc.y = chartTop + chartHeight + 18;
+
+  heading("Mood distribution");
+  if (!report.moods.length) muted("No moods were logged in this period.");
+  report.moods.forEach((mood) => bar(mood.label, mood.share, `${mood.count} · ${percent(mood.share)}`));
+
+  heading("Most frequent themes");
+  if (!report.words.length) muted("Not enough writing in this period to find themes.");
+  else {
+    doc
+      .font(regular)
+      .fontSize(11)
+      .fillColor("#1f2937")
+      .text(pdfText(report.words.map((word) => `${word.term} (${word.count})`).join("   ")), left, doc.y, { width });
+    if (report.phrases.length) {
+      doc.moveDown(0.4);
+      muted(`Phrases: ${report.phrases.map((phrase) => phrase.term).join(" · ")}`);
+    }
+    doc.moveDown(0.6);
+    report.categories.forEach((category) =>
+      bar(category.label, category.entryCount / (summary.entries || 1), `${category.entryCount} entries`)
+    );
+  }
+
+  heading("Highlights");
+  if (!report.highlights.length) muted("No entries in this period.");
+  report.highlights.forEach((item) => {
+    if (doc.y > doc.page.height - 120) doc.addPage();
+    doc
+      .font(regular)
+      .fontSize(11)
+      .fillColor("#1f2937")
+      .text(pdfText(item.text), left + 12, doc.y, { width: width - 12 });
+    doc
+      .fontSize(9)
+      .fillColor("#6b7280")
+      .text(pdfText(`${item.date}${item.mood ? ` · feeling ${item.mood.label}` : ""}`), left + 12, doc.y, {
+        width: width - 12,
+      });
+    doc.moveDown(0.8);
+  });
+  return doc;
+}
+
+const REPORT_RENDERERS = {
+  html: { contentType: "text/html; charset=utf-8", render: renderReportHtml },
+  pdf: { contentType: "application/pdf", render: renderReportPdf },
+};
+
+module.exports = {
+  parsePeriod,
+  highlightWindows,
+  buildReport,
+  REPORT_RENDERERS,
+  REPORT_FORMATS: Object.keys(REPORT_RENDERERS),
+};
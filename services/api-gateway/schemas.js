@@ -0,0 +1,90 @@
+// JSON schemas for the replies of the /ai routes that ask the model for JSON,
+// keyed by the task name each route passes to runJsonChat. Keys beyond the
+// required ones are tolerated; the routes only read what is listed here.
+
+const Ajv = require("ajv");
+
+const text = { type: "string", minLength: 1 };
+const textList = { type: "array", items: text };
+const RISK_LEVELS = ["low", "medium", "high"];
+
+const object = (properties) => ({
+  type: "object",
+  required: Object.keys(properties),
+  properties,
+});
+
+const AI_SCHEMAS = {
+  insights: object({
+    primary_emotion: text,
+    summary: text,
+    reflection: text,
+    action_item: text,
+    risk_level: { enum: RISK_LEVELS },
+    partner_share: text,
+  }),
+  summary: object({
+    overview: text,
+    wins: textList,
+    growth_edges: textList,
+    focus_theme: text,
+    encouragement: text,
+  }),
+  goals: object({
+    reflections: { type: "array", items: object({ goal: text, insight: text, micro_action: text }) },
+  }),
+  anomaly: object({
+    risk_level: { enum: RISK_LEVELS },
+    alerts: { type: "array", items: text },
+    recommendation: text,
+  }),
+  pattern: object({
+    themes: textList,
+    triggers: textList,
+    supportive_habits: textList,
+  }),
+  transcript: object({
+    transcript: text,
+    emotions: textList,
+    highlights: textList,
+    action_item: text,
+  }),
+  partner: object({ message: text }),
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validators = Object.fromEntries(Object.entries(AI_SCHEMAS).map(([task, schema]) => [task, ajv.compile(schema)]));
+
+// The model's reply still did not match the task's schema after every repair attempt.
+class AiSchemaError extends Error {
+  constructor(task, validationErrors) {
+    super(`The AI reply for ${task} did not match the expected format`);
+    this.name = "AiSchemaError";
+    this.task = task;
+    this.validationErrors = validationErrors;
+  }
+}
+
+// Parses and validates a raw reply. Resolves to { value } or, when it does not
+// comply, { errors: [{ path, message }] } with a JSON pointer per problem.
+const validateAiReply = (task, content) => {
+  const validate = validators[task];
+  if (!validate) throw new Error(`No schema is declared for AI task "${task}"`);
+  let value;
+  try {
+    value = JSON.parse(content);
+  } catch (err) {
+    return { errors: [{ path: "", message: `is not valid JSON (${err.message})` }] };
+  }
+  if (validate(value)) return { value };
+  return {
+    errors: validate.errors.map((error) => ({
+      path: error.instancePath,
+      message: error.params.allowedValues
+        ? `${error.message}: ${error.params.allowedValues.join(", ")}`
+        : error.message,
+    })),
+  };
+};
+
+module.exports = { AI_SCHEMAS, AiSchemaError, validateAiReply };
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createExporter, EXPORT_FORMATS } = require("../exporters");
+
+const META = { exportedAt: "2024-03-06T08:00:00.000Z", from: "2024-03-01", to: "" };
+
+const RECORDS = [
+  { kind: "entry", id: 1, created_at: "2024-03-05T07:30:00.000Z", text: 'Coffee, then "quiet" time', tags: ["calm"] },
+  { kind: "entry", id: 2, created_at: "2024-03-05T21:10:00.000Z", text: "Two lines\r\nof thanks", tags: [] },
+  // Proto floats carry binary noise, which exports round to the stored two decimals.
+  {
+    kind: "mood",
+    id: 7,
+    created_at: "2024-03-06T06:45:00.000Z",
+    mood: "happy",
+    note: "",
+    intensity: 8,
+    valence: 0.699999988079071,
+  },
+  // Written late on the 6th in New York, which is already the 7th in UTC.
+  {
+    kind: "entry",
+    id: 3,
+    created_at: "2024-03-07T03:15:00.000Z",
+    text: "Late call home",
+    tags: [],
+    entry_date: "2024-03-06",
+    timezone: "America/New_York",
+  },
+];
+
+const exportAll = (format, records = RECORDS) => {
+  const exporter = createExporter(format, META);
+  return exporter.header() + records.map((record) => exporter.row(record)).join("") + exporter.footer();
+};
+
+test("only the listed formats have exporters", () => {
+  assert.deepEqual(EXPORT_FORMATS, ["json", "csv", "md"]);
+  assert.equal(createExporter("xml", META), null);
+});
+
+test("JSON exports parse back to the records and the range", () => {
+  const body = JSON.parse(exportAll("json"));
+  assert.equal(body.exported_at, META.exportedAt);
+  assert.deepEqual([body.from, body.to], ["2024-03-01", null]);
+  assert.deepEqual(
+    body.records.map((record) => [record.kind, record.id]),
+    [
+      ["entry", 1],
+      ["entry", 2],
+      ["mood", 7],
+      ["entry", 3],
+    ]
+  );
+  assert.deepEqual([body.records[3].entry_date, body.records[3].timezone], ["2024-03-06", "America/New_York"]);
+  assert.equal(body.records[0].text, 'Coffee, then "quiet" time');
+  assert.deepEqual(body.records[0].tags, ["calm"]);
+  assert.deepEqual(
+    [body.records[2].mood, body.records[2].intensity, body.records[2].valence, body.records[2].arousal],
+    ["happy", 8, 0.7, null]
+  );
+  assert.deepEqual(JSON.parse(exportAll("json", [])).records, []);
+});
+
+test("CSV cells with commas, quotes or line breaks are quoted", () => {
+  const csv = exportAll("csv");
+  assert.ok(csv.startsWith("kind,id,created_at,text,tags,mood,note,entry_date,timezone,intensity,valence,arousal\r\n"));
+  assert.ok(csv.includes('"Coffee, then ""quiet"" time",calm'));
+  assert.ok(csv.includes('"Two lines\r\nof thanks"'));
+  assert.ok(csv.includes(",happy,,,,8,0.7,\r\n"));
+  assert.ok(csv.endsWith("3,2024-03-07T03:15:00.000Z,Late call home,,,,2024-03-06,America/New_York,,,\r\n"));
+});
+
+test("Markdown groups records under their local day", () => {
+  const markdown = exportAll("md");
+  assert.match(markdown, /^# Gratitude journal\n\nExported 2024-03-06T08:00:00.000Z\./);
+  assert.deepEqual(markdown.match(/^## .+$/gm), ["## 2024-03-05", "## 2024-03-06"]);
+  assert.match(markdown, /- 07:30 — Coffee, then "quiet" time\n/);
+  assert.match(markdown, /- 06:45 — Mood: \*\*happy\*\* \(8\/10\)\n- 03:15 — Late call home\n$/);
+  assert.match(exportAll("md", []), /_No entries or moods in this range._/);
+});
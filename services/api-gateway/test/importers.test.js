@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseImport, parseCsv } = require("../importers");
+const { createExporter } = require("../exporters");
+
+// Just enough of an Express request for parseImport.
+const upload = (body, type = "application/json") => ({ body, is: (candidate) => candidate === type });
+
+const exportAll = (format, records) => {
+  const exporter = createExporter(format, { exportedAt: "2024-03-06T08:00:00.000Z" });
+  return exporter.header() + records.map((record) => exporter.row(record)).join("") + exporter.footer();
+};
+
+const DATES = { entry_date: "2024-03-05", timezone: "America/New_York" };
+
+const RECORDS = [
+  { kind: "entry", id: 1, created_at: "2024-03-05T17:30:00.000Z", text: 'Coffee, then "quiet" time', ...DATES },
+  { kind: "entry", id: 2, created_at: "2024-03-06T01:10:00.000Z", text: "Two lines\nof thanks", ...DATES },
+  {
+    kind: "mood",
+    id: 7,
+    created_at: "2024-03-06T02:45:00.000Z",
+    mood: "happy",
+    note: "after a run, finally",
+    intensity: 6,
+    valence: 0.5,
+    ...DATES,
+  },
+];
+
+test("parseCsv reads quoted fields, doubled quotes and embedded line breaks", () => {
+  assert.deepEqual(parseCsv('a,b,c\n"x, y","say ""hi""","two\nlines"\n'), [
+    ["a", "b", "c"],
+    ["x, y", 'say "hi"', "two\nlines"],
+  ]);
+});
+
+test("parseCsv accepts CRLF, a byte order mark and a missing final line break", () => {
+  assert.deepEqual(parseCsv("\uFEFFa,b\r\n1,2\r\n3,4"), [
+    ["a", "b"],
+    ["1", "2"],
+    ["3", "4"],
+  ]);
+  assert.deepEqual(parseCsv('a\r\n"1\r\n2"\r\n'), [["a"], ["1\r\n2"]]);
+});
+
+test("parseCsv keeps empty cells and quotes inside unquoted text", () => {
+  assert.deepEqual(parseCsv(',,\n5" screen,"",x'), [
+    ["", "", ""],
+    ['5" screen', "", "x"],
+  ]);
+});
+
+test("parseCsv rejects a quoted field that is never closed", () => {
+  assert.throws(() => parseCsv('a,b\n1,"open\n2,3\n'), /CSV row 2 has a quoted field that is never closed/);
+});
+
+test("CSV exports import again unchanged", () => {
+  const { entries, moods } = parseImport(upload(exportAll("csv", RECORDS), "text/csv"));
+  assert.deepEqual(entries, [
+    { row: 2, text: 'Coffee, then "quiet" time', created_at: "2024-03-05T17:30:00.000Z", ...DATES },
+    { row: 3, text: "Two lines\nof thanks", created_at: "2024-03-06T01:10:00.000Z", ...DATES },
+  ]);
+  assert.deepEqual(moods, [
+    {
+      row: 4,
+      mood: "happy",
+      note: "after a run, finally",
+      intensity: 6,
+      valence: 0.5,
+      arousal: undefined,
+      created_at: "2024-03-06T02:45:00.000Z",
+      ...DATES,
+    },
+  ]);
+});
+
+test("JSON exports import again unchanged", () => {
+  const csv = parseImport(upload(exportAll("csv", RECORDS), "text/csv"));
+  const json = parseImport(upload(JSON.parse(exportAll("json", RECORDS))));
+  const withoutRows = ({ entries, moods }) => [...entries, ...moods].map(({ row, ...record }) => record);
+  assert.deepEqual(withoutRows(json), withoutRows(csv));
+  assert.deepEqual(
+    json.entries.map(({ row }) => row),
+    [1, 2]
+  );
+});
+
+test("CSV rows are numbered from the header and blank rows are skipped", () => {
+  const { entries, moods } = parseImport(
+    upload("created_at,text,mood\r\n2024-03-05T07:30:00Z,Tea,\r\n,,\r\n2024-03-05T08:00:00Z,,calm\r\n", "text/plain")
+  );
+  assert.deepEqual(
+    entries.map(({ row, text }) => [row, text]),
+    [[2, "Tea"]]
+  );
+  assert.deepEqual(
+    moods.map(({ row, mood }) => [row, mood]),
+    [[4, "calm"]]
+  );
+});
+
+test("malformed CSV uploads are rejected", () => {
+  const csv = (body) => () => parseImport(upload(body, "text/csv"));
+  assert.throws(csv("text\nhello\n"), /header row with a created_at column/);
+  assert.throws(csv("created_at,text\n"), /No rows to import/);
+  assert.throws(csv("created_at,text\n2024-03-05T07:30:00Z,Tea,extra\n"), /CSV row 2 has 3 cells but the header has 2/);
+  assert.throws(csv('created_at,text\n2024-03-05T07:30:00Z,"Tea\n'), /never closed/);
+});
+
+test("JSON uploads accept records or separate entries and moods", () => {
+  const { entries, moods } = parseImport(
+    upload({
+      entries: [{ text: "Tea", created_at: "2024-03-05T07:30:00Z", entryDate: "2024-03-05" }],
+      moods: [{ mood: "calm" }],
+    })
+  );
+  assert.deepEqual(entries, [
+    { row: 1, text: "Tea", created_at: "2024-03-05T07:30:00Z", entry_date: "2024-03-05", timezone: "" },
+  ]);
+  assert.deepEqual(moods, [
+    {
+      row: 1,
+      mood: "calm",
+      note: "",
+      intensity: 0,
+      valence: undefined,
+      arousal: undefined,
+      created_at: "",
+      entry_date: "",
+      timezone: "",
+    },
+  ]);
+  assert.throws(() => parseImport(upload({ records: [] })), /No rows to import/);
+});
+
+test("mood ratings that are not numbers reach moods-service as invalid", () => {
+  const { moods } = parseImport(
+    upload("created_at,mood,intensity,valence,arousal\n2024-03-05T08:00:00Z,calm,7.5,high, \n", "text/csv")
+  );
+  const [{ intensity, valence, arousal }] = moods;
+  assert.equal(intensity, -1);
+  assert.ok(Number.isNaN(valence));
+  assert.equal(arousal, undefined);
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createMockProvider } = require("../llm/mock");
+const { createJsonChat, parseRepairAttempts, aiErrorResponse } = require("../llm/json");
+
+// The mock provider, except that the first `badReplies` replies are `badContent`.
+const flakyProvider = (badReplies, badContent = '{"risk_level": "extreme"}') => {
+  const mock = createMockProvider();
+  const calls = [];
+  return {
+    calls,
+    chat: async (messages, options) => {
+      calls.push(messages.map((message) => ({ ...message })));
+      if (calls.length <= badReplies) {
+        return { content: badContent, usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 } };
+      }
+      const reply = await mock.chat(messages, options);
+      return { ...reply, usage: { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 } };
+    },
+  };
+};
+
+test("a conforming reply is returned without repairs", async () => {
+  const provider = flakyProvider(0);
+  const { json, usage } = await createJsonChat(provider)("partner", "Write an update.", { summary: "ok" });
+  assert.equal(typeof json.message, "string");
+  assert.equal(provider.calls.length, 1);
+  assert.deepEqual(usage, { prompt_tokens: 20, completion_tokens: 10, total_tokens: 30 });
+});
+
+test("a bad reply is repaired on the next attempt", async () => {
+  const provider = flakyProvider(1);
+  const { json, usage } = await createJsonChat(provider)("insights", "Analyse.", { entry: "A walk" });
+  assert.equal(json.risk_level, "low");
+  assert.equal(provider.calls.length, 2);
+  const [system, user, assistant, repair] = provider.calls[1];
+  assert.deepEqual([system.role, user.role, assistant.role, repair.role], ["system", "user", "assistant", "user"]);
+  assert.equal(assistant.content, '{"risk_level": "extreme"}');
+  assert.match(repair.content, /must have required property 'summary'/);
+  assert.match(repair.content, /\/risk_level must be equal to one of the allowed values: low, medium, high/);
+  assert.match(repair.content, /"required":\["primary_emotion"/);
+  assert.deepEqual(usage, { prompt_tokens: 30, completion_tokens: 15, total_tokens: 45 });
+});
+
+test("the call fails with ai_schema_invalid once the attempts run out", async () => {
+  const provider = flakyProvider(Infinity, "not json");
+  const runJsonChat = createJsonChat(provider, { repairAttempts: 2 });
+  const err = await runJsonChat("summary", "Summarise.", {}).then(
+    () => assert.fail("expected a rejection"),
+    (error) => error
+  );
+  assert.equal(provider.calls.length, 3);
+  const { status, body } = aiErrorResponse(err, "Unable to fetch AI summary");
+  assert.equal(status, 502);
+  assert.equal(body.code, "ai_schema_invalid");
+  assert.equal(body.validation_errors.length, 1);
+  assert.match(body.validation_errors[0].message, /is not valid JSON/);
+});
+
+test("no repairs are attempted when repairAttempts is 0", async () => {
+  const provider = flakyProvider(1);
+  await assert.rejects(createJsonChat(provider, { repairAttempts: 0 })("partner", "Write.", {}), {
+    name: "AiSchemaError",
+  });
+  assert.equal(provider.calls.length, 1);
+});
+
+test("provider errors keep their status", () => {
+  const outage = Object.assign(new Error("upstream timed out"), { status: 504 });
+  assert.deepEqual(aiErrorResponse(outage, "fallback"), { status: 504, body: { error: "upstream timed out" } });
+  assert.deepEqual(aiErrorResponse(new Error(""), "fallback"), { status: 502, body: { error: "fallback" } });
+});
+
+test("a provider refusing the gateway's credentials is a bad gateway, not an auth failure", () => {
+  for (const status of [401, 403]) {
+    const refused = Object.assign(new Error("Incorrect API key provided"), { status });
+    assert.deepEqual(aiErrorResponse(refused, "fallback"), {
+      status: 502,
+      body: { error: "Incorrect API key provided" },
+    });
+  }
+});
+
+test("AI_REPAIR_ATTEMPTS is parsed and clamped", () => {
+  assert.equal(parseRepairAttempts(undefined), 2);
+  assert.equal(parseRepairAttempts("abc"), 2);
+  assert.equal(parseRepairAttempts(""), 2);
+  assert.equal(parseRepairAttempts("3"), 3);
+  assert.equal(parseRepairAttempts("0"), 0);
+  assert.equal(parseRepairAttempts("-4"), 0);
+  assert.equal(parseRepairAttempts("99"), 5);
+  assert.equal(parseRepairAttempts("1.9"), 1);
+});
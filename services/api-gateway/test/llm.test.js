@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLlmProvider } = require("../llm");
+const { AI_SCHEMAS, validateAiReply } = require("../schemas");
+
+test("openai is the default provider and needs an API key", async () => {
+  const provider = createLlmProvider({});
+  assert.equal(provider.name, "openai");
+  assert.equal(provider.model, "gpt-4o-mini");
+  assert.match(provider.missing, /OPENAI_API_KEY/);
+  await assert.rejects(provider.chat([{ role: "user", content: "hi" }]), /OPENAI_API_KEY/);
+
+  const configured = createLlmProvider({ LLM_PROVIDER: "openai", OPENAI_API_KEY: "sk-test", OPENAI_MODEL: "gpt-4o" });
+  assert.equal(configured.missing, "");
+  assert.equal(configured.model, "gpt-4o");
+});
+
+test("openai-compatible needs a base URL and a model but no key", () => {
+  const partial = createLlmProvider({ LLM_PROVIDER: "openai-compatible", LLM_BASE_URL: "http://localhost:11434/v1" });
+  assert.equal(partial.name, "openai-compatible");
+  assert.match(partial.missing, /LLM_BASE_URL and LLM_MODEL/);
+
+  const provider = createLlmProvider({
+    LLM_PROVIDER: "openai-compatible",
+    LLM_BASE_URL: "http://localhost:11434/v1",
+    LLM_MODEL: "llama3.1",
+  });
+  assert.equal(provider.missing, "");
+  assert.equal(provider.model, "llama3.1");
+});
+
+test("the mock provider is always available", () => {
+  const provider = createLlmProvider({ LLM_PROVIDER: "mock" });
+  assert.deepEqual([provider.name, provider.model, provider.missing], ["mock", "mock", ""]);
+});
+
+test("an unknown provider name is rejected", () => {
+  assert.throws(
+    () => createLlmProvider({ LLM_PROVIDER: "gemini" }),
+    /Unknown LLM_PROVIDER "gemini", expected one of: openai, openai-compatible, mock/
+  );
+});
+
+test("every canned mock reply validates against its route schema", async () => {
+  const mock = createLlmProvider({ LLM_PROVIDER: "mock" });
+  const payloads = {
+    goals: JSON.stringify({ goals: ["Run a 5k", "Read more"], entry: "" }),
+    transcript: "Walked to the lake this morning. Felt calm.",
+  };
+  for (const task of Object.keys(AI_SCHEMAS)) {
+    const messages = [
+      { role: "system", content: "Reply with JSON." },
+      { role: "user", content: payloads[task] || JSON.stringify({ entry: "A quiet evening" }) },
+    ];
+    const { content } = await mock.chat(messages, { task, json: true });
+    const { errors } = validateAiReply(task, content);
+    assert.equal(errors, undefined, `${task}: ${JSON.stringify(errors)}`);
+  }
+});
+
+test("mock replies follow the request and stay deterministic", async () => {
+  const mock = createLlmProvider({ LLM_PROVIDER: "mock" });
+  const ask = (task, content, json = true) => mock.chat([{ role: "user", content }], { task, json });
+  const goals = JSON.parse((await ask("goals", JSON.stringify({ goals: ["Run a 5k"] }))).content);
+  assert.deepEqual(
+    goals.reflections.map((item) => item.goal),
+    ["Run a 5k"]
+  );
+  const transcript = JSON.parse((await ask("transcript", "Tea with Sam. Then rain.")).content);
+  assert.deepEqual(transcript.highlights, ["Tea with Sam."]);
+  const first = await ask("prompt", "Mood: calm", false);
+  assert.deepEqual(await ask("prompt", "Mood: calm", false), first);
+  assert.equal(typeof first.content, "string");
+  await assert.rejects(ask("poem", "{}"), /no reply for task "poem"/);
+});
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePeriod, highlightWindows, buildReport, REPORT_RENDERERS } = require("../reports");
+
+test("a year or a month is a period", () => {
+  assert.deepEqual(parsePeriod("2026"), {
+    kind: "year",
+    key: "2026",
+    label: "2026 in review",
+    from: "2026-01-01",
+    to: "2026-12-31",
+  });
+  assert.deepEqual(parsePeriod("2024-02"), {
+    kind: "month",
+    key: "2024-02",
+    label: "February 2024",
+    from: "2024-02-01",
+    to: "2024-02-29",
+  });
+  assert.equal(parsePeriod("2023-02").to, "2023-02-28");
+});
+
+test("anything else is not a period", () => {
+  ["", "26", "2026-1", "2026-13", "2026-00", "2026-10-01", " 2026", "0999", "0999-05", "0000", undefined].forEach(
+    (value) => assert.equal(parsePeriod(value), null, `${value}`)
+  );
+});
+
+test("year highlights are picked per month", () => {
+  const windows = highlightWindows(parsePeriod("2024"));
+  assert.equal(windows.length, 12);
+  assert.deepEqual(windows[1], { from: "2024-02-01", to: "2024-02-29" });
+  assert.deepEqual(windows[11], { from: "2024-12-01", to: "2024-12-31" });
+});
+
+test("month highlights are picked per 7 days from the 1st", () => {
+  assert.deepEqual(highlightWindows(parsePeriod("2024-03")), [
+    { from: "2024-03-01", to: "2024-03-07" },
+    { from: "2024-03-08", to: "2024-03-14" },
+    { from: "2024-03-15", to: "2024-03-21" },
+    { from: "2024-03-22", to: "2024-03-28" },
+    { from: "2024-03-29", to: "2024-03-31" },
+  ]);
+  assert.equal(highlightWindows(parsePeriod("2026-02")).length, 4);
+});
+
+const day = (start, entryCount) => ({ start, end: start, entry_count: entryCount, moods: [] });
+
+const report = (period, { days = [], entries = [], moodTrend = [] } = {}) =>
+  buildReport({
+    period: parsePeriod(period),
+    overview: { buckets: days, mood_trend: moodTrend },
+    themes: { words: [{ term: "coffee", count: 3, entry_count: 2, trend: [] }], bigrams: [], categories: [] },
+    entries,
+    moodTypes: [{ value: "calm", label: "Calm", emoji: "😌" }],
+    generatedAt: "2024-04-01",
+  });
+
+test("a month report counts days, entries and the longest run of written days", () => {
+  const { summary, activity } = report("2024-03", {
+    days: [day("2024-03-01", 2), day("2024-03-02", 1), day("2024-03-03", 0), day("2024-03-04", 1)],
+  });
+  assert.deepEqual(summary, { entries: 4, daysWritten: 3, longestStreak: 2, checkIns: 0 });
+  assert.deepEqual(
+    activity.map(({ label, count }) => `${label}:${count}`),
+    ["1:2", "2:1", "3:0", "4:1"]
+  );
+});
+
+test("a year report charts activity per month", () => {
+  const { activity } = report("2024", {
+    days: [day("2024-01-05", 2), day("2024-01-20", 1), day("2024-12-31", 4)],
+  });
+  assert.equal(activity.length, 12);
+  assert.deepEqual(activity[0], { label: "Jan", count: 3 });
+  assert.deepEqual(activity[5], { label: "Jun", count: 0 });
+  assert.deepEqual(activity[11], { label: "Dec", count: 4 });
+});
+
+test("moods are labelled, sorted by use and given their share", () => {
+  const { moods, summary } = report("2024-03", {
+    moodTrend: [
+      { mood: "tired", count: 1, avg_intensity: 0 },
+      { mood: "calm", count: 3, avg_intensity: 2 },
+    ],
+  });
+  assert.equal(summary.checkIns, 4);
+  assert.deepEqual(moods, [
+    { label: "Calm", emoji: "😌", count: 3, share: 0.75 },
+    { label: "Tired", emoji: "", count: 1, share: 0.25 },
+  ]);
+});
+
+test("the longest entry of every month is a year highlight", () => {
+  const entry = (id, date, text, mood) => ({ id, entry_date: date, text, mood });
+  const { highlights } = report("2024", {
+    entries: [
+      entry(3, "2024-03-02", "A long walk by the river with an old friend"),
+      entry(2, "2024-01-15", "Tea", { mood: "calm" }),
+      entry(1, "2024-01-10", "Snow day and a warm kitchen"),
+      entry(4, "2024-03-20", "Sun"),
+    ],
+  });
+  assert.deepEqual(
+    highlights.map(({ date, text, mood }) => [date, text, mood]),
+    [
+      ["2024-01-10", "Snow day and a warm kitchen", null],
+      ["2024-03-02", "A long walk by the river with an old friend", null],
+    ]
+  );
+});
+
+test("highlights are clipped and both renderers accept a report", () => {
+  const long = "word ".repeat(200).trim();
+  const built = report("2024-03", { entries: [{ id: 1, entry_date: "2024-03-05", text: long, mood: null }] });
+  assert.equal(built.highlights[0].text.length, 500);
+  assert.ok(built.highlights[0].text.endsWith("…"));
+  const html = REPORT_RENDERERS.html.render({ ...built, title: "<March>" });
+  assert.match(html, /&lt;March&gt;/);
+  assert.match(html, /coffee/);
+  assert.equal(typeof REPORT_RENDERERS.pdf.render(built).pipe, "function");
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { AI_SCHEMAS, validateAiReply } = require("../schemas");
+
+const insights = {
+  primary_emotion: "joy",
+  summary: "A good day.",
+  reflection: "What made it good?",
+  action_item: "Call a friend.",
+  risk_level: "low",
+  partner_share: "Doing well.",
+};
+
+test("a conforming reply is parsed", () => {
+  assert.deepEqual(validateAiReply("insights", JSON.stringify(insights)), { value: insights });
+});
+
+test("extra keys are tolerated", () => {
+  const { value, errors } = validateAiReply("partner", JSON.stringify({ message: "Hi", tone: "warm" }));
+  assert.equal(errors, undefined);
+  assert.equal(value.message, "Hi");
+});
+
+test("malformed JSON is reported at the root", () => {
+  const { errors } = validateAiReply("insights", '{"summary": "cut off');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].path, "");
+  assert.match(errors[0].message, /is not valid JSON/);
+});
+
+test("every problem is reported with its path", () => {
+  const { errors } = validateAiReply(
+    "insights",
+    JSON.stringify({ ...insights, summary: undefined, risk_level: "extreme" })
+  );
+  assert.deepEqual(
+    errors.map((error) => error.path),
+    ["", "/risk_level"]
+  );
+  assert.match(errors[0].message, /summary/);
+  assert.match(errors[1].message, /low, medium, high/);
+});
+
+test("goal reflections need every field", () => {
+  const reply = { reflections: [{ goal: "Sleep more", insight: "Rest helps." }] };
+  const { errors } = validateAiReply("goals", JSON.stringify(reply));
+  assert.deepEqual(errors, [{ path: "/reflections/0", message: "must have required property 'micro_action'" }]);
+  assert.equal(validateAiReply("goals", JSON.stringify({ reflections: "none" })).errors[0].path, "/reflections");
+});
+
+test("empty strings and wrongly typed lists are rejected", () => {
+  const { errors } = validateAiReply(
+    "pattern",
+    JSON.stringify({ themes: [""], triggers: "work", supportive_habits: [] })
+  );
+  assert.deepEqual(
+    errors.map((error) => error.path),
+    ["/themes/0", "/triggers"]
+  );
+});
+
+test("every task has a schema and unknown tasks throw", () => {
+  assert.deepEqual(Object.keys(AI_SCHEMAS).sort(), [
+    "anomaly",
+    "goals",
+    "insights",
+    "partner",
+    "pattern",
+    "summary",
+    "transcript",
+  ]);
+  assert.throws(() => validateAiReply("poem", "{}"), /No schema is declared/);
+});
@@ -2,6 +2,8 @@ const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const { Pool } = require("pg");
 const path = require("path");
+const { assertSchemaCurrent } = require("./db");
+const { CURSOR_TS_SQL, encodePageToken, decodePageToken } = require("./pagination");
 
 const PROTO_PATH = path.join(__dirname, "protos", "entries.proto");
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
@@ -21,45 +23,673 @@ const pool = new Pool({
   port: process.env.PGPORT,
 });
 
-async function ensureTables() {
+// How long a soft-deleted entry can still be restored.
+const UNDO_WINDOW_SECONDS = parseInt(process.env.ENTRY_UNDO_WINDOW_SECONDS || "60", 10) || 60;
+
+const ENTRY_COLUMNS =
+  "id, text, created_at, updated_at, to_char(entry_date, 'YYYY-MM-DD') AS entry_date, timezone";
+
+// Aggregated tag names for the entries row in scope of the surrounding query.
+const TAGS_SQL = `COALESCE((SELECT array_agg(t.name ORDER BY t.name) FROM entry_tags et
+  JOIN tags t ON t.id = et.tag_id WHERE et.entry_id = entries.id), '{}') AS tags`;
+
+// Attachment metadata for the entries row in scope of the surrounding query,
+// oldest first. Blob keys stay out of listings; see GetAttachment.
+const ATTACHMENTS_SQL = `COALESCE((SELECT json_agg(json_build_object(
+    'id', a.id, 'entry_id', a.entry_id, 'content_type', a.content_type, 'size_bytes', a.size_bytes,
+    'width', a.width, 'height', a.height, 'filename', a.filename, 'created_at', a.created_at
+  ) ORDER BY a.id) FROM entry_attachments a WHERE a.entry_id = entries.id), '[]') AS attachments`;
+
+// The mood logged with the entries row in scope in a check-in, or NULL.
+const LINKED_MOOD_SQL = `(SELECT json_build_object(
+    'id', m.id, 'mood', m.mood, 'note', m.note, 'intensity', m.intensity,
+    'valence', m.valence, 'arousal', m.arousal, 'created_at', m.created_at
+  ) FROM moods m WHERE m.entry_id = entries.id) AS linked_mood`;
+
+const ATTACHMENT_COLUMNS =
+  "id, entry_id, content_type, size_bytes, width, height, filename, created_at, blob_key, thumbnail_key";
+
+const MAX_ATTACHMENTS_PER_ENTRY = parseInt(process.env.MAX_ATTACHMENTS_PER_ENTRY || "6", 10) || 6;
+
+const HASHTAG_PATTERN = /(?:^|\s)#([\p{L}\p{N}_-]+)/gu;
+const MAX_TAGS_PER_ENTRY = 10;
+
+const EXPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ROWS = 5000;
+
+const UNAUTHENTICATED = { code: grpc.status.UNAUTHENTICATED, message: "missing x-user-id metadata" };
+
+// The gateway authenticates the caller and forwards their id as gRPC metadata.
+function userIdFrom(call) {
+  const [value] = call.metadata.get("x-user-id");
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Resolves once a server stream has room for more writes or the client went away.
+function drained(call) {
+  return new Promise((resolve) => {
+    call.once("drain", resolve);
+    call.once("cancelled", resolve);
+  });
+}
+
+async function withTransaction(fn) {
   const client = await pool.connect();
   try {
-    await client.query(
-      "CREATE TABLE IF NOT EXISTS entries (id SERIAL PRIMARY KEY, text TEXT NOT NULL, created_at TIMESTAMPTZ DEFAULT NOW())"
-    );
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
   } finally {
     client.release();
   }
 }
 
+function normalizeTag(value) {
+  return (value || "").trim().replace(/^#/, "").replace(/^-+|-+$/g, "").toLowerCase().slice(0, 50);
+}
+
+function parseHashtags(text) {
+  const tags = new Set();
+  for (const match of text.matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeTag(match[1]);
+    if (tag) tags.add(tag);
+    if (tags.size >= MAX_TAGS_PER_ENTRY) break;
+  }
+  return [...tags].sort();
+}
+
+// Replaces the entry's tag links with the given tag names.
+async function syncTags(client, entryId, tags) {
+  await client.query("DELETE FROM entry_tags WHERE entry_id = $1", [entryId]);
+  if (!tags.length) return;
+  await client.query("INSERT INTO tags(name) SELECT unnest($1::text[]) ON CONFLICT (name) DO NOTHING", [tags]);
+  await client.query(
+    "INSERT INTO entry_tags(entry_id, tag_id) SELECT $1, id FROM tags WHERE name = ANY($2::text[])",
+    [entryId, tags]
+  );
+}
+
+function validateText(value) {
+  const raw = (value || "").trim();
+  if (!raw) return { error: "text is required" };
+  if (raw.length > 200) return { error: "max 200 chars" };
+  return { text: raw };
+}
+
+function parseDateFilter(value) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  // Round-trip so impossible days such as 2024-02-30 are rejected here rather than by Postgres.
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return undefined;
+  return value;
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// YYYY-MM-DD calendar day of `date` as seen in `timeZone`.
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+// Resolves the optional entry_date/timezone pair of a write. Without an
+// entry_date the day is taken from `at` in the author's timezone.
+function resolveEntryDate(input, at = new Date()) {
+  const timezone = (input.timezone || "").trim() || "UTC";
+  if (!isValidTimeZone(timezone)) return { error: "timezone must be an IANA zone name" };
+  const today = localDate(at, timezone);
+  const entryDate = parseDateFilter((input.entry_date || "").trim());
+  if (entryDate === undefined) return { error: "entry_date must be YYYY-MM-DD" };
+  if (entryDate && entryDate > localDate(new Date(), timezone)) return { error: "entry_date cannot be in the future" };
+  return { entryDate: entryDate || today, timezone };
+}
+
+// Mood half of a check-in; mirrors the validation of moods-service's CreateMood.
+// Whether the mood slug exists is checked against mood_types in CheckIn itself.
+function validateCheckInMood(input) {
+  const mood = (input.mood || "").trim().toLowerCase();
+  const note = (input.note || "").trim().slice(0, 240);
+  if (!mood) return { error: "mood is required" };
+  const intensity = input.intensity || null;
+  if (intensity !== null && !(Number.isInteger(intensity) && intensity >= 1 && intensity <= 10)) {
+    return { error: "intensity must be an integer from 1 to 10" };
+  }
+  // Optional proto3 floats are undefined when unset; keep two decimals like moods-service.
+  const dimension = (value) => {
+    if (value === undefined || value === null) return null;
+    if (!Number.isFinite(value) || value < -1 || value > 1) return undefined;
+    return Math.round(value * 100) / 100;
+  };
+  const valence = dimension(input.valence);
+  const arousal = dimension(input.arousal);
+  if (valence === undefined || arousal === undefined) return { error: "valence and arousal must be between -1 and 1" };
+  return { mood, note, intensity, valence, arousal };
+}
+
+function parseTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Imports are de-duplicated on (text, created_at) at millisecond precision,
+// which is what exports carry.
+const importKey = (text, createdAt) => `${createdAt.toISOString()}\u0000${text}`;
+
+function summarizeImport(rows) {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return { imported: count("imported"), duplicates: count("duplicate"), invalid: count("invalid"), rows };
+}
+
+async function importEntryRows(userId, rows) {
+  const report = rows.map((row, index) => ({ row: row.row || index + 1, status: "invalid", error: "", id: 0 }));
+  const valid = [];
+  rows.forEach((row, index) => {
+    const { text, error } = validateText(row.text);
+    const createdAt = parseTimestamp(row.created_at);
+    if (error || !createdAt) {
+      report[index].error = error || "created_at must be an ISO 8601 timestamp";
+      return;
+    }
+    const { entryDate, timezone, error: dateError } = resolveEntryDate(row, createdAt);
+    if (dateError) {
+      report[index].error = dateError;
+      return;
+    }
+    valid.push({ index, text, createdAt, entryDate, timezone });
+  });
+  if (!valid.length) return summarizeImport(report);
+
+  return withTransaction(async (client) => {
+    const existing = await client.query(
+      `SELECT text, date_trunc('milliseconds', created_at) AS created_at FROM entries
+       WHERE user_id = $1 AND deleted_at IS NULL
+         AND date_trunc('milliseconds', created_at) = ANY($2::timestamptz[])`,
+      [userId, valid.map((item) => item.createdAt.toISOString())]
+    );
+    const seen = new Set(existing.rows.map((row) => importKey(row.text, row.created_at)));
+    for (const item of valid) {
+      const key = importKey(item.text, item.createdAt);
+      if (seen.has(key)) {
+        report[item.index].status = "duplicate";
+        continue;
+      }
+      seen.add(key);
+      const result = await client.query(
+        "INSERT INTO entries(user_id, text, created_at, entry_date, timezone) VALUES($1, $2, $3, $4, $5) RETURNING id",
+        [userId, item.text, item.createdAt, item.entryDate, item.timezone]
+      );
+      const id = result.rows[0].id;
+      await syncTags(client, id, parseHashtags(item.text));
+      Object.assign(report[item.index], { status: "imported", id });
+    }
+    return summarizeImport(report);
+  });
+}
+
+function toAttachment(row) {
+  return {
+    id: row.id,
+    entry_id: row.entry_id,
+    content_type: row.content_type,
+    size_bytes: row.size_bytes,
+    width: row.width || 0,
+    height: row.height || 0,
+    filename: row.filename || "",
+    // json_agg rows carry created_at as a string rather than a Date.
+    created_at: new Date(row.created_at).toISOString(),
+    blob_key: row.blob_key || "",
+    thumbnail_key: row.thumbnail_key || "",
+  };
+}
+
+function toLinkedMood(row) {
+  return {
+    id: row.id,
+    mood: row.mood,
+    note: row.note || "",
+    intensity: row.intensity || 0,
+    valence: row.valence ?? undefined,
+    arousal: row.arousal ?? undefined,
+    created_at: new Date(row.created_at).toISOString(),
+  };
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    text: row.text,
+    created_at: row.created_at.toISOString(),
+    updated_at: row.updated_at ? row.updated_at.toISOString() : "",
+    tags: row.tags || [],
+    entry_date: row.entry_date || "",
+    timezone: row.timezone || "",
+    attachments: (row.attachments || []).map(toAttachment),
+    mood: row.linked_mood ? toLinkedMood(row.linked_mood) : null,
+  };
+}
+
 const serviceImpl = {
   async CreateEntry(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const { text, error } = validateText(call.request.text);
+      if (error) return callback({ code: grpc.status.INVALID_ARGUMENT, message: error });
+      const { entryDate, timezone, error: dateError } = resolveEntryDate(call.request);
+      if (dateError) return callback({ code: grpc.status.INVALID_ARGUMENT, message: dateError });
+
+      const tags = parseHashtags(text);
+      const row = await withTransaction(async (client) => {
+        const result = await client.query(
+          `INSERT INTO entries(user_id, text, entry_date, timezone) VALUES($1, $2, $3, $4)
+           RETURNING ${ENTRY_COLUMNS}`,
+          [userId, text, entryDate, timezone]
+        );
+        await syncTags(client, result.rows[0].id, tags);
+        return result.rows[0];
+      });
+      callback(null, toEntry({ ...row, tags }));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async ListEntries(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
     try {
-      const raw = (call.request.text || "").trim();
-      if (!raw) return callback({ code: grpc.status.INVALID_ARGUMENT, message: "text is required" });
-      if (raw.length > 200) return callback({ code: grpc.status.INVALID_ARGUMENT, message: "max 200 chars" });
+      const limit = Math.max(1, Math.min(200, call.request.limit || 50));
+      const cursor = decodePageToken(call.request.page_token);
+      if (cursor === undefined) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: "invalid page_token" });
+      }
+      const from = parseDateFilter(call.request.from);
+      const to = parseDateFilter(call.request.to);
+      if (from === undefined || to === undefined) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: "dates must be YYYY-MM-DD" });
+      }
 
-      const result = await pool.query("INSERT INTO entries(text) VALUES($1) RETURNING id, text, created_at", [raw]);
+      const params = [userId];
+      const where = ["user_id = $1", "deleted_at IS NULL"];
+      const tag = normalizeTag(call.request.tag);
+      if (tag) {
+        params.push(tag);
+        where.push(
+          `EXISTS (SELECT 1 FROM entry_tags et JOIN tags t ON t.id = et.tag_id
+                   WHERE et.entry_id = entries.id AND t.name = $${params.length})`
+        );
+      }
+      if (from) {
+        params.push(from);
+        where.push(`entry_date >= $${params.length}::date`);
+      }
+      if (to) {
+        params.push(to);
+        where.push(`entry_date <= $${params.length}::date`);
+      }
+      if (cursor) {
+        params.push(cursor.ts, cursor.id);
+        where.push(`(created_at, id) < ($${params.length - 1}::timestamptz, $${params.length}::int)`);
+      }
+      params.push(limit + 1);
+      const result = await pool.query(
+        `SELECT ${ENTRY_COLUMNS}, ${TAGS_SQL}, ${ATTACHMENTS_SQL}, ${LINKED_MOOD_SQL}, ${CURSOR_TS_SQL} FROM entries
+         WHERE ${where.join(" AND ")}
+         ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+        params
+      );
+      const rows = result.rows.slice(0, limit);
+      const hasMore = result.rows.length > limit;
+      callback(null, {
+        entries: rows.map(toEntry),
+        next_page_token: hasMore ? encodePageToken(rows[rows.length - 1]) : "",
+      });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async UpdateEntry(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const { text, error } = validateText(call.request.text);
+      if (error) return callback({ code: grpc.status.INVALID_ARGUMENT, message: error });
+
+      const tags = parseHashtags(text);
+      const row = await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE entries SET text = $2, updated_at = NOW()
+           WHERE id = $1 AND user_id = $3 AND deleted_at IS NULL
+           RETURNING ${ENTRY_COLUMNS}, ${ATTACHMENTS_SQL}, ${LINKED_MOOD_SQL}`,
+          [call.request.id, text, userId]
+        );
+        if (result.rows.length) await syncTags(client, result.rows[0].id, tags);
+        return result.rows[0];
+      });
+      if (!row) return callback({ code: grpc.status.NOT_FOUND, message: "entry not found" });
+      callback(null, toEntry({ ...row, tags }));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async DeleteEntry(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query(
+        `UPDATE entries SET deleted_at = NOW()
+         WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+         RETURNING id, deleted_at`,
+        [call.request.id, userId]
+      );
+      if (!result.rows.length) return callback({ code: grpc.status.NOT_FOUND, message: "entry not found" });
       const row = result.rows[0];
       callback(null, {
         id: row.id,
-        text: row.text,
-        created_at: row.created_at.toISOString(),
+        deleted_at: row.deleted_at.toISOString(),
+        restorable_until: new Date(row.deleted_at.getTime() + UNDO_WINDOW_SECONDS * 1000).toISOString(),
       });
     } catch (e) {
       callback({ code: grpc.status.INTERNAL, message: "db error" });
     }
   },
 
-  async ListEntries(call, callback) {
+  async RestoreEntry(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query(
+        `UPDATE entries SET deleted_at = NULL
+         WHERE id = $1 AND user_id = $2
+           AND deleted_at IS NOT NULL AND deleted_at > NOW() - make_interval(secs => $3)
+         RETURNING ${ENTRY_COLUMNS}, ${TAGS_SQL}, ${ATTACHMENTS_SQL}, ${LINKED_MOOD_SQL}`,
+        [call.request.id, userId, UNDO_WINDOW_SECONDS]
+      );
+      if (!result.rows.length) {
+        return callback({ code: grpc.status.FAILED_PRECONDITION, message: "entry can no longer be restored" });
+      }
+      callback(null, toEntry(result.rows[0]));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async SearchEntries(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const query = (call.request.query || "").trim().slice(0, 200);
+      if (!query) return callback({ code: grpc.status.INVALID_ARGUMENT, message: "query is required" });
+      const from = parseDateFilter(call.request.from);
+      const to = parseDateFilter(call.request.to);
+      if (from === undefined || to === undefined) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: "dates must be YYYY-MM-DD" });
+      }
+      const limit = Math.max(1, Math.min(100, call.request.limit || 25));
+
+      const params = [query, userId];
+      const where = ["user_id = $2", "deleted_at IS NULL", "search_vector @@ query"];
+      if (from) {
+        params.push(from);
+        where.push(`entry_date >= $${params.length}::date`);
+      }
+      if (to) {
+        params.push(to);
+        where.push(`entry_date <= $${params.length}::date`);
+      }
+      params.push(limit);
+      const result = await pool.query(
+        `SELECT ${ENTRY_COLUMNS}, ${TAGS_SQL}, ${ATTACHMENTS_SQL}, ${LINKED_MOOD_SQL},
+                ts_rank(search_vector, query) AS rank,
+                ts_headline('english', text, query, 'StartSel=<mark>, StopSel=</mark>, MaxWords=24, MinWords=8') AS snippet
+         FROM entries, websearch_to_tsquery('english', $1) AS query
+         WHERE ${where.join(" AND ")}
+         ORDER BY rank DESC, created_at DESC
+         LIMIT $${params.length}`,
+        params
+      );
+      const hits = result.rows.map((row) => ({ entry: toEntry(row), rank: row.rank, snippet: row.snippet }));
+      callback(null, { hits });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async ListTags(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
     try {
       const limit = Math.max(1, Math.min(200, call.request.limit || 50));
       const result = await pool.query(
-        "SELECT id, text, created_at FROM entries ORDER BY created_at DESC LIMIT $1",
-        [limit]
+        `SELECT t.name, COUNT(*) AS count
+         FROM tags t
+         JOIN entry_tags et ON et.tag_id = t.id
+         JOIN entries e ON e.id = et.entry_id
+         WHERE e.user_id = $1 AND e.deleted_at IS NULL
+         GROUP BY t.name
+         ORDER BY count DESC, t.name
+         LIMIT $2`,
+        [userId, limit]
+      );
+      callback(null, { tags: result.rows.map((row) => ({ name: row.name, count: parseInt(row.count, 10) })) });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async ExportJournal(call) {
+    const userId = userIdFrom(call);
+    if (!userId) return call.emit("error", UNAUTHENTICATED);
+    const from = parseDateFilter(call.request.from);
+    const to = parseDateFilter(call.request.to);
+    if (from === undefined || to === undefined) {
+      return call.emit("error", { code: grpc.status.INVALID_ARGUMENT, message: "dates must be YYYY-MM-DD" });
+    }
+    try {
+      const params = [userId, from, to];
+      const range = "($2::date IS NULL OR entry_date >= $2::date) AND ($3::date IS NULL OR entry_date <= $3::date)";
+      let cursor = null;
+      while (!call.cancelled) {
+        const batchParams = cursor ? [...params, cursor.ts, cursor.kind, cursor.id] : params;
+        const result = await pool.query(
+          `SELECT kind, id, created_at, text, tags, mood, note, entry_date, timezone, intensity, valence, arousal,
+                  ${CURSOR_TS_SQL} FROM (
+             SELECT 'entry' AS kind, id, created_at, text, ${TAGS_SQL}, NULL::text AS mood, NULL::text AS note,
+                    to_char(entry_date, 'YYYY-MM-DD') AS entry_date, timezone,
+                    NULL::smallint AS intensity, NULL::real AS valence, NULL::real AS arousal
+             FROM entries WHERE user_id = $1 AND deleted_at IS NULL AND ${range}
+             UNION ALL
+             SELECT 'mood', id, created_at, NULL, '{}'::text[], mood, note,
+                    to_char(entry_date, 'YYYY-MM-DD'), timezone, intensity, valence, arousal
+             FROM moods WHERE user_id = $1 AND ${range}
+           ) journal
+           ${cursor ? "WHERE (created_at, kind, id) > ($4::timestamptz, $5::text, $6::int)" : ""}
+           ORDER BY created_at, kind, id
+           LIMIT ${EXPORT_BATCH_SIZE}`,
+          batchParams
+        );
+        for (const row of result.rows) {
+          const ok = call.write({
+            kind: row.kind,
+            id: row.id,
+            created_at: row.created_at.toISOString(),
+            text: row.text || "",
+            tags: row.tags || [],
+            mood: row.mood || "",
+            note: row.note || "",
+            entry_date: row.entry_date || "",
+            timezone: row.timezone || "",
+            intensity: row.intensity || 0,
+            valence: row.valence ?? undefined,
+            arousal: row.arousal ?? undefined,
+          });
+          if (!ok) await drained(call);
+        }
+        if (result.rows.length < EXPORT_BATCH_SIZE) break;
+        const last = result.rows[result.rows.length - 1];
+        cursor = { ts: last.cursor_ts, kind: last.kind, id: last.id };
+      }
+      call.end();
+    } catch (e) {
+      call.emit("error", { code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  ImportEntries(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const rows = [];
+    let overflow = false;
+    call.on("data", (row) => {
+      if (rows.length < MAX_IMPORT_ROWS) rows.push(row);
+      else overflow = true;
+    });
+    call.on("end", async () => {
+      if (overflow) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: `at most ${MAX_IMPORT_ROWS} rows per import` });
+      }
+      try {
+        callback(null, await importEntryRows(userId, rows));
+      } catch (e) {
+        callback({ code: grpc.status.INTERNAL, message: "db error" });
+      }
+    });
+  },
+
+  async CheckIn(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const { text, error: textError } = validateText(call.request.text);
+    const { entryDate, timezone, error: dateError } = resolveEntryDate(call.request);
+    const { mood, note, intensity, valence, arousal, error: moodError } = validateCheckInMood(call.request);
+    const error = textError || dateError || moodError;
+    if (error) return callback({ code: grpc.status.INVALID_ARGUMENT, message: error });
+    try {
+      const tags = parseHashtags(text);
+      const result = await withTransaction(async (client) => {
+        const known = await client.query(
+          `SELECT 1 FROM mood_types
+           WHERE slug = $1 AND (user_id IS NULL OR user_id = $2) AND archived_at IS NULL`,
+          [mood, userId]
+        );
+        if (!known.rows.length) return { error: { code: grpc.status.INVALID_ARGUMENT, message: "invalid mood" } };
+
+        const entry = await client.query(
+          `INSERT INTO entries(user_id, text, entry_date, timezone) VALUES($1, $2, $3, $4)
+           RETURNING ${ENTRY_COLUMNS}`,
+          [userId, text, entryDate, timezone]
+        );
+        await syncTags(client, entry.rows[0].id, tags);
+        const linked = await client.query(
+          `INSERT INTO moods(user_id, mood, note, entry_date, timezone, intensity, valence, arousal, entry_id)
+           VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING id, mood, note, intensity, valence, arousal, created_at`,
+          [userId, mood, note, entryDate, timezone, intensity, valence, arousal, entry.rows[0].id]
+        );
+        return { row: { ...entry.rows[0], tags, linked_mood: linked.rows[0] } };
+      });
+      if (result.error) return callback(result.error);
+      callback(null, toEntry(result.row));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async AddAttachment(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const request = call.request;
+    if (!request.blob_key || !request.thumbnail_key || !request.content_type || request.size_bytes <= 0) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "blob keys, content_type and size are required" });
+    }
+    try {
+      const result = await withTransaction(async (client) => {
+        // Lock the entry so concurrent uploads cannot both pass the per-entry limit.
+        const entry = await client.query(
+          "SELECT id FROM entries WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL FOR UPDATE",
+          [request.entry_id, userId]
+        );
+        if (!entry.rows.length) return { error: { code: grpc.status.NOT_FOUND, message: "entry not found" } };
+        const count = await client.query("SELECT COUNT(*) AS count FROM entry_attachments WHERE entry_id = $1", [
+          request.entry_id,
+        ]);
+        if (parseInt(count.rows[0].count, 10) >= MAX_ATTACHMENTS_PER_ENTRY) {
+          return {
+            error: {
+              code: grpc.status.FAILED_PRECONDITION,
+              message: `at most ${MAX_ATTACHMENTS_PER_ENTRY} attachments per entry`,
+            },
+          };
+        }
+        const inserted = await client.query(
+          `INSERT INTO entry_attachments
+             (entry_id, user_id, blob_key, thumbnail_key, content_type, size_bytes, width, height, filename)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING ${ATTACHMENT_COLUMNS}`,
+          [
+            request.entry_id,
+            userId,
+            request.blob_key,
+            request.thumbnail_key,
+            request.content_type,
+            request.size_bytes,
+            request.width || null,
+            request.height || null,
+            (request.filename || "").slice(0, 200),
+          ]
+        );
+        return { row: inserted.rows[0] };
+      });
+      if (result.error) return callback(result.error);
+      callback(null, toAttachment(result.row));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async GetAttachment(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query(
+        `SELECT ${ATTACHMENT_COLUMNS} FROM entry_attachments a
+         WHERE id = $1 AND user_id = $2
+           AND EXISTS (SELECT 1 FROM entries e WHERE e.id = a.entry_id AND e.deleted_at IS NULL)`,
+        [call.request.id, userId]
+      );
+      if (!result.rows.length) return callback({ code: grpc.status.NOT_FOUND, message: "attachment not found" });
+      callback(null, toAttachment(result.rows[0]));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  // Returns the removed row so the caller can delete its blobs.
+  async DeleteAttachment(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query(
+        `DELETE FROM entry_attachments WHERE id = $1 AND user_id = $2 RETURNING ${ATTACHMENT_COLUMNS}`,
+        [call.request.id, userId]
       );
-      const entries = result.rows.map((r) => ({ id: r.id, text: r.text, created_at: r.created_at.toISOString() }));
-      callback(null, { entries });
+      if (!result.rows.length) return callback({ code: grpc.status.NOT_FOUND, message: "attachment not found" });
+      callback(null, toAttachment(result.rows[0]));
     } catch (e) {
       callback({ code: grpc.status.INTERNAL, message: "db error" });
     }
@@ -67,7 +697,7 @@ const serviceImpl = {
 };
 
 async function main() {
-  await ensureTables();
+  await assertSchemaCurrent(pool);
   const server = new grpc.Server();
   server.addService(entriesProto.Entries.service, serviceImpl);
   const host = process.env.HOST || "0.0.0.0";
@@ -0,0 +1,37 @@
+// Page tokens for ListEntries, keyed on (created_at, id). created_at is carried
+// with microsecond precision so rows sharing a millisecond are not skipped.
+
+const CURSOR_TS_SQL = `to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_ts`;
+
+// cursor_ts exactly as CURSOR_TS_SQL renders it.
+const CURSOR_TS_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{6}Z$/;
+
+function encodePageToken(row) {
+  return Buffer.from(JSON.stringify([row.cursor_ts, row.id])).toString("base64url");
+}
+
+// The { ts, id } a token continues after, null without a token, or undefined
+// for a token encodePageToken could not have produced.
+function decodePageToken(token) {
+  if (!token) return null;
+  try {
+    const cursor = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    if (!Array.isArray(cursor) || cursor.length !== 2) return undefined;
+    const [ts, id] = cursor;
+    if (
+      typeof ts === "string" &&
+      CURSOR_TS_PATTERN.test(ts) &&
+      !Number.isNaN(Date.parse(ts)) &&
+      Number.isInteger(id) &&
+      id > 0 &&
+      encodePageToken({ cursor_ts: ts, id }) === token
+    ) {
+      return { ts, id };
+    }
+  } catch (e) {
+    // fall through to the invalid token result
+  }
+  return undefined;
+}
+
+module.exports = { CURSOR_TS_SQL, encodePageToken, decodePageToken };
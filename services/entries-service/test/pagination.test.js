@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { encodePageToken, decodePageToken } = require("../pagination");
+
+const tokenFor = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+
+test("a page token decodes to the row it was made from", () => {
+  const token = encodePageToken({ cursor_ts: "2024-03-05T18:04:09.123456Z", id: 42 });
+  assert.match(token, /^[A-Za-z0-9_-]+$/);
+  assert.deepEqual(decodePageToken(token), { ts: "2024-03-05T18:04:09.123456Z", id: 42 });
+});
+
+test("no token means the first page", () => {
+  assert.equal(decodePageToken(""), null);
+  assert.equal(decodePageToken(undefined), null);
+});
+
+test("tokens that are not base64url JSON are rejected", () => {
+  for (const token of ["!!!", "not a token", Buffer.from("[1,").toString("base64url")]) {
+    assert.equal(decodePageToken(token), undefined, token);
+  }
+});
+
+test("tokens with the wrong shape are rejected", () => {
+  const cases = [
+    { ts: "2024-03-05T18:04:09.123456Z", id: 42 },
+    ["2024-03-05T18:04:09.123456Z"],
+    ["2024-03-05T18:04:09.123456Z", 42, "extra"],
+    ["2024-03-05T18:04:09.123456Z", "42"],
+    ["2024-03-05T18:04:09.123456Z", 4.2],
+    ["2024-03-05T18:04:09.123456Z", 0],
+    ["2024-03-05T18:04:09.123456Z", -1],
+    [null, 42],
+  ];
+  for (const value of cases) assert.equal(decodePageToken(tokenFor(value)), undefined, JSON.stringify(value));
+});
+
+test("timestamps must be exactly what the cursor query renders", () => {
+  const cases = [
+    "2024-03-05",
+    "1",
+    "2024-03-05T18:04:09Z",
+    "2024-03-05T18:04:09.123Z",
+    "2024-03-05 18:04:09.123456+00",
+    "2024-13-05T18:04:09.123456Z",
+    "2024-03-05T18:04:09.123456Z'; DROP TABLE entries; --",
+  ];
+  for (const ts of cases) assert.equal(decodePageToken(tokenFor([ts, 42])), undefined, ts);
+});
+
+test("tampered tokens are rejected", () => {
+  const token = encodePageToken({ cursor_ts: "2024-03-05T18:04:09.123456Z", id: 42 });
+  assert.equal(decodePageToken(`${token}=`), undefined);
+  assert.equal(decodePageToken(` ${token}`), undefined);
+  assert.equal(decodePageToken(token.slice(0, -2)), undefined);
+  assert.equal(decodePageToken(Buffer.from(`[ "2024-03-05T18:04:09.123456Z", 42 ]`).toString("base64url")), undefined);
+});
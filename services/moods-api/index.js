@@ -4,6 +4,7 @@ const cors = require("cors");
 const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const path = require("path");
+const jwt = require("jsonwebtoken");
 
 const PROTO_PATH = path.join(__dirname, "protos", "moods.proto");
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
@@ -18,39 +19,173 @@ const moodsProto = grpc.loadPackageDefinition(packageDefinition).moods;
 const MOODS_SERVICE_ADDR = process.env.MOODS_SERVICE_ADDR || "moods-service-cluster-ip-service:50052";
 const moodsClient = new moodsProto.Moods(MOODS_SERVICE_ADDR, grpc.credentials.createInsecure());
 
+const JWT_SECRET = process.env.JWT_SECRET || "";
+if (!JWT_SECRET) {
+  console.error("JWT_SECRET must be set on the moods API");
+  process.exit(1);
+}
+
+// Tokens are issued by the API gateway's /auth routes and share its JWT_SECRET.
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.userId = parseInt(payload.sub, 10);
+    if (!Number.isInteger(req.userId)) throw new Error("invalid subject");
+    next();
+  } catch (err) {
+    // Same response as the gateway's: its code signs the client out.
+    res
+      .status(401)
+      .set("WWW-Authenticate", "Bearer")
+      .send({ ok: false, code: "auth_required", error: "authentication required" });
+  }
+};
+
+const userMetadata = (req) => {
+  const metadata = new grpc.Metadata();
+  metadata.set("x-user-id", String(req.userId));
+  return metadata;
+};
+
+const httpStatusFor = (err) => {
+  switch (err && err.code) {
+    case grpc.status.INVALID_ARGUMENT:
+      return 400;
+    case grpc.status.UNAUTHENTICATED:
+      return 401;
+    case grpc.status.NOT_FOUND:
+      return 404;
+    case grpc.status.ALREADY_EXISTS:
+    case grpc.status.FAILED_PRECONDITION:
+      return 409;
+    default:
+      return 500;
+  }
+};
+
 const app = express();
 app.use(cors());
 app.use(bodyParser.json());
 
 app.get("/healthz", (req, res) => res.send({ ok: true }));
 
+// Optional proto floats are absent when unset; JSON clients get null instead,
+// and float32 noise is rounded off.
+const dimension = (value) => (value === undefined || value === null ? null : Math.round(value * 100) / 100);
+
+const toRestMood = ({ entry_id, entry_text, ...mood }) => ({
+  ...mood,
+  intensity: mood.intensity || null,
+  valence: dimension(mood.valence),
+  arousal: dimension(mood.arousal),
+  // The journal entry written in the same check-in, if any.
+  entry: entry_id ? { id: entry_id, text: entry_text } : null,
+});
+
+// Blank and missing values leave the optional dimension unset.
+const optionalDimension = (value) => (value === undefined || value === null || value === "" ? undefined : Number(value));
+
+// 1-10, with 0 for an unrated check-in. Non-integers become -1 so moods-service
+// rejects them instead of truncating.
+const intensityOf = (value) => {
+  if (value === undefined || value === null || value === "") return 0;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : -1;
+};
+
+// Accepts ?moods=a,b as well as repeated ?moods=a&moods=b.
+const moodsFilter = (value) => {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter((item) => typeof item === "string")
+    .flatMap((item) => item.split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
 const listMoods = (req, res) => {
   const limit = Math.min(100, parseInt(req.query.limit || "30", 10) || 30);
-  moodsClient.ListMoods({ limit }, (err, result) => {
-    if (err) return res.status(500).send({ error: err.message });
-    res.send({ rows: result.moods || [] });
+  const page_token = req.query.cursor ? String(req.query.cursor) : "";
+  const request = {
+    limit,
+    page_token,
+    from: typeof req.query.from === "string" ? req.query.from.trim() : "",
+    to: typeof req.query.to === "string" ? req.query.to.trim() : "",
+    moods: moodsFilter(req.query.moods),
+  };
+  moodsClient.ListMoods(request, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ rows: (result.moods || []).map(toRestMood), next_cursor: result.next_page_token || null });
   });
 };
 
-app.get("/moods/all", listMoods);
-app.get("/all", listMoods);
+app.get("/moods/all", requireAuth, listMoods);
+app.get("/all", requireAuth, listMoods);
 
 const createMood = (req, res) => {
   const payload = {
     mood: (req.body && req.body.mood) || "",
     note: (req.body && req.body.note) || "",
+    // Optional local YYYY-MM-DD day and IANA timezone of the check-in.
+    entry_date: String((req.body && req.body.entry_date) || ""),
+    timezone: String((req.body && req.body.timezone) || ""),
+    intensity: intensityOf(req.body && req.body.intensity),
+    valence: optionalDimension(req.body && req.body.valence),
+    arousal: optionalDimension(req.body && req.body.arousal),
   };
-  moodsClient.CreateMood(payload, (err, mood) => {
-    if (err) {
-      const status = err.code === grpc.status.INVALID_ARGUMENT ? 400 : 500;
-      return res.status(status).send({ ok: false, error: err.message });
-    }
-    res.send({ ok: true, mood });
+  moodsClient.CreateMood(payload, userMetadata(req), (err, mood) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, mood: toRestMood(mood) });
+  });
+};
+
+app.post("/moods", requireAuth, createMood);
+app.post("/", requireAuth, createMood);
+
+// Valence travels as a proto float; round away the float32 noise for JSON clients.
+const toRestMoodType = (type) => ({ ...type, valence: Math.round(type.valence * 100) / 100 });
+
+const listMoodTypes = (req, res) => {
+  const include_archived = req.query.include_archived === "true";
+  moodsClient.ListMoodTypes({ include_archived }, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ rows: (result.mood_types || []).map(toRestMoodType) });
+  });
+};
+
+app.get("/moods/types", requireAuth, listMoodTypes);
+app.get("/types", requireAuth, listMoodTypes);
+
+const createMoodType = (req, res) => {
+  const body = req.body || {};
+  const payload = {
+    label: String(body.label || ""),
+    emoji: String(body.emoji || ""),
+    valence: Number(body.valence) || 0,
+    value: String(body.value || ""),
+  };
+  moodsClient.CreateMoodType(payload, userMetadata(req), (err, type) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.status(201).send({ ok: true, mood_type: toRestMoodType(type) });
+  });
+};
+
+app.post("/moods/types", requireAuth, createMoodType);
+app.post("/types", requireAuth, createMoodType);
+
+const archiveMoodType = (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).send({ ok: false, error: "invalid mood type id" });
+  moodsClient.ArchiveMoodType({ id }, userMetadata(req), (err, type) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, mood_type: toRestMoodType(type) });
   });
 };
 
-app.post("/moods", createMood);
-app.post("/", createMood);
+app.post("/moods/types/:id/archive", requireAuth, archiveMoodType);
+app.post("/types/:id/archive", requireAuth, archiveMoodType);
 
 const PORT = process.env.PORT || 5002;
 app.listen(PORT, () => console.log(`Moods API listening on :${PORT}`));
@@ -2,6 +2,7 @@ const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const { Pool } = require("pg");
 const path = require("path");
+const { assertSchemaCurrent } = require("./db");
 
 const PROTO_PATH = path.join(__dirname, "protos", "moods.proto");
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
@@ -21,14 +22,248 @@ const pool = new Pool({
   port: process.env.PGPORT,
 });
 
-const ALLOWED_MOODS = new Set(["grateful", "happy", "calm", "focused", "stressed", "tired", "energized"]);
+const MAX_CUSTOM_MOOD_TYPES = 30;
+const MAX_IMPORT_ROWS = 5000;
+
+// Page tokens are keyed on (created_at, id). created_at is carried with
+// microsecond precision so rows sharing a millisecond are not skipped.
+const CURSOR_TS_SQL = `to_char(created_at AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"') AS cursor_ts`;
+
+function encodePageToken(row) {
+  return Buffer.from(JSON.stringify([row.cursor_ts, row.id])).toString("base64url");
+}
+
+function decodePageToken(token) {
+  if (!token) return null;
+  try {
+    const [ts, id] = JSON.parse(Buffer.from(token, "base64url").toString("utf8"));
+    if (typeof ts === "string" && !Number.isNaN(Date.parse(ts)) && Number.isInteger(id)) {
+      return { ts, id };
+    }
+  } catch (e) {
+    // fall through to the invalid token result
+  }
+  return undefined;
+}
+
+const UNAUTHENTICATED = { code: grpc.status.UNAUTHENTICATED, message: "missing x-user-id metadata" };
+
+// moods-api authenticates the caller and forwards their id as gRPC metadata.
+function userIdFrom(call) {
+  const [value] = call.metadata.get("x-user-id");
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+const MOOD_TYPE_COLUMNS = "id, user_id, slug, label, emoji, valence, archived_at";
+
+function toMoodType(row) {
+  return {
+    id: row.id,
+    value: row.slug,
+    label: row.label,
+    emoji: row.emoji,
+    valence: row.valence,
+    custom: row.user_id !== null,
+    archived: Boolean(row.archived_at),
+  };
+}
+
+// Slugs the user may record: the built-ins plus their own mood types.
+async function moodSlugsFor(userId, { includeArchived = false } = {}) {
+  const result = await pool.query(
+    `SELECT slug FROM mood_types
+     WHERE (user_id IS NULL OR user_id = $1) AND ($2 OR archived_at IS NULL)`,
+    [userId, includeArchived]
+  );
+  return new Set(result.rows.map((row) => row.slug));
+}
+
+function slugify(value) {
+  return value
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 32);
+}
+
+function validateMoodType(input) {
+  const label = (input.label || "").trim();
+  const emoji = (input.emoji || "").trim();
+  const valence = Number(input.valence);
+  const value = slugify((input.value || "").trim() || label);
+  if (!label || label.length > 32) return { error: "label must be 1-32 characters" };
+  if (!emoji || [...emoji].length > 8) return { error: "emoji is required" };
+  if (!Number.isFinite(valence) || valence < -1 || valence > 1) return { error: "valence must be between -1 and 1" };
+  if (!value) return { error: "value must contain letters or digits" };
+  return { label, emoji, valence, value };
+}
+
+// Optional proto3 floats are undefined when unset. Values are rounded to two
+// decimals to drop float32 noise; null means "not given", undefined invalid.
+function parseDimension(value) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isFinite(value) || value < -1 || value > 1) return undefined;
+  return Math.round(value * 100) / 100;
+}
+
+// Shared by CreateMood and ImportMoods; `allowed` comes from moodSlugsFor.
+function normalizeMoodInput(input, allowed) {
+  const mood = (input.mood || "").toLowerCase();
+  const note = (input.note || "").trim().slice(0, 240);
+  if (!allowed.has(mood)) return { error: "invalid mood" };
+  const intensity = input.intensity || null;
+  if (intensity !== null && !(Number.isInteger(intensity) && intensity >= 1 && intensity <= 10)) {
+    return { error: "intensity must be an integer from 1 to 10" };
+  }
+  const valence = parseDimension(input.valence);
+  const arousal = parseDimension(input.arousal);
+  if (valence === undefined || arousal === undefined) return { error: "valence and arousal must be between -1 and 1" };
+  return { mood, note, intensity, valence, arousal };
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// YYYY-MM-DD calendar day of `date` as seen in `timeZone`.
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+const MAX_MOOD_FILTERS = 20;
+
+// ListMoods filters: inclusive YYYY-MM-DD bounds on entry_date plus a set of mood slugs.
+function parseMoodFilters(input) {
+  const from = (input.from || "").trim();
+  const to = (input.to || "").trim();
+  if ((from && !isCalendarDate(from)) || (to && !isCalendarDate(to))) return { error: "dates must be YYYY-MM-DD" };
+  const moods = [...new Set((input.moods || []).map((mood) => String(mood).trim().toLowerCase()).filter(Boolean))];
+  if (moods.length > MAX_MOOD_FILTERS) return { error: `at most ${MAX_MOOD_FILTERS} moods can be filtered on` };
+  return { from: from || null, to: to || null, moods };
+}
+
+// Resolves the optional entry_date/timezone pair of a check-in. Without an
+// entry_date the day is taken from `at` in the author's timezone.
+function resolveEntryDate(input, at = new Date()) {
+  const timezone = (input.timezone || "").trim() || "UTC";
+  if (!isValidTimeZone(timezone)) return { error: "timezone must be an IANA zone name" };
+  const entryDate = (input.entry_date || "").trim();
+  if (!entryDate) return { entryDate: localDate(at, timezone), timezone };
+  if (!isCalendarDate(entryDate)) return { error: "entry_date must be YYYY-MM-DD" };
+  if (entryDate > localDate(new Date(), timezone)) return { error: "entry_date cannot be in the future" };
+  return { entryDate, timezone };
+}
+
+function toMood(row) {
+  return {
+    id: row.id,
+    mood: row.mood,
+    note: row.note || "",
+    created_at: row.created_at.toISOString(),
+    entry_date: row.entry_date || "",
+    timezone: row.timezone || "",
+    intensity: row.intensity || 0,
+    // Left undefined rather than 0 so the optional fields stay unset.
+    valence: row.valence ?? undefined,
+    arousal: row.arousal ?? undefined,
+    // A check-in whose entry was deleted reads as an unlinked mood.
+    entry_id: row.entry_text == null ? 0 : row.entry_id,
+    entry_text: row.entry_text || "",
+  };
+}
+
+const MOOD_COLUMNS = `id, mood, note, created_at, to_char(entry_date, 'YYYY-MM-DD') AS entry_date, timezone,
+  intensity, valence, arousal, entry_id,
+  (SELECT e.text FROM entries e WHERE e.id = moods.entry_id AND e.deleted_at IS NULL) AS entry_text`;
+
+function parseTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Imports are de-duplicated on (mood, note, created_at) at millisecond
+// precision, which is what exports carry.
+const importKey = (mood, note, createdAt) => `${createdAt.toISOString()}\u0000${mood}\u0000${note}`;
+
+function summarizeImport(rows) {
+  const count = (status) => rows.filter((row) => row.status === status).length;
+  return { imported: count("imported"), duplicates: count("duplicate"), invalid: count("invalid"), rows };
+}
+
+async function importMoodRows(userId, rows) {
+  const report = rows.map((row, index) => ({ row: row.row || index + 1, status: "invalid", error: "", id: 0 }));
+  // Archived moods stay importable so exported history round-trips.
+  const allowed = await moodSlugsFor(userId, { includeArchived: true });
+  const valid = [];
+  rows.forEach((row, index) => {
+    const { mood, note, intensity, valence, arousal, error } = normalizeMoodInput(row, allowed);
+    const createdAt = parseTimestamp(row.created_at);
+    if (error || !createdAt) {
+      report[index].error = error || "created_at must be an ISO 8601 timestamp";
+      return;
+    }
+    const { entryDate, timezone, error: dateError } = resolveEntryDate(row, createdAt);
+    if (dateError) {
+      report[index].error = dateError;
+      return;
+    }
+    valid.push({ index, mood, note, intensity, valence, arousal, createdAt, entryDate, timezone });
+  });
+  if (!valid.length) return summarizeImport(report);
 
-async function ensureTables() {
   const client = await pool.connect();
   try {
-    await client.query(
-      "CREATE TABLE IF NOT EXISTS moods (id SERIAL PRIMARY KEY, mood TEXT NOT NULL, note TEXT, created_at TIMESTAMPTZ DEFAULT NOW())"
+    await client.query("BEGIN");
+    const existing = await client.query(
+      `SELECT mood, note, date_trunc('milliseconds', created_at) AS created_at FROM moods
+       WHERE user_id = $1 AND date_trunc('milliseconds', created_at) = ANY($2::timestamptz[])`,
+      [userId, valid.map((item) => item.createdAt.toISOString())]
     );
+    const seen = new Set(existing.rows.map((row) => importKey(row.mood, row.note || "", row.created_at)));
+    for (const item of valid) {
+      const key = importKey(item.mood, item.note, item.createdAt);
+      if (seen.has(key)) {
+        report[item.index].status = "duplicate";
+        continue;
+      }
+      seen.add(key);
+      const result = await client.query(
+        `INSERT INTO moods(user_id, mood, note, created_at, entry_date, timezone, intensity, valence, arousal)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id`,
+        [
+          userId,
+          item.mood,
+          item.note,
+          item.createdAt,
+          item.entryDate,
+          item.timezone,
+          item.intensity,
+          item.valence,
+          item.arousal,
+        ]
+      );
+      Object.assign(report[item.index], { status: "imported", id: result.rows[0].id });
+    }
+    await client.query("COMMIT");
+    return summarizeImport(report);
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw e;
   } finally {
     client.release();
   }
@@ -36,43 +271,170 @@ async function ensureTables() {
 
 const serviceImpl = {
   async CreateMood(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
     try {
-      const mood = (call.request.mood || "").toLowerCase();
-      const note = (call.request.note || "").trim().slice(0, 240);
-      if (!ALLOWED_MOODS.has(mood)) {
-        return callback({ code: grpc.status.INVALID_ARGUMENT, message: "invalid mood" });
+      const { mood, note, intensity, valence, arousal, error } = normalizeMoodInput(
+        call.request,
+        await moodSlugsFor(userId)
+      );
+      if (error) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: error });
+      }
+      const { entryDate, timezone, error: dateError } = resolveEntryDate(call.request);
+      if (dateError) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: dateError });
       }
 
       const result = await pool.query(
-        "INSERT INTO moods(mood, note) VALUES($1, $2) RETURNING id, mood, note, created_at",
-        [mood, note]
+        `INSERT INTO moods(user_id, mood, note, entry_date, timezone, intensity, valence, arousal)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${MOOD_COLUMNS}`,
+        [userId, mood, note, entryDate, timezone, intensity, valence, arousal]
       );
-      const row = result.rows[0];
-      callback(null, {
-        id: row.id,
-        mood: row.mood,
-        note: row.note || "",
-        created_at: row.created_at.toISOString(),
-      });
+      callback(null, toMood(result.rows[0]));
     } catch (e) {
       callback({ code: grpc.status.INTERNAL, message: "db error" });
     }
   },
 
   async ListMoods(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
     try {
       const limit = Math.max(1, Math.min(100, call.request.limit || 30));
+      const cursor = decodePageToken(call.request.page_token);
+      if (cursor === undefined) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: "invalid page_token" });
+      }
+      const { from, to, moods, error } = parseMoodFilters(call.request);
+      if (error) return callback({ code: grpc.status.INVALID_ARGUMENT, message: error });
+
+      const params = [userId];
+      const where = ["user_id = $1"];
+      if (from) {
+        params.push(from);
+        where.push(`entry_date >= $${params.length}::date`);
+      }
+      if (to) {
+        params.push(to);
+        where.push(`entry_date <= $${params.length}::date`);
+      }
+      if (moods.length) {
+        params.push(moods);
+        where.push(`mood = ANY($${params.length}::text[])`);
+      }
+      if (cursor) {
+        params.push(cursor.ts, cursor.id);
+        where.push(`(created_at, id) < ($${params.length - 1}::timestamptz, $${params.length}::int)`);
+      }
+      params.push(limit + 1);
+      const result = await pool.query(
+        `SELECT ${MOOD_COLUMNS}, ${CURSOR_TS_SQL} FROM moods
+         WHERE ${where.join(" AND ")}
+         ORDER BY created_at DESC, id DESC LIMIT $${params.length}`,
+        params
+      );
+      const rows = result.rows.slice(0, limit);
+      callback(null, {
+        moods: rows.map(toMood),
+        next_page_token: result.rows.length > limit ? encodePageToken(rows[rows.length - 1]) : "",
+      });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  ImportMoods(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const rows = [];
+    let overflow = false;
+    call.on("data", (row) => {
+      if (rows.length < MAX_IMPORT_ROWS) rows.push(row);
+      else overflow = true;
+    });
+    call.on("end", async () => {
+      if (overflow) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, message: `at most ${MAX_IMPORT_ROWS} rows per import` });
+      }
+      try {
+        callback(null, await importMoodRows(userId, rows));
+      } catch (e) {
+        callback({ code: grpc.status.INTERNAL, message: "db error" });
+      }
+    });
+  },
+
+  async ListMoodTypes(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query(
+        `SELECT ${MOOD_TYPE_COLUMNS} FROM mood_types
+         WHERE (user_id IS NULL OR user_id = $1) AND ($2 OR archived_at IS NULL)
+         ORDER BY user_id IS NOT NULL, position, id`,
+        [userId, Boolean(call.request.include_archived)]
+      );
+      callback(null, { mood_types: result.rows.map(toMoodType) });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async CreateMoodType(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const { label, emoji, valence, value, error } = validateMoodType(call.request);
+    if (error) return callback({ code: grpc.status.INVALID_ARGUMENT, message: error });
+    try {
+      const existing = await pool.query(
+        `SELECT COUNT(*) FILTER (WHERE user_id = $1 AND archived_at IS NULL) AS active,
+                COUNT(*) FILTER (WHERE user_id IS NULL AND slug = $2) AS built_in
+         FROM mood_types WHERE user_id IS NULL OR user_id = $1`,
+        [userId, value]
+      );
+      const { active, built_in: builtIn } = existing.rows[0];
+      if (parseInt(builtIn, 10) > 0) {
+        return callback({ code: grpc.status.ALREADY_EXISTS, message: `"${value}" is a built-in mood` });
+      }
+      if (parseInt(active, 10) >= MAX_CUSTOM_MOOD_TYPES) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: `at most ${MAX_CUSTOM_MOOD_TYPES} custom moods; archive one first`,
+        });
+      }
+      // Re-creating an archived mood revives it under the same slug.
+      const result = await pool.query(
+        `INSERT INTO mood_types(user_id, slug, label, emoji, valence) VALUES($1, $2, $3, $4, $5)
+         ON CONFLICT ((COALESCE(user_id, 0)), slug) DO UPDATE
+           SET label = EXCLUDED.label, emoji = EXCLUDED.emoji, valence = EXCLUDED.valence, archived_at = NULL
+           WHERE mood_types.archived_at IS NOT NULL
+         RETURNING ${MOOD_TYPE_COLUMNS}`,
+        [userId, value, label, emoji, valence]
+      );
+      if (!result.rows.length) {
+        return callback({ code: grpc.status.ALREADY_EXISTS, message: `mood "${value}" already exists` });
+      }
+      callback(null, toMoodType(result.rows[0]));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async ArchiveMoodType(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      // Built-in moods have a NULL user_id and so can never match here.
       const result = await pool.query(
-        "SELECT id, mood, note, created_at FROM moods ORDER BY created_at DESC LIMIT $1",
-        [limit]
+        `UPDATE mood_types SET archived_at = COALESCE(archived_at, NOW())
+         WHERE id = $1 AND user_id = $2
+         RETURNING ${MOOD_TYPE_COLUMNS}`,
+        [call.request.id, userId]
       );
-      const moods = result.rows.map((row) => ({
-        id: row.id,
-        mood: row.mood,
-        note: row.note || "",
-        created_at: row.created_at.toISOString(),
-      }));
-      callback(null, { moods });
+      if (!result.rows.length) return callback({ code: grpc.status.NOT_FOUND, message: "custom mood not found" });
+      callback(null, toMoodType(result.rows[0]));
     } catch (e) {
       callback({ code: grpc.status.INTERNAL, message: "db error" });
     }
@@ -80,7 +442,7 @@ const serviceImpl = {
 };
 
 async function main() {
-  await ensureTables();
+  await assertSchemaCurrent(pool);
   const server = new grpc.Server();
   server.addService(moodsProto.Moods.service, serviceImpl);
   const host = process.env.HOST || "0.0.0.0";
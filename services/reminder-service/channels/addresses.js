@@ -0,0 +1,68 @@
+const dns = require("dns");
+const net = require("net");
+const { DeliveryError } = require("./errors");
+
+// Users choose webhook targets and push subscription endpoints, so requests may
+// only reach public hosts: never loopback, private, link-local or cluster
+// addresses. Hostnames are checked when the connection resolves them, so a name
+// cannot point somewhere else later.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[
+  ["::", 128],
+  ["::1", 128],
+  // NAT64 and 6to4 addresses can wrap a private IPv4 address. BlockList already
+  // checks IPv4-mapped addresses (::ffff:a.b.c.d) against the IPv4 subnets.
+  ["64:ff9b::", 96],
+  ["2002::", 16],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+// Names that only resolve inside a host or cluster, e.g. "localhost" or
+// "postgres-cluster-ip-service".
+const isInternalName = (hostname) => !hostname.includes(".") || /\.(localhost|local|internal)$/.test(hostname);
+
+// Whether a URL's hostname (as URL#hostname gives it, so IPv6 in brackets)
+// may be a public host. Only resolving it tells for sure; see guardedLookup.
+// A trailing dot only marks the name as fully qualified and is ignored.
+const isPublicHostname = (hostname) => {
+  const host = hostname
+    .toLowerCase()
+    .replace(/^\[|\]$/g, "")
+    .replace(/\.$/, "");
+  return net.isIP(host) ? !isBlockedAddress(host) : !isInternalName(host);
+};
+
+// A dns.lookup for outgoing requests that fails with a permanent DeliveryError
+// when the host resolves to any blocked address.
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new DeliveryError(`${hostname} is not a public address`, { permanent: true }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = { isBlockedAddress, isPublicHostname, guardedLookup };
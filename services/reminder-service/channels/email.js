@@ -0,0 +1,34 @@
+const nodemailer = require("nodemailer");
+const { DeliveryError } = require("./errors");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Sends plain-text mail over SMTP. Pointing SMTP_HOST/SMTP_PORT at a local
+// mail catcher such as Mailpit (localhost:1025) captures every reminder.
+const createEmailChannel = ({ host, port, secure, user, password, from }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+
+  return {
+    validateTarget: (target) => (EMAIL_PATTERN.test(target) ? null : "email target must be an email address"),
+
+    send: async (target, message) => {
+      try {
+        await transport.sendMail({
+          from,
+          to: target,
+          subject: message.subject,
+          text: message.url ? `${message.text}\n\n${message.url}` : message.text,
+        });
+      } catch (err) {
+        throw new DeliveryError(`smtp delivery failed: ${err.message}`);
+      }
+    },
+  };
+};
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,11 @@
+// Raised by a channel's send(). `permanent` marks targets that will never
+// accept a delivery again, such as an expired push subscription.
+class DeliveryError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.permanent = permanent;
+  }
+}
+
+module.exports = { DeliveryError };
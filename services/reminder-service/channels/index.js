@@ -0,0 +1,58 @@
+// Pluggable delivery channels for reminders. Every channel exposes:
+//
+//   validateTarget(target)   an error message when `target` is unusable, else null
+//   send(target, message)    deliver { subject, text, url }; rejects with a DeliveryError
+//
+// Channels whose settings are missing from the environment are left out, and
+// reminders cannot be created for them.
+
+const { DeliveryError } = require("./errors");
+const { createWebhookChannel } = require("./webhook");
+const { createEmailChannel } = require("./email");
+const { createPushChannel } = require("./push");
+
+const CHANNELS = {
+  webhook: (env) =>
+    createWebhookChannel({
+      secret: env.REMINDER_WEBHOOK_SECRET || "",
+      timeoutMs: parseInt(env.REMINDER_WEBHOOK_TIMEOUT_MS || "10000", 10) || 10000,
+      // Comma-separated host names; empty allows any public host.
+      allowedHosts: (env.REMINDER_WEBHOOK_ALLOWED_HOSTS || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase())
+        .filter(Boolean),
+    }),
+  email: (env) =>
+    env.SMTP_HOST
+      ? createEmailChannel({
+          host: env.SMTP_HOST,
+          port: parseInt(env.SMTP_PORT || "587", 10) || 587,
+          secure: env.SMTP_SECURE === "true",
+          user: env.SMTP_USER || "",
+          password: env.SMTP_PASSWORD || "",
+          from: env.SMTP_FROM || "Gratitude Journal <reminders@localhost>",
+        })
+      : null,
+  push: (env) =>
+    env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY
+      ? createPushChannel({
+          publicKey: env.VAPID_PUBLIC_KEY,
+          privateKey: env.VAPID_PRIVATE_KEY,
+          subject: env.VAPID_SUBJECT || "mailto:reminders@localhost",
+          ttlSeconds: parseInt(env.PUSH_TTL_SECONDS || "3600", 10) || 3600,
+        })
+      : null,
+};
+
+const CHANNEL_NAMES = Object.keys(CHANNELS);
+
+const createChannels = (env = process.env) => {
+  const channels = {};
+  for (const [name, factory] of Object.entries(CHANNELS)) {
+    const channel = factory(env);
+    if (channel) channels[name] = channel;
+  }
+  return channels;
+};
+
+module.exports = { CHANNEL_NAMES, createChannels, DeliveryError };
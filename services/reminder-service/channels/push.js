@@ -0,0 +1,61 @@
+const https = require("https");
+const webpush = require("web-push");
+const { DeliveryError } = require("./errors");
+const { isPublicHostname, guardedLookup } = require("./addresses");
+
+// Push services are public hosts. The endpoint comes from the browser, but a
+// forged subscription could name any URL, so it is held to the same rules as a
+// webhook target, including when the connection resolves it.
+const isPushEndpoint = (endpoint) => {
+  try {
+    const url = new URL(endpoint);
+    return url.protocol === "https:" && isPublicHostname(url.hostname);
+  } catch (e) {
+    return false;
+  }
+};
+
+const parseSubscription = (target) => {
+  try {
+    const subscription = JSON.parse(target);
+    const { endpoint, keys } = subscription || {};
+    if (typeof endpoint !== "string" || !isPushEndpoint(endpoint)) return null;
+    if (!keys || typeof keys.p256dh !== "string" || typeof keys.auth !== "string") return null;
+    return { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } };
+  } catch (e) {
+    return null;
+  }
+};
+
+// Web Push to a browser subscription (the JSON of a PushSubscription). The
+// client's service worker turns the payload into a notification.
+const createPushChannel = ({ publicKey, privateKey, subject, ttlSeconds }) => {
+  const vapidDetails = { subject, publicKey, privateKey };
+  const agent = new https.Agent({ lookup: guardedLookup });
+
+  return {
+    publicKey,
+
+    validateTarget: (target) => (parseSubscription(target) ? null : "push target must be a browser push subscription"),
+
+    send: async (target, message) => {
+      const subscription = parseSubscription(target);
+      if (!subscription)
+        throw new DeliveryError("push target must be a browser push subscription", { permanent: true });
+      try {
+        await webpush.sendNotification(subscription, JSON.stringify(message), {
+          vapidDetails,
+          TTL: ttlSeconds,
+          agent,
+        });
+      } catch (err) {
+        if (err instanceof DeliveryError) throw err;
+        // 404/410 mean the browser dropped the subscription.
+        const gone = err.statusCode === 404 || err.statusCode === 410;
+        throw new DeliveryError(`push delivery failed: ${err.body || err.message}`, { permanent: gone });
+      }
+    },
+  };
+};
+
+module.exports = { createPushChannel };
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const https = require("https");
+const { DeliveryError } = require("./errors");
+const { isPublicHostname, guardedLookup } = require("./addresses");
+
+// POSTs the reminder as JSON. With a secret, the body is signed in an
+// X-Reminder-Signature header (sha256=<hex HMAC>) so receivers can verify it.
+// Redirects are not followed; a 3xx response counts as a failed delivery.
+// With `allowedHosts`, only those hosts and their subdomains are accepted.
+const createWebhookChannel = ({ secret, timeoutMs, allowedHosts = [] }) => {
+  const validateTarget = (target) => {
+    let url;
+    try {
+      url = new URL(target);
+    } catch (e) {
+      return "webhook target must be a URL";
+    }
+    if (url.protocol !== "https:") return "webhook target must be an https URL";
+    const { hostname } = url;
+    if (!isPublicHostname(hostname)) return "webhook target must be a public host";
+    if (allowedHosts.length && !allowedHosts.some((host) => hostname === host || hostname.endsWith(`.${host}`))) {
+      return `webhook target host must be one of: ${allowedHosts.join(", ")}`;
+    }
+    return null;
+  };
+
+  const post = (target, headers, body) =>
+    new Promise((resolve, reject) => {
+      const request = https.request(
+        target,
+        {
+          method: "POST",
+          headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+          lookup: guardedLookup,
+          signal: AbortSignal.timeout(timeoutMs),
+        },
+        (response) => {
+          response.resume();
+          resolve(response.statusCode);
+        }
+      );
+      request.on("error", reject);
+      request.end(body);
+    });
+
+  return {
+    validateTarget,
+
+    send: async (target, message) => {
+      // Saved targets are checked again, so they are held to the current rules.
+      const targetError = validateTarget(target);
+      if (targetError) throw new DeliveryError(targetError, { permanent: true });
+      const body = JSON.stringify({ type: "checkin_reminder", ...message, sent_at: new Date().toISOString() });
+      const headers = { "Content-Type": "application/json" };
+      if (secret) {
+        headers["X-Reminder-Signature"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+      }
+      let status;
+      try {
+        status = await post(target, headers, body);
+      } catch (err) {
+        if (err instanceof DeliveryError) throw err;
+        throw new DeliveryError(`webhook request failed: ${err.message}`);
+      }
+      if (status < 200 || status > 299) {
+        // 410 Gone is the conventional way for a receiver to unsubscribe.
+        throw new DeliveryError(`webhook responded with ${status}`, { permanent: status === 410 });
+      }
+    },
+  };
+};
+
+module.exports = { createWebhookChannel };
@@ -0,0 +1,262 @@
+const grpc = require("@grpc/grpc-js");
+const protoLoader = require("@grpc/proto-loader");
+const { Pool } = require("pg");
+const path = require("path");
+const { assertSchemaCurrent } = require("./db");
+const { CHANNEL_NAMES, createChannels } = require("./channels");
+const { TIME_OF_DAY_PATTERN, isValidTimeZone, nextFireAt } = require("./schedule");
+const { createScheduler } = require("./scheduler");
+
+const PROTO_OPTIONS = {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true,
+};
+const remindersProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(path.join(__dirname, "protos", "reminders.proto"), PROTO_OPTIONS)
+).reminders;
+const entriesProto = grpc.loadPackageDefinition(
+  protoLoader.loadSync(path.join(__dirname, "protos", "entries.proto"), PROTO_OPTIONS)
+).entries;
+
+const pool = new Pool({
+  user: process.env.PGUSER,
+  host: process.env.PGHOST,
+  database: process.env.PGDATABASE,
+  password: process.env.PGPASSWORD,
+  port: process.env.PGPORT,
+});
+
+const ENTRIES_ADDR = process.env.ENTRIES_SERVICE_ADDR || "entries-cluster-ip-service:50051";
+const entriesClient = new entriesProto.Entries(ENTRIES_ADDR, grpc.credentials.createInsecure());
+
+const MAX_REMINDERS_PER_USER = 10;
+const MAX_TARGET_LENGTH = 4000;
+
+const channels = createChannels();
+
+const UNAUTHENTICATED = { code: grpc.status.UNAUTHENTICATED, message: "missing x-user-id metadata" };
+const NOT_FOUND = { code: grpc.status.NOT_FOUND, message: "reminder not found" };
+
+// The API gateway authenticates the caller and forwards their id as gRPC metadata.
+function userIdFrom(call) {
+  const [value] = call.metadata.get("x-user-id");
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Whether the user already wrote an entry for their local `day`.
+function hasEntryOn(userId, day) {
+  const metadata = new grpc.Metadata();
+  metadata.set("x-user-id", String(userId));
+  return new Promise((resolve, reject) => {
+    entriesClient.ListEntries(
+      { limit: 1, from: day, to: day },
+      metadata,
+      { deadline: Date.now() + 5000 },
+      (err, result) => (err ? reject(err) : resolve((result.entries || []).length > 0))
+    );
+  });
+}
+
+const scheduler = createScheduler({
+  pool,
+  channels,
+  hasEntryOn,
+  appUrl: process.env.APP_URL || "",
+  pollMs: (parseInt(process.env.REMINDER_POLL_SECONDS || "30", 10) || 30) * 1000,
+  missedAfterMs: (parseInt(process.env.REMINDER_MISSED_AFTER_MINUTES || "60", 10) || 60) * 60 * 1000,
+});
+
+const REMINDER_COLUMNS = `id, to_char(time_of_day, 'HH24:MI') AS time_of_day, weekdays, timezone, channel, target, enabled,
+  next_fire_at, last_fired_at, last_status, last_error, created_at`;
+
+const toIso = (value) => (value ? value.toISOString() : "");
+
+function toReminder(row) {
+  return {
+    id: row.id,
+    time_of_day: row.time_of_day,
+    weekdays: row.weekdays,
+    timezone: row.timezone,
+    channel: row.channel,
+    target: row.target,
+    enabled: row.enabled,
+    next_fire_at: toIso(row.next_fire_at),
+    last_fired_at: toIso(row.last_fired_at),
+    last_status: row.last_status || "",
+    last_error: row.last_error || "",
+    created_at: toIso(row.created_at),
+  };
+}
+
+// Returns { reminder } or { error } with the gRPC error to send back.
+function validateReminder(input) {
+  const invalid = (message) => ({ error: { code: grpc.status.INVALID_ARGUMENT, message } });
+  const timeOfDay = (input.time_of_day || "").trim();
+  if (!TIME_OF_DAY_PATTERN.test(timeOfDay)) return invalid("time_of_day must be HH:MM");
+  const weekdays = [...new Set(input.weekdays || [])].sort();
+  if (!weekdays.length || weekdays.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return invalid("weekdays must be one or more of 0 (Sunday) to 6 (Saturday)");
+  }
+  const timezone = (input.timezone || "").trim();
+  if (!isValidTimeZone(timezone)) return invalid("timezone must be an IANA zone name");
+  const channelName = (input.channel || "").trim();
+  if (!CHANNEL_NAMES.includes(channelName)) return invalid(`channel must be one of: ${CHANNEL_NAMES.join(", ")}`);
+  const channel = channels[channelName];
+  if (!channel) {
+    return { error: { code: grpc.status.FAILED_PRECONDITION, message: `${channelName} reminders are not configured` } };
+  }
+  const target = (input.target || "").trim();
+  if (!target || target.length > MAX_TARGET_LENGTH) return invalid("target is required");
+  const targetError = channel.validateTarget(target);
+  if (targetError) return invalid(targetError);
+  return {
+    reminder: { time_of_day: timeOfDay, weekdays, timezone, channel: channelName, target, enabled: input.enabled },
+  };
+}
+
+const nextFireFor = (reminder) => (reminder.enabled ? nextFireAt(reminder) : null);
+
+const serviceImpl = {
+  async ListReminders(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query(`SELECT ${REMINDER_COLUMNS} FROM reminders WHERE user_id = $1 ORDER BY id`, [
+        userId,
+      ]);
+      callback(null, { reminders: result.rows.map(toReminder) });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async CreateReminder(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const { reminder, error } = validateReminder(call.request);
+    if (error) return callback(error);
+    try {
+      const count = await pool.query("SELECT COUNT(*)::int AS count FROM reminders WHERE user_id = $1", [userId]);
+      if (count.rows[0].count >= MAX_REMINDERS_PER_USER) {
+        return callback({
+          code: grpc.status.FAILED_PRECONDITION,
+          message: `at most ${MAX_REMINDERS_PER_USER} reminders are allowed`,
+        });
+      }
+      const result = await pool.query(
+        `INSERT INTO reminders(user_id, time_of_day, weekdays, timezone, channel, target, enabled, next_fire_at)
+         VALUES($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING ${REMINDER_COLUMNS}`,
+        [
+          userId,
+          reminder.time_of_day,
+          reminder.weekdays,
+          reminder.timezone,
+          reminder.channel,
+          reminder.target,
+          reminder.enabled,
+          nextFireFor(reminder),
+        ]
+      );
+      callback(null, toReminder(result.rows[0]));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async UpdateReminder(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const { reminder, error } = validateReminder(call.request.reminder || {});
+    if (error) return callback(error);
+    try {
+      const result = await pool.query(
+        `UPDATE reminders
+         SET time_of_day = $3, weekdays = $4, timezone = $5, channel = $6, target = $7, enabled = $8,
+             next_fire_at = $9, last_error = CASE WHEN $8 THEN NULL ELSE last_error END, updated_at = NOW()
+         WHERE id = $1 AND user_id = $2
+         RETURNING ${REMINDER_COLUMNS}`,
+        [
+          call.request.id,
+          userId,
+          reminder.time_of_day,
+          reminder.weekdays,
+          reminder.timezone,
+          reminder.channel,
+          reminder.target,
+          reminder.enabled,
+          nextFireFor(reminder),
+        ]
+      );
+      if (!result.rows.length) return callback(NOT_FOUND);
+      callback(null, toReminder(result.rows[0]));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  async DeleteReminder(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await pool.query("DELETE FROM reminders WHERE id = $1 AND user_id = $2 RETURNING id", [
+        call.request.id,
+        userId,
+      ]);
+      if (!result.rows.length) return callback(NOT_FOUND);
+      callback(null, { id: result.rows[0].id });
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  // The outcome is recorded like a scheduled delivery, so a failure shows up in last_status/last_error.
+  async SendTestReminder(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const found = await pool.query("SELECT id, channel, target FROM reminders WHERE id = $1 AND user_id = $2", [
+        call.request.id,
+        userId,
+      ]);
+      if (!found.rows.length) return callback(NOT_FOUND);
+      await scheduler.deliver(found.rows[0]);
+      const result = await pool.query(`SELECT ${REMINDER_COLUMNS} FROM reminders WHERE id = $1`, [found.rows[0].id]);
+      callback(null, toReminder(result.rows[0]));
+    } catch (e) {
+      callback({ code: grpc.status.INTERNAL, message: "db error" });
+    }
+  },
+
+  GetChannels(call, callback) {
+    if (!userIdFrom(call)) return callback(UNAUTHENTICATED);
+    callback(null, {
+      channels: Object.keys(channels),
+      vapid_public_key: channels.push ? channels.push.publicKey : "",
+    });
+  },
+};
+
+async function main() {
+  await assertSchemaCurrent(pool);
+  const server = new grpc.Server();
+  server.addService(remindersProto.Reminders.service, serviceImpl);
+  const host = process.env.HOST || "0.0.0.0";
+  const port = process.env.PORT || "50054";
+  const addr = `${host}:${port}`;
+  server.bindAsync(addr, grpc.ServerCredentials.createInsecure(), (err) => {
+    if (err) throw err;
+    server.start();
+    console.log(`ReminderService listening on ${addr} (channels: ${Object.keys(channels).join(", ")})`);
+    scheduler.start();
+  });
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
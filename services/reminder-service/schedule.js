@@ -0,0 +1,75 @@
+// Calendar math for reminder schedules. Schedules are stored as a local time
+// of day plus weekdays in an IANA timezone and resolved to UTC instants here,
+// so DST changes move the instant rather than the wall-clock time.
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+const weekdayOf = (day) => new Date(`${day}T00:00:00Z`).getUTCDay();
+
+// Milliseconds `timeZone` is ahead of UTC at `date`.
+function zoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant at which the wall clock in `timeZone` reads `day` `time`. A time
+// skipped by a DST jump fires once the clocks have jumped, i.e. an hour late.
+function zonedTime(day, time, timeZone) {
+  const [hours, minutes] = time.split(":").map(Number);
+  const [year, month, date] = day.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, date, hours, minutes);
+  const first = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  const second = wallClock - zoneOffset(new Date(first), timeZone);
+  if (zoneOffset(new Date(second), timeZone) === wallClock - second) return new Date(second);
+  return new Date(Math.max(first, second));
+}
+
+// Next instant strictly after `after` matching the schedule.
+function nextFireAt({ time_of_day: time, weekdays, timezone }, after = new Date()) {
+  const today = localDate(after, timezone);
+  // Today's slot may already have passed, so look one day beyond a full week.
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const day = addDays(today, offset);
+    if (!weekdays.includes(weekdayOf(day))) continue;
+    const at = zonedTime(day, time, timezone);
+    if (at > after) return at;
+  }
+  return null;
+}
+
+module.exports = { TIME_OF_DAY_PATTERN, isValidTimeZone, localDate, nextFireAt };
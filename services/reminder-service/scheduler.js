@@ -0,0 +1,117 @@
+const { localDate, nextFireAt } = require("./schedule");
+
+const REMINDER_MESSAGE = {
+  subject: "Time for your gratitude check-in",
+  text: "You haven't written a gratitude entry today yet. Take a minute to note something that went well.",
+};
+
+const DUE_COLUMNS = `id, user_id, to_char(time_of_day, 'HH24:MI') AS time_of_day, weekdays, timezone, channel, target,
+  next_fire_at`;
+
+// Polls for due reminders and delivers them. A due row is claimed by moving its
+// next_fire_at on to the following slot under FOR UPDATE SKIP LOCKED, so
+// several replicas never fire the same slot twice; delivery happens after the
+// claim commits, which makes reminders at-most-once.
+const createScheduler = ({ pool, channels, hasEntryOn, appUrl, pollMs, missedAfterMs, batchSize = 50 }) => {
+  const messageFor = (reminder) => ({ ...REMINDER_MESSAGE, url: appUrl, reminder_id: reminder.id });
+
+  const claimDue = async (now) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const due = await client.query(
+        `SELECT ${DUE_COLUMNS} FROM reminders
+         WHERE enabled AND next_fire_at <= $1
+         ORDER BY next_fire_at LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [now, batchSize]
+      );
+      for (const reminder of due.rows) {
+        await client.query("UPDATE reminders SET next_fire_at = $2 WHERE id = $1", [
+          reminder.id,
+          nextFireAt(reminder, now),
+        ]);
+      }
+      await client.query("COMMIT");
+      return due.rows;
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  };
+
+  // A permanent failure disables the reminder; the user re-enables it with a new target.
+  const record = (reminder, status, error = null, { disable = false } = {}) =>
+    pool.query(
+      `UPDATE reminders
+       SET last_fired_at = NOW(), last_status = $2, last_error = $3,
+           enabled = enabled AND NOT $4, next_fire_at = CASE WHEN $4 THEN NULL ELSE next_fire_at END
+       WHERE id = $1`,
+      [reminder.id, status, error, disable]
+    );
+
+  const deliver = async (reminder) => {
+    const channel = channels[reminder.channel];
+    if (!channel) return record(reminder, "failed", `${reminder.channel} reminders are not configured`);
+    try {
+      await channel.send(reminder.target, messageFor(reminder));
+      return record(reminder, "sent");
+    } catch (err) {
+      return record(reminder, "failed", err.message, { disable: Boolean(err.permanent) });
+    }
+  };
+
+  const fire = async (reminder, now) => {
+    // After an outage, a reminder hours late is noise rather than a nudge.
+    if (now - reminder.next_fire_at > missedAfterMs) return record(reminder, "missed");
+    const day = localDate(reminder.next_fire_at, reminder.timezone);
+    let written = false;
+    try {
+      written = await hasEntryOn(reminder.user_id, day);
+    } catch (err) {
+      // Without entries-service we cannot tell, and an extra nudge beats a missing one.
+      console.error(`Could not check entries for reminder ${reminder.id}:`, err.message);
+    }
+    if (written) return record(reminder, "skipped");
+    return deliver(reminder);
+  };
+
+  const tick = async () => {
+    const now = new Date();
+    const due = await claimDue(now);
+    for (const reminder of due) {
+      await fire(reminder, now).catch((err) => console.error(`Reminder ${reminder.id} failed:`, err.message));
+    }
+    return due.length;
+  };
+
+  let timer = null;
+  let stopped = false;
+  const loop = async () => {
+    try {
+      // A full batch means more may be due; go again straight away.
+      while ((await tick()) === batchSize && !stopped);
+    } catch (err) {
+      console.error("Reminder scheduler tick failed:", err.message);
+    }
+    if (!stopped) timer = setTimeout(loop, pollMs);
+  };
+
+  return {
+    start: () => {
+      stopped = false;
+      loop();
+    },
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+    // One poll: claims and fires what is due, resolving to how many it claimed.
+    tick,
+    deliver,
+  };
+};
+
+module.exports = { createScheduler };
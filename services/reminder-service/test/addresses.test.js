@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isBlockedAddress, isPublicHostname, guardedLookup } = require("../channels/addresses");
+const { DeliveryError } = require("../channels/errors");
+
+const lookup = (hostname, options = {}) =>
+  new Promise((resolve, reject) => {
+    guardedLookup(hostname, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+  });
+
+test("loopback, private, link-local and special addresses are blocked", () => {
+  const blocked = [
+    "127.0.0.1",
+    "127.255.0.9",
+    "0.0.0.0",
+    "10.1.2.3",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "169.254.169.254",
+    "100.64.0.1",
+    "224.0.0.1",
+    "255.255.255.255",
+    "::",
+    "::1",
+    "fd00::1",
+    "fe80::1",
+    "ff02::1",
+    "::ffff:127.0.0.1",
+    "::ffff:10.0.0.1",
+    "::ffff:a9fe:a9fe",
+    "64:ff9b::a00:1",
+    "2002:a00:1::",
+    "not an address",
+  ];
+  for (const address of blocked) assert.equal(isBlockedAddress(address), true, address);
+});
+
+test("public addresses are allowed", () => {
+  for (const address of ["8.8.8.8", "172.32.0.1", "1.1.1.1", "::ffff:8.8.8.8", "2606:4700:4700::1111"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("URL hostnames must be public names or public addresses", () => {
+  const hostnameOf = (url) => new URL(url).hostname;
+  const internal = [
+    "https://localhost/",
+    "https://app.localhost/",
+    "https://localhost./",
+    "https://printer.local./",
+    "https://printer.local/",
+    "https://metadata.google.internal/",
+    "https://postgres-cluster-ip-service/",
+    "https://127.0.0.1/",
+    "https://[::1]/",
+    "https://[::ffff:127.0.0.1]/",
+    "https://169.254.169.254/",
+    // Numeric forms the URL parser turns into dotted IPv4.
+    "https://2130706433/",
+    "https://0x7f000001/",
+    "https://017700000001/",
+    "https://127.1/",
+    "https://10.0.0.1.:8443/",
+  ];
+  for (const url of internal) assert.equal(isPublicHostname(hostnameOf(url)), false, url);
+  for (const url of ["https://example.com/", "https://8.8.8.8/", "https://[2606:4700:4700::1111]/"]) {
+    assert.equal(isPublicHostname(hostnameOf(url)), true, url);
+  }
+});
+
+test("lookups that resolve to a blocked address fail permanently", async () => {
+  for (const hostname of ["localhost", "127.0.0.1", "::1"]) {
+    const err = await lookup(hostname).catch((error) => error);
+    assert.ok(err instanceof DeliveryError, hostname);
+    assert.equal(err.permanent, true);
+    assert.match(err.message, /is not a public address/);
+  }
+});
+
+test("lookups of public addresses pass through", async () => {
+  assert.deepEqual(await lookup("8.8.8.8"), { address: "8.8.8.8", family: 4 });
+  const all = await new Promise((resolve, reject) =>
+    guardedLookup("8.8.8.8", { all: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)))
+  );
+  assert.deepEqual(all, [{ address: "8.8.8.8", family: 4 }]);
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const webpush = require("web-push");
+const { createPushChannel } = require("../channels/push");
+const { DeliveryError } = require("../channels/errors");
+
+const KEYS = webpush.generateVAPIDKeys();
+
+const push = () =>
+  createPushChannel({
+    publicKey: KEYS.publicKey,
+    privateKey: KEYS.privateKey,
+    subject: "mailto:a@example.com",
+    ttlSeconds: 60,
+  });
+
+// Keys in the format browsers send; nothing is encrypted with them here.
+const SUBSCRIPTION_KEYS = {
+  p256dh: "BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM",
+  auth: "tBHItJI5svbpez7KI4CCXg",
+};
+
+const subscription = (endpoint) => JSON.stringify({ endpoint, keys: SUBSCRIPTION_KEYS });
+
+test("browser push subscriptions on the push services are accepted", () => {
+  const { validateTarget } = push();
+  for (const endpoint of [
+    "https://fcm.googleapis.com/fcm/send/abc:def",
+    "https://updates.push.services.mozilla.com/wpush/v2/gAAAA",
+    "https://web.push.apple.com/QGuQyavXutnMH",
+    "https://wns2-par02p.notify.windows.com/w/?token=abc",
+  ]) {
+    assert.equal(validateTarget(subscription(endpoint)), null, endpoint);
+  }
+});
+
+test("subscriptions without keys or with a non-https endpoint are rejected", () => {
+  const { validateTarget } = push();
+  const error = "push target must be a browser push subscription";
+  assert.equal(validateTarget("not json"), error);
+  assert.equal(validateTarget(JSON.stringify({ endpoint: "https://fcm.googleapis.com/fcm/send/x" })), error);
+  assert.equal(validateTarget(subscription("http://fcm.googleapis.com/fcm/send/x")), error);
+  assert.equal(validateTarget(subscription("https://")), error);
+});
+
+test("subscriptions pointing at internal hosts are rejected", () => {
+  const { validateTarget } = push();
+  for (const endpoint of [
+    "https://localhost/push",
+    "https://127.0.0.1:8443/push",
+    "https://[::1]/push",
+    "https://[::ffff:10.0.0.1]/push",
+    "https://10.0.0.1/push",
+    "https://192.168.1.20/push",
+    "https://169.254.169.254/latest/meta-data/",
+    "https://2130706433/push",
+    "https://0x7f000001/push",
+    "https://reminder-service-cluster-ip-service:50054/push",
+    "https://metadata.google.internal/push",
+  ]) {
+    assert.equal(validateTarget(subscription(endpoint)), "push target must be a browser push subscription", endpoint);
+  }
+});
+
+test("sending to an internal endpoint fails permanently", async () => {
+  const err = await push()
+    .send(subscription("https://127.0.0.1:9/push"), { subject: "Hi" })
+    .catch((error) => error);
+  assert.ok(err instanceof DeliveryError);
+  assert.equal(err.permanent, true);
+});
+
+test("push requests resolve hosts through the address guard", async (t) => {
+  const sent = [];
+  t.mock.method(webpush, "sendNotification", async (...args) => sent.push(args));
+  await push().send(subscription("https://fcm.googleapis.com/fcm/send/abc"), { subject: "Hi" });
+  const [, , options] = sent[0];
+  // A name that resolves to loopback is refused when the connection is made.
+  const err = await new Promise((resolve) => {
+    require("https")
+      .get({ hostname: "localhost", port: 9, agent: options.agent }, () => resolve(null))
+      .on("error", resolve);
+  });
+  assert.ok(err instanceof DeliveryError);
+  assert.match(err.message, /localhost is not a public address/);
+});
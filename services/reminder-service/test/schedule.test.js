@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { TIME_OF_DAY_PATTERN, isValidTimeZone, localDate, nextFireAt } = require("../schedule");
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6];
+
+const next = (time_of_day, weekdays, timezone, after) =>
+  nextFireAt({ time_of_day, weekdays, timezone }, new Date(after)).toISOString();
+
+test("the next slot is today's when it is still ahead, else a later day", () => {
+  assert.equal(next("08:00", [5], "UTC", "2024-03-08T07:00:00Z"), "2024-03-08T08:00:00.000Z");
+  assert.equal(next("08:00", [5], "UTC", "2024-03-08T08:00:00Z"), "2024-03-15T08:00:00.000Z");
+  assert.equal(next("08:00", [1], "UTC", "2024-03-08T12:00:00Z"), "2024-03-11T08:00:00.000Z");
+});
+
+test("weekdays are read on the schedule's local calendar", () => {
+  // Saturday 00:14 in Kolkata is still Friday in UTC.
+  assert.equal(next("00:15", [0, 6], "Asia/Kolkata", "2024-03-08T18:44:00Z"), "2024-03-08T18:45:00.000Z");
+  // Monday 23:30 in Auckland is Monday morning in UTC.
+  assert.equal(next("23:30", [1], "Pacific/Auckland", "2024-03-03T00:00:00Z"), "2024-03-04T10:30:00.000Z");
+  assert.equal(next("21:00", [1, 3, 5], "America/Los_Angeles", "2024-03-06T06:00:00Z"), "2024-03-07T05:00:00.000Z");
+});
+
+test("the wall-clock time holds across the spring-forward change", () => {
+  assert.equal(next("09:00", EVERY_DAY, "America/New_York", "2024-03-09T13:00:00Z"), "2024-03-09T14:00:00.000Z");
+  assert.equal(next("09:00", EVERY_DAY, "America/New_York", "2024-03-09T15:00:00Z"), "2024-03-10T13:00:00.000Z");
+});
+
+test("a time skipped by spring-forward fires once the clocks have jumped", () => {
+  // 02:30 does not exist on 10 March 2024 in New York; 03:30 EDT is 07:30Z.
+  assert.equal(next("02:30", EVERY_DAY, "America/New_York", "2024-03-10T05:00:00Z"), "2024-03-10T07:30:00.000Z");
+  assert.equal(next("02:30", EVERY_DAY, "America/New_York", "2024-03-10T07:30:00Z"), "2024-03-11T06:30:00.000Z");
+});
+
+test("a time repeated by fall-back fires once, at its first occurrence", () => {
+  // 01:30 happens at 05:30Z (EDT) and again at 06:30Z (EST) on 3 November 2024.
+  assert.equal(next("01:30", EVERY_DAY, "America/New_York", "2024-11-03T04:00:00Z"), "2024-11-03T05:30:00.000Z");
+  assert.equal(next("01:30", EVERY_DAY, "America/New_York", "2024-11-03T05:30:00Z"), "2024-11-04T06:30:00.000Z");
+  assert.equal(next("09:00", EVERY_DAY, "Europe/Berlin", "2024-10-26T08:00:00Z"), "2024-10-27T08:00:00.000Z");
+});
+
+test("a schedule without weekdays never fires", () => {
+  assert.equal(nextFireAt({ time_of_day: "08:00", weekdays: [], timezone: "UTC" }, new Date()), null);
+});
+
+test("timezones must be IANA names", () => {
+  assert.ok(isValidTimeZone("Europe/Berlin"));
+  assert.ok(isValidTimeZone("UTC"));
+  for (const timeZone of ["", undefined, "Mars/Olympus", "GMT+25", "Europe/Berlin "]) {
+    assert.equal(isValidTimeZone(timeZone), false, String(timeZone));
+  }
+  assert.throws(() => next("08:00", [1], "Mars/Olympus", "2024-03-08T12:00:00Z"), RangeError);
+});
+
+test("times of day are 24-hour HH:MM", () => {
+  for (const time of ["00:00", "07:05", "23:59"]) assert.ok(TIME_OF_DAY_PATTERN.test(time), time);
+  for (const time of ["24:00", "7:05", "07:60", "07:05:00", ""])
+    assert.equal(TIME_OF_DAY_PATTERN.test(time), false, time);
+});
+
+test("localDate reads the calendar day in a timezone", () => {
+  const instant = new Date("2024-03-08T23:30:00Z");
+  assert.equal(localDate(instant, "UTC"), "2024-03-08");
+  assert.equal(localDate(instant, "Asia/Tokyo"), "2024-03-09");
+  assert.equal(localDate(instant, "America/Los_Angeles"), "2024-03-08");
+});
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createScheduler } = require("../scheduler");
+const { DeliveryError } = require("../channels/errors");
+
+const HOUR = 60 * 60 * 1000;
+
+// A pg pool that serves `due` to the claim query and records every statement.
+const fakePool = (due, { failClaim = false } = {}) => {
+  const statements = [];
+  let released = 0;
+  const query = async (sql, params = []) => {
+    statements.push({ sql: sql.replace(/\s+/g, " ").trim(), params });
+    if (sql.includes("FOR UPDATE SKIP LOCKED")) {
+      if (failClaim) throw new Error("connection lost");
+      return { rows: due };
+    }
+    return { rows: [] };
+  };
+  return {
+    statements,
+    released: () => released,
+    query,
+    connect: async () => ({ query, release: () => (released += 1) }),
+  };
+};
+
+const reminder = (overrides = {}) => ({
+  id: 7,
+  user_id: 3,
+  time_of_day: "20:00",
+  weekdays: [0, 1, 2, 3, 4, 5, 6],
+  timezone: "UTC",
+  channel: "webhook",
+  target: "https://hooks.example.com/r",
+  next_fire_at: new Date(Date.now() - 1000),
+  ...overrides,
+});
+
+const scheduler = (pool, { channels, hasEntryOn = async () => false } = {}) => {
+  const sent = [];
+  const webhook = { send: async (target, message) => sent.push({ target, message }) };
+  return {
+    sent,
+    ...createScheduler({
+      pool,
+      channels: channels || { webhook },
+      hasEntryOn,
+      appUrl: "https://journal.example.com",
+      pollMs: 1000,
+      missedAfterMs: HOUR,
+    }),
+  };
+};
+
+// The status and error of the UPDATE that recorded the outcome of reminder `id`.
+const outcome = (pool, id = 7) => {
+  const update = pool.statements.find(({ sql, params }) => sql.includes("last_status") && params[0] === id);
+  return update && { status: update.params[1], error: update.params[2], disable: update.params[3] };
+};
+
+test("a due reminder is claimed by moving it to its next slot before it is sent", async () => {
+  const pool = fakePool([reminder()]);
+  const { tick, sent } = scheduler(pool);
+  assert.equal(await tick(), 1);
+  const sql = pool.statements.map((statement) => statement.sql);
+  assert.equal(sql[0], "BEGIN");
+  assert.match(sql[1], /FOR UPDATE SKIP LOCKED/);
+  assert.match(sql[2], /^UPDATE reminders SET next_fire_at = \$2 WHERE id = \$1/);
+  assert.equal(sql[3], "COMMIT");
+  const [id, next] = pool.statements[2].params;
+  assert.equal(id, 7);
+  assert.ok(next > Date.now() && next - Date.now() <= 24 * HOUR);
+  assert.equal(pool.released(), 1);
+
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].target, "https://hooks.example.com/r");
+  assert.equal(sent[0].message.url, "https://journal.example.com");
+  assert.equal(sent[0].message.reminder_id, 7);
+  assert.deepEqual(outcome(pool), { status: "sent", error: null, disable: false });
+});
+
+test("a reminder is skipped when the user already wrote that day", async () => {
+  const days = [];
+  const pool = fakePool([reminder({ timezone: "Pacific/Kiritimati" })]);
+  const { tick, sent } = scheduler(pool, { hasEntryOn: async (userId, day) => days.push([userId, day]) > 0 });
+  await tick();
+  assert.equal(sent.length, 0);
+  assert.deepEqual(outcome(pool).status, "skipped");
+  // The day is the reminder's local day, not the UTC one.
+  const localDay = new Intl.DateTimeFormat("en-CA", { timeZone: "Pacific/Kiritimati" }).format(new Date());
+  assert.deepEqual(days, [[3, localDay]]);
+});
+
+test("a reminder is still sent when entries cannot be checked", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const pool = fakePool([reminder()]);
+  const { tick, sent } = scheduler(pool, {
+    hasEntryOn: async () => {
+      throw new Error("entries-service unavailable");
+    },
+  });
+  await tick();
+  assert.equal(sent.length, 1);
+  assert.equal(outcome(pool).status, "sent");
+});
+
+test("a slot missed by more than missedAfterMs is recorded instead of sent", async () => {
+  const pool = fakePool([reminder({ next_fire_at: new Date(Date.now() - 2 * HOUR) })]);
+  const { tick, sent } = scheduler(pool);
+  await tick();
+  assert.equal(sent.length, 0);
+  assert.equal(outcome(pool).status, "missed");
+});
+
+test("a permanent delivery failure disables the reminder", async () => {
+  const failing = (error) => ({
+    webhook: {
+      send: async () => {
+        throw error;
+      },
+    },
+  });
+  const gone = fakePool([reminder()]);
+  await scheduler(gone, {
+    channels: failing(new DeliveryError("webhook responded with 410", { permanent: true })),
+  }).tick();
+  assert.deepEqual(outcome(gone), { status: "failed", error: "webhook responded with 410", disable: true });
+
+  const flaky = fakePool([reminder()]);
+  await scheduler(flaky, { channels: failing(new DeliveryError("webhook responded with 503")) }).tick();
+  assert.deepEqual(outcome(flaky), { status: "failed", error: "webhook responded with 503", disable: false });
+});
+
+test("reminders for a channel that is not configured fail without disabling", async () => {
+  const pool = fakePool([reminder({ channel: "push" })]);
+  await scheduler(pool).tick();
+  assert.deepEqual(outcome(pool), { status: "failed", error: "push reminders are not configured", disable: false });
+});
+
+test("a failed claim rolls back and releases the connection", async () => {
+  const pool = fakePool([], { failClaim: true });
+  await assert.rejects(scheduler(pool).tick(), /connection lost/);
+  assert.deepEqual(
+    pool.statements.map(({ sql }) => sql.split(" ")[0]),
+    ["BEGIN", "SELECT", "ROLLBACK"]
+  );
+  assert.equal(pool.released(), 1);
+});
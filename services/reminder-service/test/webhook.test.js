@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createWebhookChannel } = require("../channels/webhook");
+const { DeliveryError } = require("../channels/errors");
+
+const webhook = (options = {}) => createWebhookChannel({ secret: "", timeoutMs: 1000, ...options });
+
+test("webhook targets must be https URLs", () => {
+  const { validateTarget } = webhook();
+  assert.equal(validateTarget("not a url"), "webhook target must be a URL");
+  assert.equal(validateTarget("http://example.com/hook"), "webhook target must be an https URL");
+  assert.equal(validateTarget("ftp://example.com/hook"), "webhook target must be an https URL");
+  assert.equal(validateTarget("https://example.com/hook"), null);
+  assert.equal(validateTarget("https://8.8.8.8:8443/hook"), null);
+});
+
+test("webhook targets on loopback, private or cluster hosts are rejected", () => {
+  const { validateTarget } = webhook();
+  const internal = [
+    "https://localhost/hook",
+    "https://127.0.0.1/hook",
+    "https://[::1]/hook",
+    "https://10.0.0.5/hook",
+    "https://172.20.1.1/hook",
+    "https://192.168.0.10/hook",
+    "https://169.254.169.254/latest/meta-data/",
+    "https://[fd12:3456::1]/hook",
+    "https://[::ffff:127.0.0.1]/hook",
+    "https://[::ffff:192.168.0.10]/hook",
+    "https://2130706433/hook",
+    "https://0x7f000001/hook",
+    "https://0177.0.0.1/hook",
+    "https://api-gateway-cluster-ip-service/hook",
+    "https://api-gateway-cluster-ip-service.default.svc.cluster.local/hook",
+    "https://metadata.google.internal/computeMetadata/v1/",
+  ];
+  for (const target of internal) assert.equal(validateTarget(target), "webhook target must be a public host", target);
+});
+
+test("an allowlist limits targets to those hosts and their subdomains", () => {
+  const { validateTarget } = webhook({ allowedHosts: ["hooks.example.com"] });
+  assert.equal(validateTarget("https://hooks.example.com/a"), null);
+  assert.equal(validateTarget("https://eu.hooks.example.com/a"), null);
+  assert.equal(
+    validateTarget("https://evilhooks.example.com/a"),
+    "webhook target host must be one of: hooks.example.com"
+  );
+  assert.equal(validateTarget("https://example.org/a"), "webhook target host must be one of: hooks.example.com");
+});
+
+test("sending to a target that breaks the rules fails permanently without a request", async () => {
+  const { send } = webhook();
+  for (const target of ["https://127.0.0.1:9/hook", "http://example.com/hook"]) {
+    const err = await send(target, { subject: "Hi", text: "Check in" }).catch((error) => error);
+    assert.ok(err instanceof DeliveryError, target);
+    assert.equal(err.permanent, true);
+  }
+});
@@ -4,6 +4,12 @@ const keys = require("./keys");
 const express = require("express");
 const bodyParser = require("body-parser");
 const cors = require("cors");
+const jwt = require("jsonwebtoken");
+
+if (!keys.jwtSecret) {
+  console.error("JWT_SECRET must be set on the server");
+  process.exit(1);
+}
 
 const app = express();
 app.use(cors());
@@ -11,6 +17,7 @@ app.use(bodyParser.json());
 
 // Postgres client setup
 const { Pool } = require("pg");
+const { assertSchemaCurrent } = require("./db");
 const pgClient = new Pool({
   user: keys.pgUser,
   host: keys.pgHost,
@@ -19,16 +26,19 @@ const pgClient = new Pool({
   port: keys.pgPort
 });
 
-pgClient.on("connect", client => {
-  client
-    .query("CREATE TABLE IF NOT EXISTS values (number INT)")
-    .catch(err => console.log("PG ERROR", err));
-  client
-    .query(
-      "CREATE TABLE IF NOT EXISTS entries (id SERIAL PRIMARY KEY, text TEXT NOT NULL, created_at TIMESTAMPTZ DEFAULT NOW())"
-    )
-    .catch(err => console.log("PG ERROR", err));
-});
+// Tokens are issued by the API gateway's /auth routes and share its JWT_SECRET.
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  try {
+    const payload = jwt.verify(token, keys.jwtSecret);
+    req.userId = parseInt(payload.sub, 10);
+    if (!Number.isInteger(req.userId)) throw new Error("invalid subject");
+    next();
+  } catch (err) {
+    res.status(401).send({ ok: false, error: "authentication required" });
+  }
+};
 
 //Express route definitions
 app.get("/", (req, res) => {
@@ -36,26 +46,27 @@ app.get("/", (req, res) => {
 });
 
 // get the values
-app.get("/values/all", async (req, res) => {
-  const values = await pgClient.query("SELECT * FROM values");
+app.get("/values/all", requireAuth, async (req, res) => {
+  const values = await pgClient.query("SELECT number FROM values WHERE user_id = $1", [req.userId]);
 
   res.send(values);
 });
 
 // now the post -> insert value
-app.post("/values", async (req, res) => {
-  if (!req.body.value) res.send({ working: false });
+app.post("/values", requireAuth, async (req, res) => {
+  if (!req.body.value) return res.send({ working: false });
 
-  pgClient.query("INSERT INTO values(number) VALUES($1)", [req.body.value]);
+  pgClient.query("INSERT INTO values(number, user_id) VALUES($1, $2)", [req.body.value, req.userId]);
 
   res.send({ working: true });
 });
 
 // Simple gratitude entries API
-app.get("/entries/all", async (req, res) => {
+app.get("/entries/all", requireAuth, async (req, res) => {
   try {
     const result = await pgClient.query(
-      "SELECT id, text, created_at FROM entries ORDER BY created_at DESC LIMIT 50"
+      "SELECT id, text, created_at FROM entries WHERE user_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC LIMIT 50",
+      [req.userId]
     );
     res.send({ rows: result.rows });
   } catch (e) {
@@ -63,7 +74,7 @@ app.get("/entries/all", async (req, res) => {
   }
 });
 
-app.post("/entries", async (req, res) => {
+app.post("/entries", requireAuth, async (req, res) => {
   const text = (req.body && req.body.text ? String(req.body.text) : "").trim();
   if (!text) {
     return res.status(400).send({ ok: false, error: "Text is required" });
@@ -72,7 +83,7 @@ app.post("/entries", async (req, res) => {
     return res.status(400).send({ ok: false, error: "Max 200 characters" });
   }
   try {
-    await pgClient.query("INSERT INTO entries(text) VALUES($1)", [text]);
+    await pgClient.query("INSERT INTO entries(text, user_id) VALUES($1, $2)", [text, req.userId]);
     res.send({ ok: true });
   } catch (e) {
     res.status(500).send({ ok: false, error: "Failed to save entry" });
@@ -80,10 +91,18 @@ app.post("/entries", async (req, res) => {
 });
 
 const PORT = process.env.PORT || 5001;
-app.listen(PORT, err => {
-  if (err) {
-    console.error("Failed to start server", err);
+// Tables are owned by the db migrations; refuse to serve against an outdated schema.
+assertSchemaCurrent(pgClient)
+  .then(() => {
+    app.listen(PORT, err => {
+      if (err) {
+        console.error("Failed to start server", err);
+        process.exit(1);
+      }
+      console.log(`Server listening on :${PORT}`);
+    });
+  })
+  .catch(err => {
+    console.error(err.message);
     process.exit(1);
-  }
-  console.log(`Server listening on :${PORT}`);
-});
+  });
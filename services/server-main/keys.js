@@ -3,5 +3,6 @@ module.exports = {
   pgHost: process.env.PGHOST,
   pgDatabase: process.env.PGDATABASE,
   pgPassword: process.env.PGPASSWORD,
-  pgPort: process.env.PGPORT
+  pgPort: process.env.PGPORT,
+  jwtSecret: process.env.JWT_SECRET
 };
@@ -3,6 +3,7 @@ const cors = require("cors");
 const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const path = require("path");
+const jwt = require("jsonwebtoken");
 
 const PROTO_PATH = path.join(__dirname, "protos", "stats.proto");
 const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
@@ -17,20 +18,215 @@ const statsProto = grpc.loadPackageDefinition(packageDefinition).stats;
 const STATS_SERVICE_ADDR = process.env.STATS_SERVICE_ADDR || "stats-service-cluster-ip-service:50053";
 const statsClient = new statsProto.Stats(STATS_SERVICE_ADDR, grpc.credentials.createInsecure());
 
+const JWT_SECRET = process.env.JWT_SECRET || "";
+if (!JWT_SECRET) {
+  console.error("JWT_SECRET must be set on the stats API");
+  process.exit(1);
+}
+
+// Tokens are issued by the API gateway's /auth routes and share its JWT_SECRET.
+const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : "";
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    req.userId = parseInt(payload.sub, 10);
+    if (!Number.isInteger(req.userId)) throw new Error("invalid subject");
+    next();
+  } catch (err) {
+    // Same response as the gateway's: its code signs the client out.
+    res
+      .status(401)
+      .set("WWW-Authenticate", "Bearer")
+      .send({ ok: false, code: "auth_required", error: "authentication required" });
+  }
+};
+
+const userMetadata = (req) => {
+  const metadata = new grpc.Metadata();
+  metadata.set("x-user-id", String(req.userId));
+  return metadata;
+};
+
 const app = express();
 app.use(cors());
+app.use(express.json());
 
 app.get("/healthz", (req, res) => res.send({ ok: true }));
 
+const httpStatusFor = (err) => {
+  switch (err && err.code) {
+    case grpc.status.INVALID_ARGUMENT:
+      return 400;
+    case grpc.status.UNAUTHENTICATED:
+      return 401;
+    case grpc.status.ALREADY_EXISTS:
+    case grpc.status.FAILED_PRECONDITION:
+      return 409;
+    case grpc.status.RESOURCE_EXHAUSTED:
+      return 429;
+    default:
+      return 500;
+  }
+};
+
+const queryString = (value) => (typeof value === "string" ? value.trim() : "");
+
+// avg_intensity is a proto float; one decimal is all the service computes.
+const roundMoods = (moods) =>
+  (moods || []).map((item) => ({ ...item, avg_intensity: Math.round(item.avg_intensity * 10) / 10 }));
+
+// ?tz= is the caller's IANA timezone; "today" and the ranges follow its calendar.
+// ?range= is 7/30/90/365 days ending today, or ?from=&to= a custom window; ?bucket= is day/week/month.
+const overviewRequest = (req) => ({
+  timezone: queryString(req.query.tz),
+  // A range that is not a number becomes -1 so stats-service rejects it rather than defaulting.
+  range_days: queryString(req.query.range) ? parseInt(req.query.range, 10) || -1 : 0,
+  from: queryString(req.query.from),
+  to: queryString(req.query.to),
+  bucket: queryString(req.query.bucket),
+});
+
+const toRestOverview = (overview) => ({
+  ...overview,
+  mood_trend: roundMoods(overview.mood_trend),
+  buckets: (overview.buckets || []).map((bucket) => ({ ...bucket, moods: roundMoods(bucket.moods) })),
+});
+
 const getOverview = (req, res) => {
-  statsClient.GetOverview({}, (err, overview) => {
-    if (err) return res.status(500).send({ error: err.message });
-    res.send({ data: overview });
+  statsClient.GetOverview(overviewRequest(req), userMetadata(req), (err, overview) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ data: toRestOverview(overview) });
+  });
+};
+
+// Comment lines keep idle proxies from closing the stream.
+const SSE_HEARTBEAT_MS = 20 * 1000;
+// How long clients wait before reconnecting a dropped stream.
+const SSE_RETRY_MS = 5000;
+
+// Relays WatchOverview as Server-Sent Events: an "overview" event carrying the
+// same data as GET /overview, each time it changes. Clients authenticate with
+// the Authorization header, so they read it with fetch rather than EventSource.
+// Errors before the first overview are sent as a plain JSON response, which
+// tells the client to give up; a stream that breaks later simply ends and the
+// client reconnects.
+const streamOverview = (req, res) => {
+  const call = statsClient.WatchOverview(overviewRequest(req), userMetadata(req));
+  let heartbeat = null;
+  const stop = () => clearInterval(heartbeat);
+
+  call.on("data", (overview) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Tells nginx (the ingress) not to buffer the stream.
+        "X-Accel-Buffering": "no",
+      });
+      res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+      heartbeat = setInterval(() => res.write(": keep-alive\n\n"), SSE_HEARTBEAT_MS);
+    }
+    res.write(`event: overview\ndata: ${JSON.stringify(toRestOverview(overview))}\n\n`);
+  });
+  call.on("error", (err) => {
+    stop();
+    if (err.code === grpc.status.CANCELLED) return;
+    if (!res.headersSent) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    console.error("Overview stream failed:", err.details || err.message);
+    res.end();
+  });
+  call.on("end", () => {
+    stop();
+    res.end();
+  });
+  req.on("close", () => {
+    stop();
+    call.cancel();
+  });
+};
+
+// Proto floats carry float32 noise; the service rounds to at most three places.
+const roundOptional = (value, places) =>
+  value === undefined || value === null ? null : Math.round(value * 10 ** places) / 10 ** places;
+
+// ?range= is 30/90/365 days ending today in the ?tz= calendar (90 by default).
+const getCorrelations = (req, res) => {
+  const request = {
+    timezone: queryString(req.query.tz),
+    range_days: queryString(req.query.range) ? parseInt(req.query.range, 10) || -1 : 0,
+  };
+  statsClient.GetCorrelations(request, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    const entryValence = result.entry_valence || {};
+    res.send({
+      data: {
+        ...result,
+        entry_valence: {
+          sample_days: entryValence.sample_days || 0,
+          coefficient: roundOptional(entryValence.coefficient, 3),
+          avg_valence_after_entry: roundOptional(entryValence.avg_valence_after_entry, 3),
+          avg_valence_after_no_entry: roundOptional(entryValence.avg_valence_after_no_entry, 3),
+        },
+        heatmap: (result.heatmap || []).map((cell) => ({ ...cell, avg_valence: roundOptional(cell.avg_valence, 2) })),
+        mood_follow_ups: (result.mood_follow_ups || []).map((item) => ({ ...item, rate: roundOptional(item.rate, 2) })),
+      },
+    });
+  });
+};
+
+// ?range= is 30/90/365 days ending today in the ?tz= calendar (90 by default).
+const getThemes = (req, res) => {
+  const request = {
+    timezone: queryString(req.query.tz),
+    range_days: queryString(req.query.range) ? parseInt(req.query.range, 10) || -1 : 0,
+  };
+  statsClient.GetThemes(request, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ data: result });
+  });
+};
+
+const listAchievements = (req, res) => {
+  statsClient.ListAchievements({}, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ error: err.details || err.message });
+    res.send({ data: result.achievements || [] });
+  });
+};
+
+// Body { keys: [...] } names the unlocked badges the client has just announced.
+const markAchievementsSeen = (req, res) => {
+  const keys = Array.isArray(req.body && req.body.keys) ? req.body.keys.filter((key) => typeof key === "string") : [];
+  statsClient.MarkAchievementsSeen({ keys }, userMetadata(req), (err, result) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.send({ ok: true, data: result.achievements || [] });
+  });
+};
+
+// Body { date?: "YYYY-MM-DD" } freezes that day (yesterday by default) in the ?tz= calendar.
+const useStreakFreeze = (req, res) => {
+  const request = { date: queryString(req.body && req.body.date), timezone: queryString(req.query.tz) };
+  statsClient.UseStreakFreeze(request, userMetadata(req), (err, freeze) => {
+    if (err) return res.status(httpStatusFor(err)).send({ ok: false, error: err.details || err.message });
+    res.status(201).send({ ok: true, freeze });
   });
 };
 
-app.get("/stats/overview", getOverview);
-app.get("/overview", getOverview);
+app.get("/stats/overview", requireAuth, getOverview);
+app.get("/overview", requireAuth, getOverview);
+app.get("/stats/overview/stream", requireAuth, streamOverview);
+app.get("/overview/stream", requireAuth, streamOverview);
+app.get("/stats/correlations", requireAuth, getCorrelations);
+app.get("/correlations", requireAuth, getCorrelations);
+app.get("/stats/themes", requireAuth, getThemes);
+app.get("/themes", requireAuth, getThemes);
+app.get("/stats/achievements", requireAuth, listAchievements);
+app.get("/achievements", requireAuth, listAchievements);
+app.post("/stats/achievements/seen", requireAuth, markAchievementsSeen);
+app.post("/achievements/seen", requireAuth, markAchievementsSeen);
+app.post("/stats/streak-freezes", requireAuth, useStreakFreeze);
+app.post("/streak-freezes", requireAuth, useStreakFreeze);
 
 const PORT = process.env.PORT || 5003;
 app.listen(PORT, () => console.log(`Stats API listening on :${PORT}`));
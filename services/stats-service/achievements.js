@@ -0,0 +1,130 @@
+// Achievement rules and their evaluation. Each rule unlocks once a metric of
+// the user's history reaches its target; metrics are read from the daily
+// rollups and streak freezes. Unlocking is idempotent, so any number of
+// replicas may evaluate the same user at once.
+
+const ACHIEVEMENTS = [
+  {
+    key: "first_entry",
+    title: "First words",
+    description: "Write your first gratitude entry.",
+    emoji: "✍️",
+    metric: "total_entries",
+    target: 1,
+  },
+  {
+    key: "streak_7",
+    title: "One week strong",
+    description: "Keep a 7-day streak.",
+    emoji: "🔥",
+    metric: "longest_streak",
+    target: 7,
+  },
+  {
+    key: "moods_10",
+    title: "Full palette",
+    description: "Log 10 different moods.",
+    emoji: "🎨",
+    metric: "distinct_moods",
+    target: 10,
+  },
+  {
+    key: "streak_30",
+    title: "Habit formed",
+    description: "Keep a 30-day streak.",
+    emoji: "🌱",
+    metric: "longest_streak",
+    target: 30,
+  },
+  {
+    key: "entries_100",
+    title: "A hundred reasons",
+    description: "Write 100 entries.",
+    emoji: "📚",
+    metric: "total_entries",
+    target: 100,
+  },
+  {
+    key: "streak_100",
+    title: "Unstoppable",
+    description: "Keep a 100-day streak.",
+    emoji: "🏆",
+    metric: "longest_streak",
+    target: 100,
+  },
+];
+
+// The longest run of consecutive days with an entry or a freeze, counting the
+// written days, as in the overview: a run is the set of days whose date minus
+// their rank is the same.
+const LONGEST_STREAK_SQL = `SELECT COALESCE(MAX(written_days), 0)::int FROM (
+  SELECT COUNT(*) FILTER (WHERE written) AS written_days
+  FROM (
+    SELECT written, day - (ROW_NUMBER() OVER (ORDER BY day))::int AS run
+    FROM (
+      SELECT day, bool_or(written) AS written
+      FROM (
+        SELECT day, TRUE AS written FROM stats_daily_entries WHERE user_id = $1 AND entry_count > 0
+        UNION ALL
+        SELECT freeze_date, FALSE FROM streak_freezes WHERE user_id = $1
+      ) marked
+      GROUP BY day
+    ) days
+  ) runs
+  GROUP BY run
+) streaks`;
+
+async function loadMetrics(db, userId) {
+  const res = await db.query(
+    `SELECT
+       (SELECT COALESCE(SUM(entry_count), 0)::int FROM stats_daily_entries WHERE user_id = $1) AS total_entries,
+       (SELECT COUNT(DISTINCT mood)::int FROM stats_daily_moods WHERE user_id = $1 AND mood_count > 0)
+         AS distinct_moods,
+       (${LONGEST_STREAK_SQL}) AS longest_streak`,
+    [userId]
+  );
+  return res.rows[0];
+}
+
+// Unlocks every rule the user now meets; resolves with their metrics.
+async function evaluateAchievements(db, userId) {
+  const metrics = await loadMetrics(db, userId);
+  const earned = ACHIEVEMENTS.filter((rule) => metrics[rule.metric] >= rule.target).map((rule) => rule.key);
+  if (earned.length) {
+    await db.query(
+      `INSERT INTO achievements(user_id, achievement) SELECT $1, unnest($2::text[])
+       ON CONFLICT (user_id, achievement) DO NOTHING`,
+      [userId, earned]
+    );
+  }
+  return metrics;
+}
+
+// Every rule in display order, unlocked or not, with the user's progress.
+async function listAchievements(db, userId) {
+  const metrics = await evaluateAchievements(db, userId);
+  const res = await db.query("SELECT achievement, unlocked_at, seen_at FROM achievements WHERE user_id = $1", [userId]);
+  const unlocked = new Map(res.rows.map((row) => [row.achievement, row]));
+  return ACHIEVEMENTS.map(({ key, title, description, emoji, metric, target }) => {
+    const row = unlocked.get(key);
+    return {
+      key,
+      title,
+      description,
+      emoji,
+      target,
+      progress: row ? target : Math.min(metrics[metric], target),
+      unlocked_at: row ? row.unlocked_at.toISOString() : "",
+      is_new: Boolean(row && !row.seen_at),
+    };
+  });
+}
+
+async function markAchievementsSeen(db, userId, keys) {
+  await db.query(
+    "UPDATE achievements SET seen_at = NOW() WHERE user_id = $1 AND achievement = ANY($2::text[]) AND seen_at IS NULL",
+    [userId, keys]
+  );
+}
+
+module.exports = { ACHIEVEMENTS, evaluateAchievements, listAchievements, markAchievementsSeen };
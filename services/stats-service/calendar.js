@@ -0,0 +1,23 @@
+// Calendar arithmetic on YYYY-MM-DD strings, done in UTC so DST never shifts a day.
+function parseDate(str) {
+  return new Date(str + "T00:00:00Z");
+}
+
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = parseDate(value);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function differenceInDays(a, b) {
+  const ms = parseDate(a).getTime() - parseDate(b).getTime();
+  return Math.round(ms / (1000 * 60 * 60 * 24));
+}
+
+function addDays(day, amount) {
+  const copy = parseDate(day);
+  copy.setUTCDate(copy.getUTCDate() + amount);
+  return copy.toISOString().slice(0, 10);
+}
+
+module.exports = { addDays, differenceInDays, isCalendarDate, parseDate };
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Admin commands for stats-service. Usage:
+//   node cli.js rebuild-rollups [user_id]   recompute the daily stats rollups of one user, or of everyone
+//
+// The rollups are normally kept current by database triggers; rebuild them
+// after bulk edits made with triggers disabled or if they are ever suspected
+// to have drifted. Writes to entries and moods wait while a rebuild runs.
+// Connection settings come from the usual PG* environment variables.
+
+const { Pool } = require("pg");
+const { rebuildRollups } = require("./rollups");
+
+const log = (message) => console.log(message);
+
+const commands = {
+  async "rebuild-rollups"(pool, [user]) {
+    const userId = user === undefined ? null : parseInt(user, 10);
+    if (userId !== null && !(Number.isInteger(userId) && userId > 0)) {
+      throw new Error("rebuild-rollups expects a positive user id");
+    }
+    const client = await pool.connect();
+    try {
+      await rebuildRollups(client, userId);
+    } finally {
+      client.release();
+    }
+    log(userId === null ? "Rebuilt stats rollups for every user." : `Rebuilt stats rollups for user ${userId}.`);
+  },
+};
+
+async function main() {
+  const [name, ...args] = process.argv.slice(2);
+  const command = commands[name];
+  if (!command) {
+    console.error(`Unknown command "${name}". Use one of: ${Object.keys(commands).join(", ")}`);
+    process.exit(2);
+  }
+  const pool = new Pool({
+    user: process.env.PGUSER,
+    host: process.env.PGHOST,
+    database: process.env.PGDATABASE,
+    password: process.env.PGPASSWORD,
+    port: process.env.PGPORT,
+  });
+  try {
+    await command(pool, args);
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,143 @@
+// Analytics behind GetCorrelations: does writing lift the next day's mood,
+// when do people write and check in, and which moods lead to an entry.
+//
+// A check-in's valence is its own valence dimension when recorded, else the
+// valence of its mood type.
+
+const { addDays } = require("./calendar");
+
+// A mood counts as followed by gratitude when an entry is written within this window after it.
+const FOLLOW_UP_HOURS = 24;
+// Fewer paired days than this make a correlation coefficient meaningless.
+const MIN_CORRELATION_DAYS = 5;
+
+const MOOD_VALENCE_SQL = `COALESCE(m.valence, (
+  SELECT mt.valence FROM mood_types mt
+  WHERE mt.slug = m.mood AND (mt.user_id IS NULL OR mt.user_id = m.user_id)
+  ORDER BY mt.user_id NULLS LAST LIMIT 1
+))`;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Pearson's r, or null when either series is constant.
+function pearson(pairs) {
+  const xs = pairs.map(([x]) => x);
+  const ys = pairs.map(([, y]) => y);
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (y - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Pairs the mean valence of every day with mood data with the number of
+// entries written the day before, as long as that day is still in range.
+function correlateEntriesWithValence(from, entryCounts, dailyValence) {
+  const pairs = [];
+  dailyValence.forEach((valence, day) => {
+    if (day > from) pairs.push([entryCounts.get(addDays(day, -1)) || 0, valence]);
+  });
+  const after = (wrote) => pairs.filter(([count]) => count > 0 === wrote).map(([, valence]) => valence);
+  const withEntry = after(true);
+  const withoutEntry = after(false);
+  const coefficient = pairs.length >= MIN_CORRELATION_DAYS ? pearson(pairs) : null;
+  return {
+    sample_days: pairs.length,
+    // Optional proto fields: undefined leaves them unset.
+    coefficient: coefficient === null ? undefined : round(coefficient),
+    avg_valence_after_entry: withEntry.length ? round(mean(withEntry)) : undefined,
+    avg_valence_after_no_entry: withoutEntry.length ? round(mean(withoutEntry)) : undefined,
+  };
+}
+
+// `from`/`to` are inclusive local days; `timezone` stands in for rows without one.
+async function loadCorrelations(client, userId, { from, to, timezone }) {
+  const entryCountsRes = await client.query(
+    `SELECT to_char(entry_date, 'YYYY-MM-DD') AS day, COUNT(*) AS count
+     FROM entries
+     WHERE user_id = $1 AND deleted_at IS NULL AND entry_date BETWEEN $2::date AND $3::date
+     GROUP BY day`,
+    [userId, from, to]
+  );
+  const valenceRes = await client.query(
+    `SELECT to_char(m.entry_date, 'YYYY-MM-DD') AS day, AVG(${MOOD_VALENCE_SQL}) AS valence
+     FROM moods m
+     WHERE m.user_id = $1 AND m.entry_date BETWEEN $2::date AND $3::date
+     GROUP BY day`,
+    [userId, from, to]
+  );
+  // Hours are read on the author's clock when the row was written, so rows
+  // without a stored timezone fall back to the caller's.
+  const heatmapRes = await client.query(
+    `SELECT weekday, hour, SUM(entries)::int AS entries, SUM(moods)::int AS moods, AVG(valence) AS avg_valence
+     FROM (
+       SELECT EXTRACT(DOW FROM created_at AT TIME ZONE COALESCE(timezone, $4))::int AS weekday,
+              EXTRACT(HOUR FROM created_at AT TIME ZONE COALESCE(timezone, $4))::int AS hour,
+              1 AS entries, 0 AS moods, NULL::real AS valence
+       FROM entries
+       WHERE user_id = $1 AND deleted_at IS NULL AND entry_date BETWEEN $2::date AND $3::date
+       UNION ALL
+       SELECT EXTRACT(DOW FROM m.created_at AT TIME ZONE COALESCE(m.timezone, $4))::int,
+              EXTRACT(HOUR FROM m.created_at AT TIME ZONE COALESCE(m.timezone, $4))::int,
+              0, 1, ${MOOD_VALENCE_SQL}
+       FROM moods m
+       WHERE m.user_id = $1 AND m.entry_date BETWEEN $2::date AND $3::date
+     ) activity
+     GROUP BY weekday, hour
+     ORDER BY weekday, hour`,
+    [userId, from, to, timezone]
+  );
+  // The entry written together with a check-in (moods.entry_id) shares its
+  // created_at, so only entries strictly later count as a follow-up.
+  const followUpRes = await client.query(
+    `SELECT m.mood, COUNT(*)::int AS check_ins,
+            COUNT(*) FILTER (WHERE EXISTS (
+              SELECT 1 FROM entries e
+              WHERE e.user_id = m.user_id AND e.deleted_at IS NULL
+                AND e.created_at > m.created_at
+                AND e.created_at <= m.created_at + make_interval(hours => $4)
+            ))::int AS followed
+     FROM moods m
+     WHERE m.user_id = $1 AND m.entry_date BETWEEN $2::date AND $3::date
+     GROUP BY m.mood`,
+    [userId, from, to, FOLLOW_UP_HOURS]
+  );
+
+  const entryCounts = new Map(entryCountsRes.rows.map((row) => [row.day, parseInt(row.count, 10)]));
+  const dailyValence = new Map(
+    valenceRes.rows.filter((row) => row.valence !== null).map((row) => [row.day, parseFloat(row.valence)])
+  );
+
+  return {
+    range_from: from,
+    range_to: to,
+    entry_valence: correlateEntriesWithValence(from, entryCounts, dailyValence),
+    heatmap: heatmapRes.rows.map((row) => ({
+      weekday: row.weekday,
+      hour: row.hour,
+      entries: row.entries,
+      moods: row.moods,
+      avg_valence: row.avg_valence === null ? undefined : round(parseFloat(row.avg_valence), 2),
+    })),
+    follow_up_hours: FOLLOW_UP_HOURS,
+    mood_follow_ups: followUpRes.rows
+      .map((row) => ({
+        mood: row.mood,
+        check_ins: row.check_ins,
+        followed_by_entry: row.followed,
+        rate: round(row.followed / row.check_ins, 2),
+      }))
+      .sort((a, b) => b.followed_by_entry - a.followed_by_entry || b.rate - a.rate || a.mood.localeCompare(b.mood)),
+  };
+}
+
+module.exports = { MIN_CORRELATION_DAYS, correlateEntriesWithValence, loadCorrelations, pearson };
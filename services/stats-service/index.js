@@ -2,6 +2,14 @@ const grpc = require("@grpc/grpc-js");
 const protoLoader = require("@grpc/proto-loader");
 const { Pool } = require("pg");
 const path = require("path");
+const { assertSchemaCurrent } = require("./db");
+const { addDays } = require("./calendar");
+const { loadCorrelations } = require("./correlations");
+const { buildBuckets, resolveRange, toMoodSummary } = require("./ranges");
+const { loadThemes } = require("./themes");
+const { ACHIEVEMENTS, evaluateAchievements, listAchievements, markAchievementsSeen } = require("./achievements");
+const { createOverviewCache, listenForChanges } = require("./rollups");
+const { computeStreaks, freezeDayError, freezesLeftIn, spendFreeze } = require("./streaks");
 
 const STATS_PROTO = path.join(__dirname, "protos", "stats.proto");
 const statsDefinition = protoLoader.loadSync(STATS_PROTO, {
@@ -13,74 +21,231 @@ const statsDefinition = protoLoader.loadSync(STATS_PROTO, {
 });
 const statsProto = grpc.loadPackageDefinition(statsDefinition).stats;
 
-const pool = new Pool({
+const pgConfig = {
   user: process.env.PGUSER,
   host: process.env.PGHOST,
   database: process.env.PGDATABASE,
   password: process.env.PGPASSWORD,
   port: process.env.PGPORT,
-});
+};
+const pool = new Pool(pgConfig);
 
-async function ensureTables() {
-  const client = await pool.connect();
-  try {
-    await client.query(
-      "CREATE TABLE IF NOT EXISTS entries (id SERIAL PRIMARY KEY, text TEXT NOT NULL, created_at TIMESTAMPTZ DEFAULT NOW())"
-    );
-    await client.query(
-      "CREATE TABLE IF NOT EXISTS moods (id SERIAL PRIMARY KEY, mood TEXT NOT NULL, note TEXT, created_at TIMESTAMPTZ DEFAULT NOW())"
-    );
-  } finally {
-    client.release();
-  }
+// Windows offered by GetCorrelations and GetThemes.
+const ANALYTICS_RANGES = [30, 90, 365];
+
+const STREAK_FREEZES_PER_MONTH = parseInt(process.env.STREAK_FREEZES_PER_MONTH || "2", 10) || 0;
+
+// Overviews are cached this long at most; writes evict them sooner. 0 disables the cache.
+const OVERVIEW_CACHE_TTL_MS = parseInt(process.env.OVERVIEW_CACHE_TTL_MS || "15000", 10) || 0;
+const overviewCache = createOverviewCache({ ttlMs: OVERVIEW_CACHE_TTL_MS });
+
+// A check-in writes an entry and a mood back to back; one update covers both.
+const WATCH_DEBOUNCE_MS = 250;
+const MAX_WATCHERS_PER_USER = 10;
+// How often open streams look for the caller's day to roll over.
+const DAY_CHECK_MS = 60 * 1000;
+
+// Open WatchOverview streams by user id, as functions that queue a fresh overview.
+const overviewWatchers = new Map();
+// Users whose achievements are due for evaluation after a write, by timer.
+const pendingAchievementChecks = new Map();
+
+// Mean intensity of rated check-ins over rollup rows; NULL when none were rated.
+const AVG_INTENSITY_SQL = "ROUND(SUM(intensity_sum)::numeric / NULLIF(SUM(intensity_count), 0), 1)";
+
+const UNAUTHENTICATED = { code: grpc.status.UNAUTHENTICATED, message: "missing x-user-id metadata" };
+
+// stats-api authenticates the caller and forwards their id as gRPC metadata.
+function userIdFrom(call) {
+  const [value] = call.metadata.get("x-user-id");
+  const id = parseInt(value, 10);
+  return Number.isInteger(id) && id > 0 ? id : null;
 }
 
 const serviceImpl = {
   async GetOverview(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      const result = await overviewFor(userId, call.request);
+      if (result.error) return callback(result.error);
+      callback(null, result.overview);
+    } catch (e) {
+      console.error("Stats service error", e);
+      callback({ code: grpc.status.INTERNAL, message: "stats unavailable" });
+    }
+  },
+
+  // Sends the overview straight away, then again whenever the caller's entries,
+  // moods or freezes change and when their day rolls over, until they cancel.
+  WatchOverview(call) {
+    const userId = userIdFrom(call);
+    if (!userId) return call.emit("error", UNAUTHENTICATED);
+    if ((overviewWatchers.get(userId)?.size || 0) >= MAX_WATCHERS_PER_USER) {
+      return call.emit("error", {
+        code: grpc.status.RESOURCE_EXHAUSTED,
+        message: `at most ${MAX_WATCHERS_PER_USER} live overviews per user`,
+      });
+    }
+    const timezone = (call.request.timezone || "").trim() || "UTC";
+    let closed = false;
+    let timer = null;
+    let day = null;
+    let sending = Promise.resolve();
+
+    const fail = (error) => {
+      if (closed) return;
+      close();
+      call.emit("error", error);
+    };
+    const send = async () => {
+      if (closed) return;
+      try {
+        const result = await overviewFor(userId, call.request);
+        if (closed) return;
+        if (result.error) return fail(result.error);
+        day = result.overview.last7_days[result.overview.last7_days.length - 1].date;
+        call.write(result.overview);
+      } catch (e) {
+        console.error("Stats service error", e);
+        fail({ code: grpc.status.INTERNAL, message: "stats unavailable" });
+      }
+    };
+    // Sends never overlap, so updates arrive in the order they were computed.
+    const refresh = () => {
+      if (closed || timer) return;
+      timer = setTimeout(() => {
+        timer = null;
+        sending = sending.then(send);
+      }, WATCH_DEBOUNCE_MS);
+    };
+    const dayCheck = setInterval(() => {
+      if (day && localDate(new Date(), timezone) !== day) refresh();
+    }, DAY_CHECK_MS);
+    const unwatch = watchOverview(userId, refresh);
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearTimeout(timer);
+      clearInterval(dayCheck);
+      unwatch();
+    };
+    call.on("cancelled", close);
+    sending = send();
+  },
+
+  async GetCorrelations(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const timezone = (call.request.timezone || "").trim() || "UTC";
+    if (!isValidTimeZone(timezone)) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "timezone must be an IANA zone name" });
+    }
+    const days = call.request.range_days || 90;
+    if (!ANALYTICS_RANGES.includes(days)) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: `range_days must be one of: ${ANALYTICS_RANGES.join(", ")}`,
+      });
+    }
+    const to = localDate(new Date(), timezone);
+    const from = addDays(to, -(days - 1));
     try {
       const client = await pool.connect();
       try {
-        const totalEntriesRes = await client.query("SELECT COUNT(*) AS count FROM entries");
-        const entriesTodayRes = await client.query(
-          "SELECT COUNT(*) AS count FROM entries WHERE created_at >= date_trunc('day', now())"
-        );
-        const last7Res = await client.query(
-          `SELECT to_char(date(created_at), 'YYYY-MM-DD') AS day, COUNT(*) AS count
-           FROM entries
-           WHERE created_at >= now() - interval '6 days'
-           GROUP BY day
-           ORDER BY day`
-        );
-        const streakRes = await client.query(
-          `SELECT to_char(date(created_at), 'YYYY-MM-DD') AS day
-           FROM entries
-           GROUP BY day
-           ORDER BY day DESC
-           LIMIT 60`
-        );
-        const moodRes = await client.query(
-          `SELECT mood, COUNT(*) AS count
-           FROM moods
-           WHERE created_at >= now() - interval '7 days'
-           GROUP BY mood`
-        );
-
-        const totalEntries = parseInt(totalEntriesRes.rows[0]?.count || "0", 10);
-        const entriesToday = parseInt(entriesTodayRes.rows[0]?.count || "0", 10);
-        const last7Days = buildLast7Days(last7Res.rows);
-        const streakDays = computeStreak(streakRes.rows.map((row) => row.day));
-        const moodTrend = moodRes.rows.map((row) => ({
-          mood: row.mood,
-          count: parseInt(row.count, 10),
-        }));
-
-        callback(null, {
-          total_entries: totalEntries,
-          entries_today: entriesToday,
-          streak_days: streakDays,
-          last7_days: last7Days,
-          mood_trend: moodTrend,
+        callback(null, await loadCorrelations(client, userId, { from, to, timezone }));
+      } finally {
+        client.release();
+      }
+    } catch (e) {
+      console.error("Stats service error", e);
+      callback({ code: grpc.status.INTERNAL, message: "stats unavailable" });
+    }
+  },
+
+  async GetThemes(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const timezone = (call.request.timezone || "").trim() || "UTC";
+    if (!isValidTimeZone(timezone)) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "timezone must be an IANA zone name" });
+    }
+    const today = localDate(new Date(), timezone);
+    let { from, to } = call.request;
+    if (from || to) {
+      // Validated like a daily overview range, which has the same 366-day cap.
+      const custom = resolveRange({ from, to, bucket: "day" }, today);
+      if (custom.error) return callback({ code: grpc.status.INVALID_ARGUMENT, message: custom.error });
+      ({ from, to } = custom);
+    } else {
+      const days = call.request.range_days || 90;
+      if (!ANALYTICS_RANGES.includes(days)) {
+        return callback({
+          code: grpc.status.INVALID_ARGUMENT,
+          message: `range_days must be one of: ${ANALYTICS_RANGES.join(", ")}`,
         });
+      }
+      to = today;
+      from = addDays(today, -(days - 1));
+    }
+    const range = { from, to, bucket: differenceInDays(to, from) >= 90 ? "month" : "week" };
+    const periods = buildBuckets(range, [], []).map(({ start, end }) => ({ start, end, entry_count: 0 }));
+    try {
+      callback(null, await loadThemes(pool, userId, { ...range, periods }));
+    } catch (e) {
+      console.error("Stats service error", e);
+      callback({ code: grpc.status.INTERNAL, message: "stats unavailable" });
+    }
+  },
+
+  async ListAchievements(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    try {
+      callback(null, { achievements: await listAchievements(pool, userId) });
+    } catch (e) {
+      console.error("Stats service error", e);
+      callback({ code: grpc.status.INTERNAL, message: "stats unavailable" });
+    }
+  },
+
+  async MarkAchievementsSeen(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const keys = [...new Set(call.request.keys || [])];
+    const unknown = keys.filter((key) => !ACHIEVEMENTS.some((rule) => rule.key === key));
+    if (!keys.length || unknown.length) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: keys.length ? `unknown achievements: ${unknown.join(", ")}` : "keys must not be empty",
+      });
+    }
+    try {
+      await markAchievementsSeen(pool, userId, keys);
+      callback(null, { achievements: await listAchievements(pool, userId) });
+    } catch (e) {
+      console.error("Stats service error", e);
+      callback({ code: grpc.status.INTERNAL, message: "stats unavailable" });
+    }
+  },
+
+  async UseStreakFreeze(call, callback) {
+    const userId = userIdFrom(call);
+    if (!userId) return callback(UNAUTHENTICATED);
+    const timezone = (call.request.timezone || "").trim() || "UTC";
+    if (!isValidTimeZone(timezone)) {
+      return callback({ code: grpc.status.INVALID_ARGUMENT, message: "timezone must be an IANA zone name" });
+    }
+    const today = localDate(new Date(), timezone);
+    const day = (call.request.date || "").trim() || addDays(today, -1);
+    const dayError = freezeDayError(day, today);
+    if (dayError) return callback({ code: grpc.status.INVALID_ARGUMENT, message: dayError });
+    try {
+      const client = await pool.connect();
+      try {
+        const result = await spendFreeze(client, userId, day, STREAK_FREEZES_PER_MONTH);
+        if (result.error) return callback(result.error);
+        callback(null, result.freeze);
       } finally {
         client.release();
       }
@@ -91,68 +256,171 @@ const serviceImpl = {
   },
 };
 
-function buildLast7Days(rows) {
-  const map = new Map();
-  rows.forEach((row) => {
-    map.set(row.day, parseInt(row.count, 10));
-  });
-  const result = [];
-  for (let i = 6; i >= 0; i--) {
-    const date = new Date();
-    date.setHours(0, 0, 0, 0);
-    date.setDate(date.getDate() - i);
-    const key = date.toISOString().slice(0, 10);
-    result.push({ date: key, count: map.get(key) || 0 });
+// Validates a GetOverviewRequest and computes the overview; resolves with
+// { error } for a bad request, else { overview }.
+async function overviewFor(userId, request) {
+  const timezone = (request.timezone || "").trim() || "UTC";
+  if (!isValidTimeZone(timezone)) {
+    return { error: { code: grpc.status.INVALID_ARGUMENT, message: "timezone must be an IANA zone name" } };
+  }
+  // Days are counted by each row's entry_date, the author's local calendar
+  // day, so "today" has to be taken from the caller's timezone as well.
+  const today = localDate(new Date(), timezone);
+  const weekStart = addDays(today, -6);
+  const range = resolveRange(request, today);
+  if (range.error) return { error: { code: grpc.status.INVALID_ARGUMENT, message: range.error } };
+  // `today` is part of the key so a cached overview never outlives its day.
+  const cacheKey = [timezone, today, range.from, range.to, range.bucket].join("|");
+  const cached = overviewCache.get(userId, cacheKey);
+  if (cached) return { overview: cached };
+  const cacheToken = overviewCache.token(userId);
+  const client = await pool.connect();
+  try {
+    // Everything below reads the daily rollups (migration 007), so the cost
+    // grows with the number of active days rather than of rows written.
+    const totalEntriesRes = await client.query(
+      "SELECT COALESCE(SUM(entry_count), 0) AS count FROM stats_daily_entries WHERE user_id = $1",
+      [userId]
+    );
+    const last7Res = await client.query(
+      `SELECT to_char(day, 'YYYY-MM-DD') AS day, entry_count AS count
+         FROM stats_daily_entries
+         WHERE user_id = $1 AND day BETWEEN $2::date AND $3::date AND entry_count > 0
+         ORDER BY day`,
+      [userId, weekStart, today]
+    );
+    // Every day that can carry a streak: days with entries plus frozen days.
+    const streakRes = await client.query(
+      `SELECT to_char(day, 'YYYY-MM-DD') AS day, bool_or(written) AS written
+         FROM (
+           SELECT day, TRUE AS written
+           FROM stats_daily_entries WHERE user_id = $1 AND entry_count > 0 AND day <= $2::date
+           UNION ALL
+           SELECT freeze_date, FALSE FROM streak_freezes WHERE user_id = $1 AND freeze_date <= $2::date
+         ) days
+         GROUP BY day
+         ORDER BY day`,
+      [userId, today]
+    );
+    const freezesLeft = await freezesLeftIn(client, userId, today, STREAK_FREEZES_PER_MONTH);
+    const moodRes = await client.query(
+      `SELECT mood, SUM(mood_count) AS count, ${AVG_INTENSITY_SQL} AS avg_intensity
+         FROM stats_daily_moods
+         WHERE user_id = $1 AND day BETWEEN $2::date AND $3::date AND mood_count > 0
+         GROUP BY mood`,
+      [userId, range.from, range.to]
+    );
+    // date_trunc('week') starts weeks on Monday, matching bucketStart().
+    const entryBucketsRes = await client.query(
+      `SELECT to_char(date_trunc($4, day::timestamp), 'YYYY-MM-DD') AS bucket, SUM(entry_count) AS count
+         FROM stats_daily_entries
+         WHERE user_id = $1 AND day BETWEEN $2::date AND $3::date
+         GROUP BY bucket`,
+      [userId, range.from, range.to, range.bucket]
+    );
+    const moodBucketsRes = await client.query(
+      `SELECT to_char(date_trunc($4, day::timestamp), 'YYYY-MM-DD') AS bucket, mood,
+                SUM(mood_count) AS count, ${AVG_INTENSITY_SQL} AS avg_intensity
+         FROM stats_daily_moods
+         WHERE user_id = $1 AND day BETWEEN $2::date AND $3::date AND mood_count > 0
+         GROUP BY bucket, mood
+         ORDER BY bucket, count DESC, mood`,
+      [userId, range.from, range.to, range.bucket]
+    );
+
+    const totalEntries = parseInt(totalEntriesRes.rows[0]?.count || "0", 10);
+    const last7Days = buildLast7Days(last7Res.rows, today);
+    const streaks = computeStreaks(streakRes.rows, today);
+    const moodTrend = moodRes.rows.map(toMoodSummary);
+
+    const overview = {
+      total_entries: totalEntries,
+      entries_today: last7Days[last7Days.length - 1].count,
+      streak_days: streaks.current,
+      last7_days: last7Days,
+      mood_trend: moodTrend,
+      range_from: range.from,
+      range_to: range.to,
+      bucket: range.bucket,
+      buckets: buildBuckets(range, entryBucketsRes.rows, moodBucketsRes.rows),
+      longest_streak_days: streaks.longest,
+      streak_history: streaks.history,
+      streak_pending_today: streaks.pendingToday,
+      streak_freezes_left: freezesLeft,
+    };
+    overviewCache.set(userId, cacheKey, overview, cacheToken);
+    return { overview };
+  } finally {
+    client.release();
   }
-  return result;
 }
 
-function computeStreak(days) {
-  if (!days || days.length === 0) return 0;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  let expected = today;
-  let streak = 0;
-
-  for (const dayStr of days) {
-    const current = parseDate(dayStr);
-    const diff = differenceInDays(current, expected);
-    if (streak === 0 && diff > 0) {
-      // first record is older than today -> no streak
-      break;
-    }
-    if (diff === 0) {
-      streak += 1;
-      expected = addDays(expected, -1);
-    } else if (diff === 1 && streak === 0) {
-      // No entry today but entry yesterday: streak is 0, stop
-      break;
-    } else {
-      break;
-    }
+function watchOverview(userId, refresh) {
+  if (!overviewWatchers.has(userId)) overviewWatchers.set(userId, new Set());
+  overviewWatchers.get(userId).add(refresh);
+  return () => {
+    const watchers = overviewWatchers.get(userId);
+    watchers.delete(refresh);
+    if (!watchers.size) overviewWatchers.delete(userId);
+  };
+}
+
+// Unlocks achievements shortly after a write, so unlocked_at is close to the
+// moment they were earned. Every replica does this; unlocking is idempotent.
+function scheduleAchievementCheck(userId) {
+  if (pendingAchievementChecks.has(userId)) return;
+  const timer = setTimeout(() => {
+    pendingAchievementChecks.delete(userId);
+    evaluateAchievements(pool, userId).catch((err) =>
+      console.error(`Could not evaluate achievements of user ${userId}:`, err.message)
+    );
+  }, WATCH_DEBOUNCE_MS);
+  pendingAchievementChecks.set(userId, timer);
+}
+
+// Handles a stats_changed notification; a null user means anyone may have changed.
+// Achievements are then left to ListAchievements, which evaluates them too.
+function onStatsChanged(userId) {
+  if (userId === null) {
+    overviewCache.clear();
+  } else {
+    overviewCache.evict(userId);
+    scheduleAchievementCheck(userId);
   }
-  return streak;
+  const affected = userId === null ? [...overviewWatchers.values()] : [overviewWatchers.get(userId) || []];
+  affected.forEach((watchers) => watchers.forEach((refresh) => refresh()));
 }
 
-function parseDate(str) {
-  const date = new Date(str + "T00:00:00Z");
-  date.setHours(0, 0, 0, 0);
-  return date;
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
 }
 
-function differenceInDays(a, b) {
-  const ms = a.getTime() - b.getTime();
-  return Math.round(ms / (1000 * 60 * 60 * 24));
+// YYYY-MM-DD calendar day of `date` as seen in `timeZone`.
+function localDate(date, timeZone) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
 }
 
-function addDays(date, amount) {
-  const copy = new Date(date);
-  copy.setDate(copy.getDate() + amount);
-  return copy;
+function buildLast7Days(rows, today) {
+  const map = new Map();
+  rows.forEach((row) => {
+    map.set(row.day, parseInt(row.count, 10));
+  });
+  const result = [];
+  for (let i = 6; i >= 0; i--) {
+    const key = addDays(today, -i);
+    result.push({ date: key, count: map.get(key) || 0 });
+  }
+  return result;
 }
 
 async function main() {
-  await ensureTables();
+  await assertSchemaCurrent(pool);
+  listenForChanges(pgConfig, onStatsChanged);
   const server = new grpc.Server();
   server.addService(statsProto.Stats.service, serviceImpl);
   const host = process.env.HOST || "0.0.0.0";
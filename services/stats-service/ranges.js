@@ -0,0 +1,94 @@
+const { addDays, differenceInDays, isCalendarDate, parseDate } = require("./calendar");
+
+const RANGE_PRESETS = [7, 30, 90, 365];
+const BUCKETS = ["day", "week", "month"];
+// Custom ranges are capped so a response stays within a few hundred buckets.
+const MAX_RANGE_DAYS = 5 * 366;
+const MAX_DAILY_RANGE_DAYS = 366;
+
+function toMoodSummary(row) {
+  return {
+    mood: row.mood,
+    count: parseInt(row.count, 10),
+    // AVG skips unrated check-ins and is NULL when none were rated.
+    avg_intensity: row.avg_intensity === null ? 0 : parseFloat(row.avg_intensity),
+  };
+}
+
+// Window and bucket size of a GetOverviewRequest: from/to when given, else
+// the preset number of days ending `today`.
+function resolveRange(request, today) {
+  const bucket = (request.bucket || "").trim() || "day";
+  if (!BUCKETS.includes(bucket)) return { error: `bucket must be one of: ${BUCKETS.join(", ")}` };
+  let from;
+  let to;
+  if (request.from || request.to) {
+    from = (request.from || "").trim();
+    to = (request.to || "").trim();
+    if (!isCalendarDate(from) || !isCalendarDate(to)) return { error: "from and to must both be YYYY-MM-DD" };
+    if (from > to) return { error: "from must not be after to" };
+    if (differenceInDays(to, from) + 1 > MAX_RANGE_DAYS) {
+      return { error: `ranges cover at most ${MAX_RANGE_DAYS} days` };
+    }
+  } else {
+    const days = request.range_days || 7;
+    if (!RANGE_PRESETS.includes(days)) return { error: `range_days must be one of: ${RANGE_PRESETS.join(", ")}` };
+    to = today;
+    from = addDays(today, -(days - 1));
+  }
+  if (bucket === "day" && differenceInDays(to, from) + 1 > MAX_DAILY_RANGE_DAYS) {
+    return { error: `daily buckets cover at most ${MAX_DAILY_RANGE_DAYS} days; use week or month` };
+  }
+  return { from, to, bucket };
+}
+
+function bucketStart(day, bucket) {
+  if (bucket === "week") return addDays(day, -((parseDate(day).getUTCDay() + 6) % 7));
+  if (bucket === "month") return `${day.slice(0, 7)}-01`;
+  return day;
+}
+
+function nextBucketStart(start, bucket) {
+  if (bucket === "week") return addDays(start, 7);
+  if (bucket === "month") {
+    const date = parseDate(start);
+    date.setUTCMonth(date.getUTCMonth() + 1);
+    return date.toISOString().slice(0, 10);
+  }
+  return addDays(start, 1);
+}
+
+// One bucket per day/week/month touching the range, empty ones included.
+// Rows are keyed by the bucket's calendar start; the first and last bucket
+// are clipped to the range, as are the rows counted into them.
+function buildBuckets({ from, to, bucket }, entryRows, moodRows) {
+  const counts = new Map(entryRows.map((row) => [row.bucket, parseInt(row.count, 10)]));
+  const moods = new Map();
+  moodRows.forEach((row) => {
+    if (!moods.has(row.bucket)) moods.set(row.bucket, []);
+    moods.get(row.bucket).push(toMoodSummary(row));
+  });
+  const buckets = [];
+  for (let start = bucketStart(from, bucket); start <= to; start = nextBucketStart(start, bucket)) {
+    const end = addDays(nextBucketStart(start, bucket), -1);
+    buckets.push({
+      start: start < from ? from : start,
+      end: end > to ? to : end,
+      entry_count: counts.get(start) || 0,
+      moods: moods.get(start) || [],
+    });
+  }
+  return buckets;
+}
+
+module.exports = {
+  BUCKETS,
+  MAX_DAILY_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+  RANGE_PRESETS,
+  bucketStart,
+  buildBuckets,
+  nextBucketStart,
+  resolveRange,
+  toMoodSummary,
+};
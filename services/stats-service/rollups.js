@@ -0,0 +1,122 @@
+// Keeps GetOverview cheap: it reads the daily rollup tables maintained by the
+// triggers of migration 007 and caches what it computed for a short while.
+// The same triggers announce every changed user on CHANGES_CHANNEL, which
+// drops that user's cached overviews and refreshes their WatchOverview streams.
+
+const { Client } = require("pg");
+
+const CHANGES_CHANNEL = "stats_changed";
+// Payload of a change that may touch every user, e.g. a full rebuild.
+const ALL_USERS = "*";
+const RECONNECT_MS = 5000;
+// Distinct timezone/range/bucket combinations kept per user.
+const MAX_ENTRIES_PER_USER = 20;
+
+// Per-user TTL cache. A caller takes a token before computing and passes it to
+// set(); an eviction in between invalidates the token, so a value computed from
+// data that changed meanwhile is never stored.
+function createOverviewCache({ ttlMs, maxUsers = 10000 }) {
+  const users = new Map();
+  const generations = new Map();
+  let epoch = 0;
+
+  const token = (userId) => `${epoch}:${generations.get(userId) || 0}`;
+
+  return {
+    token,
+
+    get(userId, key) {
+      const hit = users.get(userId)?.get(key);
+      if (!hit) return null;
+      if (hit.expires > Date.now()) return hit.value;
+      users.get(userId).delete(key);
+      return null;
+    },
+
+    set(userId, key, value, issued) {
+      if (ttlMs <= 0 || issued !== token(userId)) return;
+      let entries = users.get(userId);
+      if (!entries) {
+        if (users.size >= maxUsers) users.delete(users.keys().next().value);
+        entries = new Map();
+        users.set(userId, entries);
+      }
+      entries.delete(key);
+      if (entries.size >= MAX_ENTRIES_PER_USER) entries.delete(entries.keys().next().value);
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+    },
+
+    evict(userId) {
+      users.delete(userId);
+      generations.set(userId, (generations.get(userId) || 0) + 1);
+    },
+
+    clear() {
+      users.clear();
+      generations.clear();
+      epoch += 1;
+    },
+  };
+}
+
+// Calls onChange(userId) for every notification on CHANGES_CHANNEL, or
+// onChange(null) when any user may have changed: on ALL_USERS and whenever the
+// connection is (re)established, since notifications sent while it was down
+// are lost. Returns a function that stops listening.
+function listenForChanges(config, onChange) {
+  let client = null;
+  let timer = null;
+  let stopped = false;
+
+  const reconnect = (source, err) => {
+    if (stopped || source !== client) return;
+    console.error(`Lost ${CHANGES_CHANNEL} listener, reconnecting:`, err.message);
+    source.end().catch(() => {});
+    client = null;
+    timer = setTimeout(() => {
+      timer = null;
+      connect();
+    }, RECONNECT_MS);
+  };
+
+  const connect = async () => {
+    const candidate = new Client(config);
+    candidate.on("error", (err) => reconnect(candidate, err));
+    candidate.on("end", () => reconnect(candidate, new Error("connection ended")));
+    candidate.on("notification", ({ payload }) => {
+      if (payload === ALL_USERS) return onChange(null);
+      const userId = parseInt(payload, 10);
+      if (Number.isInteger(userId)) onChange(userId);
+    });
+    client = candidate;
+    try {
+      await candidate.connect();
+      await candidate.query(`LISTEN ${CHANGES_CHANNEL}`);
+      onChange(null);
+    } catch (err) {
+      reconnect(candidate, err);
+    }
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (client) client.end().catch(() => {});
+  };
+}
+
+// Recomputes the rollups of one user, or of everyone when userId is null.
+// Writes to entries and moods wait until it commits.
+async function rebuildRollups(client, userId = null) {
+  await client.query("BEGIN");
+  try {
+    await client.query("SELECT rebuild_stats_rollups($1)", [userId]);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = { createOverviewCache, listenForChanges, rebuildRollups };
@@ -0,0 +1,109 @@
+const grpc = require("@grpc/grpc-js");
+const { differenceInDays, isCalendarDate } = require("./calendar");
+
+const STREAK_HISTORY_LIMIT = 20;
+// How far back a missed day can still be frozen.
+const MAX_FREEZE_AGE_DAYS = 7;
+// Class half of the two-key advisory lock taken per user while spending a freeze.
+const FREEZE_LOCK_CLASS = 17;
+
+// `days` are distinct { day, written } rows, oldest first, where frozen days
+// have written = false; `today` is the caller's local day. A streak is a run
+// of consecutive days, and its length counts the written ones. The latest run
+// is still current while it reaches yesterday, since today can still be written.
+function computeStreaks(days, today) {
+  const runs = [];
+  let run = null;
+  let previous = null;
+  for (const { day, written } of days) {
+    if (!run || differenceInDays(day, previous) !== 1) {
+      run = { start: null, end: null, days: 0, last: day };
+      runs.push(run);
+    }
+    if (written) {
+      run.start = run.start || day;
+      run.end = day;
+      run.days += 1;
+    }
+    run.last = day;
+    previous = day;
+  }
+
+  const latest = runs[runs.length - 1];
+  const alive = latest && latest.days > 0 && differenceInDays(today, latest.last) <= 1;
+  const finished = alive ? runs.slice(0, -1) : runs;
+  return {
+    current: alive ? latest.days : 0,
+    longest: runs.reduce((max, item) => Math.max(max, item.days), 0),
+    pendingToday: Boolean(alive && latest.last !== today),
+    history: finished
+      .filter((item) => item.days >= 2)
+      .reverse()
+      .slice(0, STREAK_HISTORY_LIMIT)
+      .map(({ start, end, days: length }) => ({ start, end, days: length })),
+  };
+}
+
+async function freezesLeftIn(client, userId, day, freezesPerMonth) {
+  const used = await client.query(
+    `SELECT COUNT(*)::int AS count FROM streak_freezes
+     WHERE user_id = $1 AND date_trunc('month', freeze_date::timestamp) = date_trunc('month', $2::date::timestamp)`,
+    [userId, day]
+  );
+  return Math.max(0, freezesPerMonth - used.rows[0].count);
+}
+
+// Why `day` cannot be frozen when it is `today` for the user, or null if it can.
+function freezeDayError(day, today) {
+  if (!isCalendarDate(day)) return "date must be YYYY-MM-DD";
+  if (day >= today || differenceInDays(today, day) > MAX_FREEZE_AGE_DAYS) {
+    return `only one of the last ${MAX_FREEZE_AGE_DAYS} days before today can be frozen`;
+  }
+  return null;
+}
+
+// Freezes `day` in a transaction on `client`. Resolves to { freeze } or, when
+// the freeze is refused, to { error } carrying a gRPC status; either way the
+// transaction is over when it settles.
+async function spendFreeze(client, userId, day, freezesPerMonth) {
+  const failed = (message) => ({ error: { code: grpc.status.FAILED_PRECONDITION, message } });
+  try {
+    await client.query("BEGIN");
+    // Serialises freezes per user so two requests cannot both take the last one.
+    await client.query("SELECT pg_advisory_xact_lock($1, $2)", [FREEZE_LOCK_CLASS, userId]);
+    const result = await (async () => {
+      const written = await client.query(
+        "SELECT 1 FROM entries WHERE user_id = $1 AND deleted_at IS NULL AND entry_date = $2::date LIMIT 1",
+        [userId, day]
+      );
+      if (written.rows.length) return failed("that day already has an entry");
+      const left = await freezesLeftIn(client, userId, day, freezesPerMonth);
+      if (left === 0) return failed("no streak freezes left this month");
+      const inserted = await client.query(
+        `INSERT INTO streak_freezes(user_id, freeze_date) VALUES($1, $2)
+         ON CONFLICT (user_id, freeze_date) DO NOTHING RETURNING id`,
+        [userId, day]
+      );
+      if (!inserted.rows.length) {
+        return { error: { code: grpc.status.ALREADY_EXISTS, message: "that day is already frozen" } };
+      }
+      // Delivered on commit to every replica's cache and live overview streams.
+      await client.query("SELECT stats_notify_change($1)", [userId]);
+      return { freeze: { date: day, freezes_left: left - 1 } };
+    })();
+    await client.query(result.error ? "ROLLBACK" : "COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  }
+}
+
+module.exports = {
+  MAX_FREEZE_AGE_DAYS,
+  STREAK_HISTORY_LIMIT,
+  computeStreaks,
+  freezeDayError,
+  freezesLeftIn,
+  spendFreeze,
+};
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ACHIEVEMENTS, evaluateAchievements, listAchievements } = require("../achievements");
+
+// A db answering the metrics query with `metrics` and the unlocked rows with `unlocked`.
+const fakeDb = (metrics, unlocked = []) => {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params) {
+      statements.push({ sql, params });
+      if (sql.includes("AS total_entries")) return { rows: [metrics] };
+      if (sql.startsWith("SELECT achievement")) return { rows: unlocked };
+      return { rows: [] };
+    },
+  };
+};
+
+const inserted = (db) => db.statements.find(({ sql }) => sql.startsWith("INSERT"));
+
+test("rules whose target is reached are unlocked", async () => {
+  const db = fakeDb({ total_entries: 100, distinct_moods: 3, longest_streak: 7 });
+  await evaluateAchievements(db, 5);
+  assert.deepEqual(inserted(db).params, [5, ["first_entry", "streak_7", "entries_100"]]);
+});
+
+test("nothing is written when no rule is met", async () => {
+  const db = fakeDb({ total_entries: 0, distinct_moods: 0, longest_streak: 0 });
+  await evaluateAchievements(db, 5);
+  assert.equal(inserted(db), undefined);
+});
+
+test("every rule is listed in order with progress capped at its target", async () => {
+  const unlockedAt = new Date("2024-03-14T08:00:00Z");
+  const db = fakeDb({ total_entries: 12, distinct_moods: 4, longest_streak: 9 }, [
+    { achievement: "first_entry", unlocked_at: unlockedAt, seen_at: unlockedAt },
+    { achievement: "streak_7", unlocked_at: unlockedAt, seen_at: null },
+  ]);
+  const achievements = await listAchievements(db, 5);
+  assert.deepEqual(
+    achievements.map(({ key }) => key),
+    ACHIEVEMENTS.map(({ key }) => key)
+  );
+  const byKey = new Map(achievements.map((achievement) => [achievement.key, achievement]));
+  assert.deepEqual(
+    ["first_entry", "streak_7", "moods_10", "streak_30"].map((key) => {
+      const { progress, target, unlocked_at: at, is_new: isNew } = byKey.get(key);
+      return [key, progress, target, at, isNew];
+    }),
+    [
+      ["first_entry", 1, 1, "2024-03-14T08:00:00.000Z", false],
+      ["streak_7", 7, 7, "2024-03-14T08:00:00.000Z", true],
+      ["moods_10", 4, 10, "", false],
+      ["streak_30", 9, 30, "", false],
+    ]
+  );
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { addDays, differenceInDays, isCalendarDate } = require("../calendar");
+
+test("calendar arithmetic crosses month, year and leap-day boundaries", () => {
+  assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+  assert.equal(addDays("2023-02-28", 1), "2023-03-01");
+  assert.equal(addDays("2024-01-01", -1), "2023-12-31");
+  assert.equal(differenceInDays("2025-01-01", "2024-01-01"), 366);
+  assert.equal(differenceInDays("2024-03-01", "2024-03-14"), -13);
+});
+
+test("days are counted in UTC, so a DST change never shifts them", () => {
+  // Clocks change in much of Europe and North America on these dates.
+  assert.equal(addDays("2024-03-30", 2), "2024-04-01");
+  assert.equal(differenceInDays("2024-11-04", "2024-11-02"), 2);
+});
+
+test("only real YYYY-MM-DD days are calendar dates", () => {
+  assert.equal(isCalendarDate("2024-02-29"), true);
+  assert.equal(isCalendarDate("2023-02-29"), false);
+  assert.equal(isCalendarDate("2024-13-01"), false);
+  assert.equal(isCalendarDate("2024-3-1"), false);
+  assert.equal(isCalendarDate("2024-03-01T00:00:00Z"), false);
+  assert.equal(isCalendarDate(""), false);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { MIN_CORRELATION_DAYS, correlateEntriesWithValence, pearson } = require("../correlations");
+
+test("pearson measures linear correlation", () => {
+  assert.equal(
+    pearson([
+      [1, 2],
+      [2, 4],
+      [3, 6],
+    ]),
+    1
+  );
+  assert.equal(
+    pearson([
+      [1, 3],
+      [2, 2],
+      [3, 1],
+    ]),
+    -1
+  );
+  assert.equal(
+    pearson([
+      [1, 1],
+      [2, -1],
+      [3, -1],
+      [4, 1],
+    ]),
+    0
+  );
+});
+
+test("pearson is null when either series is constant", () => {
+  assert.equal(
+    pearson([
+      [0, 0.1],
+      [0, 0.5],
+      [0, 0.9],
+    ]),
+    null
+  );
+  assert.equal(
+    pearson([
+      [1, 0.5],
+      [2, 0.5],
+      [3, 0.5],
+    ]),
+    null
+  );
+});
+
+test("each day's valence is paired with the entries of the day before", () => {
+  const entryCounts = new Map([
+    ["2024-03-01", 2],
+    ["2024-03-03", 1],
+  ]);
+  const dailyValence = new Map([
+    ["2024-03-02", 0.8],
+    ["2024-03-03", -0.2],
+    ["2024-03-04", 0.6],
+  ]);
+  assert.deepEqual(correlateEntriesWithValence("2024-03-01", entryCounts, dailyValence), {
+    sample_days: 3,
+    coefficient: undefined,
+    avg_valence_after_entry: 0.7,
+    avg_valence_after_no_entry: -0.2,
+  });
+});
+
+test("the first day of the range has no day before it to pair with", () => {
+  const result = correlateEntriesWithValence(
+    "2024-03-01",
+    new Map([["2024-02-29", 3]]),
+    new Map([["2024-03-01", 0.5]])
+  );
+  assert.equal(result.sample_days, 0);
+  assert.equal(result.avg_valence_after_entry, undefined);
+  assert.equal(result.avg_valence_after_no_entry, undefined);
+});
+
+test("the day before crosses month boundaries", () => {
+  const result = correlateEntriesWithValence(
+    "2024-02-20",
+    new Map([["2024-02-29", 1]]),
+    new Map([["2024-03-01", 0.5]])
+  );
+  assert.equal(result.avg_valence_after_entry, 0.5);
+});
+
+test("a coefficient needs enough paired days", () => {
+  const entryCounts = new Map();
+  const dailyValence = new Map();
+  for (let day = 1; day <= MIN_CORRELATION_DAYS + 1; day++) {
+    const date = `2024-03-${String(day).padStart(2, "0")}`;
+    if (day % 2) entryCounts.set(date, 1);
+    dailyValence.set(date, day % 2 ? -0.5 : 0.5);
+  }
+  // The first day is not paired, leaving exactly the minimum.
+  const result = correlateEntriesWithValence("2024-03-01", entryCounts, dailyValence);
+  assert.equal(result.sample_days, MIN_CORRELATION_DAYS);
+  assert.equal(result.coefficient, 1);
+
+  dailyValence.delete("2024-03-06");
+  assert.equal(correlateEntriesWithValence("2024-03-01", entryCounts, dailyValence).coefficient, undefined);
+});
+
+test("results are rounded to three places", () => {
+  const entryCounts = new Map([["2024-03-01", 1]]);
+  const dailyValence = new Map([
+    ["2024-03-02", 1 / 3],
+    ["2024-03-03", 2 / 3],
+  ]);
+  const result = correlateEntriesWithValence("2024-03-01", entryCounts, dailyValence);
+  assert.equal(result.avg_valence_after_entry, 0.333);
+  assert.equal(result.avg_valence_after_no_entry, 0.667);
+});
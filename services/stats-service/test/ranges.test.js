@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bucketStart, buildBuckets, nextBucketStart, resolveRange, toMoodSummary } = require("../ranges");
+
+const TODAY = "2024-03-14";
+
+test("presets end today and default to seven daily buckets", () => {
+  assert.deepEqual(resolveRange({}, TODAY), { from: "2024-03-08", to: TODAY, bucket: "day" });
+  assert.deepEqual(resolveRange({ range_days: 30, bucket: "week" }, TODAY), {
+    from: "2024-02-14",
+    to: TODAY,
+    bucket: "week",
+  });
+  assert.match(resolveRange({ range_days: 14 }, TODAY).error, /range_days must be one of: 7, 30, 90, 365/);
+  assert.match(resolveRange({ bucket: "year" }, TODAY).error, /bucket must be one of/);
+});
+
+test("custom ranges need two real calendar days in order", () => {
+  assert.deepEqual(resolveRange({ from: " 2024-01-01 ", to: "2024-01-31" }, TODAY), {
+    from: "2024-01-01",
+    to: "2024-01-31",
+    bucket: "day",
+  });
+  assert.match(resolveRange({ from: "2024-01-01" }, TODAY).error, /from and to must both be YYYY-MM-DD/);
+  assert.match(resolveRange({ from: "2023-02-29", to: "2023-03-01" }, TODAY).error, /YYYY-MM-DD/);
+  assert.match(resolveRange({ from: "2024-02-02", to: "2024-02-01" }, TODAY).error, /must not be after/);
+});
+
+test("daily buckets are clamped at 366 days", () => {
+  // 2024 is a leap year, so the whole of it is exactly 366 days.
+  assert.equal(resolveRange({ from: "2024-01-01", to: "2024-12-31" }, TODAY).bucket, "day");
+  assert.match(
+    resolveRange({ from: "2024-01-01", to: "2025-01-01" }, TODAY).error,
+    /daily buckets cover at most 366 days; use week or month/
+  );
+  assert.equal(resolveRange({ from: "2024-01-01", to: "2025-01-01", bucket: "week" }, TODAY).bucket, "week");
+  assert.equal(resolveRange({ range_days: 365 }, TODAY).from, "2023-03-16");
+});
+
+test("custom ranges are capped at five years", () => {
+  assert.equal(resolveRange({ from: "2020-01-01", to: "2025-01-03", bucket: "month" }, TODAY).error, undefined);
+  assert.match(
+    resolveRange({ from: "2020-01-01", to: "2025-01-04", bucket: "month" }, TODAY).error,
+    /ranges cover at most 1830 days/
+  );
+});
+
+test("weeks start on Monday and months on the first", () => {
+  // 2024-03-14 is a Thursday; 2024-03-17 a Sunday.
+  assert.equal(bucketStart("2024-03-14", "week"), "2024-03-11");
+  assert.equal(bucketStart("2024-03-17", "week"), "2024-03-11");
+  assert.equal(bucketStart("2024-03-11", "week"), "2024-03-11");
+  assert.equal(bucketStart("2024-01-03", "week"), "2024-01-01");
+  assert.equal(bucketStart("2024-03-14", "month"), "2024-03-01");
+  assert.equal(bucketStart("2024-03-14", "day"), "2024-03-14");
+  assert.equal(nextBucketStart("2024-12-30", "week"), "2025-01-06");
+  assert.equal(nextBucketStart("2024-01-01", "month"), "2024-02-01");
+  assert.equal(nextBucketStart("2024-12-01", "month"), "2025-01-01");
+});
+
+test("every bucket touching the range is returned, clipped to it", () => {
+  const buckets = buildBuckets({ from: "2024-03-14", to: "2024-03-27", bucket: "week" }, [], []);
+  assert.deepEqual(
+    buckets.map(({ start, end }) => [start, end]),
+    [
+      ["2024-03-14", "2024-03-17"],
+      ["2024-03-18", "2024-03-24"],
+      ["2024-03-25", "2024-03-27"],
+    ]
+  );
+  buckets.forEach((bucket) => {
+    assert.equal(bucket.entry_count, 0);
+    assert.deepEqual(bucket.moods, []);
+  });
+});
+
+test("rows are matched to buckets by their calendar start", () => {
+  const buckets = buildBuckets(
+    { from: "2024-01-15", to: "2024-03-10", bucket: "month" },
+    [
+      { bucket: "2024-01-01", count: "4" },
+      { bucket: "2024-03-01", count: "1" },
+    ],
+    [
+      { bucket: "2024-01-01", mood: "calm", count: "3", avg_intensity: "2.5" },
+      { bucket: "2024-01-01", mood: "tired", count: "1", avg_intensity: null },
+    ]
+  );
+  assert.deepEqual(buckets, [
+    {
+      start: "2024-01-15",
+      end: "2024-01-31",
+      entry_count: 4,
+      moods: [
+        { mood: "calm", count: 3, avg_intensity: 2.5 },
+        { mood: "tired", count: 1, avg_intensity: 0 },
+      ],
+    },
+    { start: "2024-02-01", end: "2024-02-29", entry_count: 0, moods: [] },
+    { start: "2024-03-01", end: "2024-03-10", entry_count: 1, moods: [] },
+  ]);
+});
+
+test("a one-day range has a single daily bucket", () => {
+  assert.deepEqual(buildBuckets({ from: TODAY, to: TODAY, bucket: "day" }, [], []), [
+    { start: TODAY, end: TODAY, entry_count: 0, moods: [] },
+  ]);
+  assert.deepEqual(toMoodSummary({ mood: "calm", count: "2", avg_intensity: "3.0" }), {
+    mood: "calm",
+    count: 2,
+    avg_intensity: 3,
+  });
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const grpc = require("@grpc/grpc-js");
+const { STREAK_HISTORY_LIMIT, computeStreaks, freezeDayError, spendFreeze } = require("../streaks");
+const { addDays } = require("../calendar");
+
+const TODAY = "2024-03-14";
+
+// Rows as the overview query returns them, oldest first.
+const written = (...days) => days.map((day) => ({ day, written: true }));
+const frozen = (day) => ({ day, written: false });
+
+test("no days means no streaks", () => {
+  assert.deepEqual(computeStreaks([], TODAY), { current: 0, longest: 0, pendingToday: false, history: [] });
+});
+
+test("a streak that reaches today is current and complete", () => {
+  const streaks = computeStreaks(written("2024-03-12", "2024-03-13", TODAY), TODAY);
+  assert.equal(streaks.current, 3);
+  assert.equal(streaks.longest, 3);
+  assert.equal(streaks.pendingToday, false);
+});
+
+test("a streak that ends yesterday is still current but pending today", () => {
+  const streaks = computeStreaks(written("2024-03-12", "2024-03-13"), TODAY);
+  assert.equal(streaks.current, 2);
+  assert.equal(streaks.pendingToday, true);
+  assert.deepEqual(streaks.history, []);
+});
+
+test("a gap of a whole day ends the streak", () => {
+  const streaks = computeStreaks(written("2024-03-10", "2024-03-11", "2024-03-12"), TODAY);
+  assert.equal(streaks.current, 0);
+  assert.equal(streaks.longest, 3);
+  assert.equal(streaks.pendingToday, false);
+  assert.deepEqual(streaks.history, [{ start: "2024-03-10", end: "2024-03-12", days: 3 }]);
+});
+
+test("frozen days bridge a gap without counting towards the streak", () => {
+  const days = [...written("2024-03-10", "2024-03-11"), frozen("2024-03-12"), ...written("2024-03-13", TODAY)];
+  const streaks = computeStreaks(days, TODAY);
+  assert.equal(streaks.current, 4);
+  assert.equal(streaks.longest, 4);
+});
+
+test("frozen days alone keep nothing alive", () => {
+  const streaks = computeStreaks([frozen("2024-03-13")], TODAY);
+  assert.equal(streaks.current, 0);
+  assert.equal(streaks.pendingToday, false);
+});
+
+test("a frozen yesterday keeps a streak alive that is pending today", () => {
+  const streaks = computeStreaks([...written("2024-03-11", "2024-03-12"), frozen("2024-03-13")], TODAY);
+  assert.equal(streaks.current, 2);
+  assert.equal(streaks.pendingToday, true);
+});
+
+test("history lists finished streaks of two days or more, newest first", () => {
+  const days = [
+    ...written("2024-02-01", "2024-02-02", "2024-02-03"),
+    ...written("2024-02-10"),
+    ...written("2024-02-20", "2024-02-21"),
+    ...written("2024-03-13", TODAY),
+  ];
+  const streaks = computeStreaks(days, TODAY);
+  assert.equal(streaks.current, 2);
+  assert.equal(streaks.longest, 3);
+  assert.deepEqual(streaks.history, [
+    { start: "2024-02-20", end: "2024-02-21", days: 2 },
+    { start: "2024-02-01", end: "2024-02-03", days: 3 },
+  ]);
+});
+
+test("a frozen edge does not become a streak's start or end", () => {
+  const days = [frozen("2024-03-01"), ...written("2024-03-02", "2024-03-03"), frozen("2024-03-04")];
+  assert.deepEqual(computeStreaks(days, TODAY).history, [{ start: "2024-03-02", end: "2024-03-03", days: 2 }]);
+});
+
+test("history is capped", () => {
+  const days = [];
+  for (let i = 0; i < STREAK_HISTORY_LIMIT + 5; i++)
+    days.push(...written(addDays("2023-01-01", i * 3), addDays("2023-01-02", i * 3)));
+  const { history } = computeStreaks(days, TODAY);
+  assert.equal(history.length, STREAK_HISTORY_LIMIT);
+  assert.equal(history[0].start, addDays("2023-01-01", (STREAK_HISTORY_LIMIT + 4) * 3));
+});
+
+test("today is the caller's local day", () => {
+  // At 02:00 UTC on the 15th it is still the 14th in New York: an entry
+  // dated the 14th there completes today's streak rather than yesterday's.
+  const days = written("2024-03-13", "2024-03-14");
+  assert.equal(computeStreaks(days, "2024-03-14").pendingToday, false);
+  assert.equal(computeStreaks(days, "2024-03-15").pendingToday, true);
+  assert.equal(computeStreaks(days, "2024-03-16").current, 0);
+});
+
+test("only the last few days before today can be frozen", () => {
+  assert.equal(freezeDayError("2024-03-13", TODAY), null);
+  assert.equal(freezeDayError("2024-03-07", TODAY), null);
+  assert.match(freezeDayError("2024-03-06", TODAY), /only one of the last 7 days before today/);
+  assert.match(freezeDayError(TODAY, TODAY), /only one of the last 7 days/);
+  assert.match(freezeDayError("2024-03-15", TODAY), /only one of the last 7 days/);
+  assert.equal(freezeDayError("2024-02-30", TODAY), "date must be YYYY-MM-DD");
+});
+
+// A pg client answering the freeze queries from `state` and recording them.
+const fakeClient = (state = {}) => {
+  const statements = [];
+  return {
+    statements,
+    async query(sql, params = []) {
+      statements.push({ sql, params });
+      if (state.fail && sql.includes(state.fail)) throw new Error("connection lost");
+      if (sql.startsWith("SELECT 1 FROM entries")) return { rows: state.written ? [{}] : [] };
+      if (sql.includes("FROM streak_freezes")) return { rows: [{ count: state.used || 0 }] };
+      if (sql.startsWith("INSERT")) return { rows: state.alreadyFrozen ? [] : [{ id: 1 }] };
+      return { rows: [] };
+    },
+  };
+};
+
+const commands = (client) => client.statements.map(({ sql }) => sql.split(/\s/)[0]).filter((word) => word !== "SELECT");
+
+test("a freeze takes the user's advisory lock and commits", async () => {
+  const client = fakeClient({ used: 1 });
+  assert.deepEqual(await spendFreeze(client, 42, "2024-03-13", 2), { freeze: { date: "2024-03-13", freezes_left: 0 } });
+  assert.equal(client.statements[0].sql, "BEGIN");
+  assert.match(client.statements[1].sql, /pg_advisory_xact_lock/);
+  assert.deepEqual(client.statements[1].params[1], 42);
+  assert.deepEqual(commands(client), ["BEGIN", "INSERT", "COMMIT"]);
+  // Cached overviews are evicted once the freeze commits.
+  assert.match(client.statements[client.statements.length - 2].sql, /stats_notify_change/);
+});
+
+test("refused freezes roll back with a gRPC status", async () => {
+  const cases = [
+    [{ written: true }, grpc.status.FAILED_PRECONDITION, "that day already has an entry"],
+    [{ used: 2 }, grpc.status.FAILED_PRECONDITION, "no streak freezes left this month"],
+    [{ alreadyFrozen: true }, grpc.status.ALREADY_EXISTS, "that day is already frozen"],
+  ];
+  for (const [state, code, message] of cases) {
+    const client = fakeClient(state);
+    assert.deepEqual(await spendFreeze(client, 42, "2024-03-13", 2), { error: { code, message } });
+    assert.equal(client.statements[client.statements.length - 1].sql, "ROLLBACK");
+  }
+});
+
+test("a failed query rolls the freeze back and rethrows", async () => {
+  const client = fakeClient({ fail: "INSERT" });
+  await assert.rejects(spendFreeze(client, 42, "2024-03-13", 2), /connection lost/);
+  assert.deepEqual(commands(client), ["BEGIN", "INSERT", "ROLLBACK"]);
+});
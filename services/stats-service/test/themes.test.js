@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeThemes, categoryOf, tokenize } = require("../themes");
+
+// Two weekly periods, as GetThemes builds them.
+const periods = () => [
+  { start: "2024-03-04", end: "2024-03-10", entry_count: 0 },
+  { start: "2024-03-11", end: "2024-03-17", entry_count: 0 },
+];
+
+test("tokens are lowercase content words without stopwords, numbers or single letters", () => {
+  assert.deepEqual(tokenize("I am SO grateful for 2 long walks with Ana, and a B+ grade").words, [
+    "long",
+    "walks",
+    "ana",
+    "grade",
+  ]);
+});
+
+test("apostrophes are dropped and possessives reduced to the word", () => {
+  assert.deepEqual(tokenize("Mom's garden, didn’t rain").words, ["mom", "garden", "rain"]);
+});
+
+test("non-Latin letters are words too", () => {
+  assert.deepEqual(tokenize("Café with Zoë — 朋友").words, ["café", "zoë", "朋友"]);
+});
+
+test("pairs join adjacent content words within a clause", () => {
+  assert.deepEqual(tokenize("Morning coffee. Coffee with the neighbor, sunny garden party").bigrams, [
+    "morning coffee",
+    "sunny garden",
+    "garden party",
+  ]);
+  assert.deepEqual(tokenize("long\nwalk").bigrams, []);
+});
+
+test("categories come from the lexicon, plurals included", () => {
+  assert.equal(categoryOf("friend"), "people");
+  assert.equal(categoryOf("friends"), "people");
+  assert.equal(categoryOf("puppies"), "pets");
+  assert.equal(categoryOf("class"), "growth");
+  assert.equal(categoryOf("glass"), null);
+  assert.equal(categoryOf("spreadsheet"), null);
+});
+
+test("words are counted per use and per entry, with a trend per period", () => {
+  const themes = analyzeThemes(
+    [
+      { day: "2024-03-05", text: "Coffee, coffee and more coffee" },
+      { day: "2024-03-12", text: "Coffee with my sister" },
+      { day: "2024-03-13", text: "Sister came over" },
+    ],
+    periods()
+  );
+  assert.equal(themes.entry_count, 3);
+  assert.deepEqual(
+    themes.periods.map((period) => period.entry_count),
+    [1, 2]
+  );
+  assert.deepEqual(themes.words.slice(0, 2), [
+    { term: "coffee", count: 4, entry_count: 2, trend: [1, 1] },
+    { term: "sister", count: 2, entry_count: 2, trend: [0, 2] },
+  ]);
+});
+
+test("phrases used only once are left out", () => {
+  const themes = analyzeThemes(
+    [
+      { day: "2024-03-05", text: "Long walk by the lake" },
+      { day: "2024-03-06", text: "Another long walk" },
+    ],
+    periods()
+  );
+  assert.deepEqual(
+    themes.bigrams.map(({ term, count }) => [term, count]),
+    [["long walk", 2]]
+  );
+});
+
+test("categories count entries and name their most used terms", () => {
+  const themes = analyzeThemes(
+    [
+      { day: "2024-03-05", text: "Dinner with friends and family" },
+      { day: "2024-03-12", text: "My friend cooked dinner, then a friend called" },
+      { day: "2024-03-13", text: "Finished the project" },
+    ],
+    periods()
+  );
+  assert.deepEqual(themes.categories[0], {
+    category: "people",
+    label: "People",
+    entry_count: 2,
+    top_terms: ["friend", "family", "friends"],
+    trend: [1, 1],
+  });
+  assert.deepEqual(
+    themes.categories.map(({ category, entry_count: count }) => [category, count]),
+    [
+      ["people", 2],
+      ["food", 2],
+      ["work", 1],
+    ]
+  );
+});
+
+test("entries outside every period are ignored", () => {
+  const themes = analyzeThemes([{ day: "2024-03-18", text: "Sunny hike" }], periods());
+  assert.equal(themes.entry_count, 0);
+  assert.deepEqual(themes.words, []);
+  assert.deepEqual(themes.categories, []);
+});
@@ -0,0 +1,205 @@
+// Local text analytics behind GetThemes, so no LLM is needed. Entry text is
+// split into lowercase word tokens, stopwords are dropped, and words, adjacent
+// word pairs and a small built-in category lexicon are counted per entry and
+// per period of the range.
+
+const TOP_WORDS = 60;
+const TOP_BIGRAMS = 20;
+// A phrase used only once is mostly noise.
+const MIN_BIGRAM_COUNT = 2;
+const TOP_CATEGORY_TERMS = 3;
+// Only the newest entries are read past this many.
+const MAX_THEME_ENTRIES = 5000;
+
+// Function words, contractions with their apostrophe removed, and words nearly
+// every gratitude entry uses, which say nothing about what it is about.
+const STOPWORDS = new Set(
+  `a about above after again against all am an and any are as at be because been before being below between both but
+  by can could did do does doing down during each few for from further had has have having he her here hers herself
+  him himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or
+  other our ours ourselves out over own same she should so some such than that the their theirs them themselves then
+  there these they this those through to too under until up very was we were what when where which while who whom why
+  will with would you your yours yourself yourselves
+  im ive id ill dont didnt doesnt cant couldnt wont wasnt isnt arent thats theres lets
+  also really still even much many lot lots got get gets getting go going went make made one two today yesterday
+  tomorrow day days time thing things something anything everything way bit well good great nice
+  grateful thankful gratitude thank thanks appreciate appreciated feel felt feeling`.split(/\s+/)
+);
+
+const CATEGORIES = [
+  {
+    category: "people",
+    label: "People",
+    words: `family friend mom mum dad mother father parent sister brother son daughter kid child children baby wife
+      husband partner girlfriend boyfriend grandma grandpa grandmother grandfather aunt uncle cousin neighbor neighbour
+      colleague coworker people`,
+  },
+  {
+    category: "health",
+    label: "Health",
+    words: `health healthy sleep slept rest run running workout exercise gym yoga stretch doctor therapy recovery
+      recovered medicine energy body strong`,
+  },
+  {
+    category: "work",
+    label: "Work",
+    words: `work job project meeting team boss manager client office career deadline promotion task presentation
+      interview salary shift`,
+  },
+  {
+    category: "nature",
+    label: "Nature",
+    words: `nature sun sunshine sunny sunset sunrise rain snow sky weather garden flower tree park forest beach ocean
+      sea lake river mountain hike hiking bird outside outdoors spring summer autumn winter`,
+  },
+  {
+    category: "food",
+    label: "Food",
+    words: `food coffee tea breakfast lunch dinner meal cook cooking cooked bake baked cake chocolate pizza soup fruit
+      restaurant recipe`,
+  },
+  { category: "home", label: "Home", words: "home house apartment bed cozy couch kitchen room clean cleaning" },
+  { category: "pets", label: "Pets", words: "dog cat puppy kitten pet" },
+  {
+    category: "growth",
+    label: "Learning & growth",
+    words: "learn learned learning book read reading class course study lesson progress skill goal habit practice",
+  },
+  {
+    category: "leisure",
+    label: "Leisure",
+    words: "music song movie film game play played vacation holiday trip travel concert party weekend art",
+  },
+];
+
+const LEXICON = new Map(
+  CATEGORIES.flatMap(({ category, words }) =>
+    words
+      .trim()
+      .split(/\s+/)
+      .map((word) => [word, category])
+  )
+);
+
+// Lexicon words are singular; plurals ("friends", "berries") fall back to them.
+function categoryOf(token) {
+  if (LEXICON.has(token)) return LEXICON.get(token);
+  if (token.endsWith("ies")) return LEXICON.get(`${token.slice(0, -3)}y`) || null;
+  if (token.endsWith("s") && !token.endsWith("ss")) return LEXICON.get(token.slice(0, -1)) || null;
+  return null;
+}
+
+// Content words and the adjacent pairs of them. Possessive "'s" is dropped and
+// other apostrophes are removed, so "Mom's" counts as "mom" and "don't" as the
+// stopword "dont". Pairs never span punctuation or a stopword.
+function tokenize(text) {
+  const words = [];
+  const bigrams = [];
+  const normalized = text
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .replace(/['’]/g, "");
+  normalized.split(/[.!?;:,()"“”\n]+/).forEach((clause) => {
+    let previous = null;
+    for (const token of clause.match(/[\p{L}\p{N}]+/gu) || []) {
+      const content = token.length > 1 && !/^\d+$/.test(token) && !STOPWORDS.has(token);
+      if (content) {
+        words.push(token);
+        if (previous) bigrams.push(`${previous} ${token}`);
+      }
+      previous = content ? token : null;
+    }
+  });
+  return { words, bigrams };
+}
+
+const countBy = (values) =>
+  values.reduce((counts, value) => counts.set(value, (counts.get(value) || 0) + 1), new Map());
+
+// Adds one entry's occurrences of `term` to `table`.
+function tally(table, term, occurrences, period, periodCount) {
+  let row = table.get(term);
+  if (!row) {
+    row = { term, count: 0, entry_count: 0, trend: new Array(periodCount).fill(0) };
+    table.set(term, row);
+  }
+  row.count += occurrences;
+  row.entry_count += 1;
+  row.trend[period] += 1;
+}
+
+const byUse = (a, b) => b.count - a.count || b.entry_count - a.entry_count || a.term.localeCompare(b.term);
+
+// `entries` are { day, text } rows; `periods` are { start, end, entry_count }
+// slots covering every day, whose entry_count is filled in here.
+function analyzeThemes(entries, periods) {
+  const words = new Map();
+  const bigrams = new Map();
+  const categories = new Map();
+  entries.forEach(({ day, text }) => {
+    const period = periods.findIndex(({ start, end }) => day >= start && day <= end);
+    if (period === -1) return;
+    periods[period].entry_count += 1;
+    const tokens = tokenize(text);
+    const wordCounts = countBy(tokens.words);
+    wordCounts.forEach((count, word) => tally(words, word, count, period, periods.length));
+    countBy(tokens.bigrams).forEach((count, bigram) => tally(bigrams, bigram, count, period, periods.length));
+
+    const mentions = new Map();
+    wordCounts.forEach((count, word) => {
+      const category = categoryOf(word);
+      if (!category) return;
+      if (!mentions.has(category)) mentions.set(category, new Map());
+      mentions.get(category).set(word, count);
+    });
+    mentions.forEach((terms, category) => {
+      if (!categories.has(category)) {
+        categories.set(category, { entry_count: 0, trend: new Array(periods.length).fill(0), terms: new Map() });
+      }
+      const slot = categories.get(category);
+      slot.entry_count += 1;
+      slot.trend[period] += 1;
+      terms.forEach((count, word) => slot.terms.set(word, (slot.terms.get(word) || 0) + count));
+    });
+  });
+
+  return {
+    periods,
+    entry_count: periods.reduce((sum, period) => sum + period.entry_count, 0),
+    words: [...words.values()].sort(byUse).slice(0, TOP_WORDS),
+    bigrams: [...bigrams.values()]
+      .filter((row) => row.count >= MIN_BIGRAM_COUNT)
+      .sort(byUse)
+      .slice(0, TOP_BIGRAMS),
+    categories: CATEGORIES.filter(({ category }) => categories.has(category))
+      .map(({ category, label }) => {
+        const { entry_count: entryCount, trend, terms } = categories.get(category);
+        return {
+          category,
+          label,
+          entry_count: entryCount,
+          top_terms: [...terms.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, TOP_CATEGORY_TERMS)
+            .map(([term]) => term),
+          trend,
+        };
+      })
+      .sort((a, b) => b.entry_count - a.entry_count),
+  };
+}
+
+// `from`/`to` are inclusive local days split into `periods` of `bucket` size.
+async function loadThemes(db, userId, { from, to, bucket, periods }) {
+  const res = await db.query(
+    `SELECT to_char(entry_date, 'YYYY-MM-DD') AS day, text
+     FROM entries
+     WHERE user_id = $1 AND deleted_at IS NULL AND entry_date BETWEEN $2::date AND $3::date
+     ORDER BY entry_date DESC, id DESC
+     LIMIT $4`,
+    [userId, from, to, MAX_THEME_ENTRIES]
+  );
+  return { range_from: from, range_to: to, bucket, ...analyzeThemes(res.rows, periods) };
+}
+
+module.exports = { analyzeThemes, categoryOf, loadThemes, tokenize };